@@ -1,9 +1,17 @@
 # FastAPI Backend for VascularAI Dashboard
 
-from fastapi import FastAPI
+import asyncio
+import json
+import time
+import uuid
+from datetime import datetime, timezone
+from pathlib import Path
+
+from fastapi import FastAPI, HTTPException, Request
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import FileResponse, StreamingResponse
 from pydantic import BaseModel
-from typing import Optional
+from typing import List, Optional
 
 app = FastAPI(title="VascularAI API", version="1.2.0")
 
@@ -49,15 +57,374 @@ metrics_data = {
     ],
 }
 
+system_logs = [
+    {"id": "boot-6", "time": "03:45:12", "level": "INFO", "message": "Patient_001 reconstruction completed successfully"},
+    {"id": "boot-5", "time": "03:42:08", "level": "INFO", "message": "Patient_002 reconstruction completed successfully"},
+    {"id": "boot-4", "time": "03:38:55", "level": "WARNING", "message": "Patient_004 - Low confidence in vessel branch detection"},
+    {"id": "boot-3", "time": "03:35:20", "level": "ERROR", "message": "Patient_004 reconstruction failed - insufficient input quality"},
+    {"id": "boot-2", "time": "03:30:00", "level": "INFO", "message": "System initialized. GPU: Apple M2 Pro detected"},
+    {"id": "boot-1", "time": "03:29:50", "level": "INFO", "message": "Model weights loaded: VascularNet v2.1"},
+]
+LOG_HISTORY_LIMIT = 200
+
+# Simulated processing pipeline — each job cycles through the stages and
+# restarts after a short idle period so the progress stream never runs dry
+PIPELINE_STAGES = [
+    ("Preprocessing", 15),
+    ("Vessel Segmentation", 45),
+    ("Centerline Extraction", 20),
+    ("3D Reconstruction", 20),
+]
+JOB_IDLE_SECONDS = 20
+SERVER_START = time.monotonic()
+
+simulated_jobs = [
+    {"patientId": "Patient_003", "patientName": "Robert Chen", "duration": 300, "offset": 240},
+    {"patientId": "Patient_006", "patientName": "Sarah Wilson", "duration": 360, "offset": 30},
+]
+
+
+def job_run_id(job, cycle):
+    # One-off runs carry their own id so a re-run never reuses an earlier run's
+    return f"{job['patientId']}-{job['run'] if job.get('once') else cycle}"
+
+
+def job_state(job, now):
+    cycle_length = job["duration"] + JOB_IDLE_SECONDS
+    elapsed_total = now - SERVER_START + job["offset"]
+    cycle = int(elapsed_total // cycle_length)
+    elapsed = elapsed_total % cycle_length
+    if job.get("once") and cycle > 0:
+        # One-off runs (re-processing requests) stay completed
+        cycle, elapsed = 0, job["duration"]
+    state = {
+        "jobId": job_run_id(job, cycle),
+        "patientId": job["patientId"],
+        "patientName": job["patientName"],
+    }
+
+    if elapsed >= job["duration"]:
+        return {**state, "status": "completed", "stage": "Completed", "progress": 100, "eta": 0}
+
+    progress = elapsed / job["duration"] * 100
+    stage, threshold = PIPELINE_STAGES[-1][0], 0
+    for name, weight in PIPELINE_STAGES:
+        threshold += weight
+        if progress < threshold:
+            stage = name
+            break
+
+    return {
+        **state,
+        "status": "running",
+        "stage": stage,
+        "progress": int(progress),
+        "eta": int(job["duration"] - elapsed),
+    }
+
+
+def pipeline_log_events(start, end):
+    """Log entries emitted by the simulated pipeline between two server times
+    (seconds since SERVER_START), oldest first. Derived from the job timeline
+    so every client sees the same entries with the same ids."""
+    events = []
+    wall_offset = time.time() - time.monotonic()
+
+    for job in simulated_jobs:
+        cycle_length = job["duration"] + JOB_IDLE_SECONDS
+        first = int((max(start, 0) + job["offset"]) // cycle_length)
+        last = int((end + job["offset"]) // cycle_length)
+        if job.get("once"):
+            first, last = 0, min(last, 0)
+        for cycle in range(first, last + 1):
+            job_start = cycle * cycle_length - job["offset"]
+            entries, threshold = [], 0
+            for name, weight in PIPELINE_STAGES:
+                entries.append((job_start + job["duration"] * threshold / 100, "INFO", f"{job['patientId']} - {name} started"))
+                if name == "Centerline Extraction" and cycle % 3 == 2:
+                    entries.append((job_start + job["duration"] * (threshold + 5) / 100, "WARNING",
+                                    f"{job['patientId']} - Low confidence in vessel branch detection"))
+                threshold += weight
+            entries.append((job_start + job["duration"], "INFO", f"{job['patientId']} reconstruction completed successfully"))
+
+            for index, (t, level, message) in enumerate(entries):
+                if max(start, 0) <= t < end:
+                    events.append({
+                        "id": f"{job_run_id(job, cycle)}-{index}",
+                        "time": time.strftime("%H:%M:%S", time.localtime(SERVER_START + t + wall_offset)),
+                        "level": level,
+                        "message": message,
+                        "_t": t,
+                    })
+
+    events.sort(key=lambda e: e["_t"])
+    for event in events:
+        del event["_t"]
+    return events
+
+
+def recent_logs(now):
+    """Newest-first log history: pipeline events followed by the boot log."""
+    pipeline = pipeline_log_events(0, now - SERVER_START)
+    return (pipeline[::-1] + system_logs)[:LOG_HISTORY_LIMIT]
+
+
+# Reconstructed meshes: backend/meshes/<patient_id>.<obj|stl|ply|glb>, with an
+# optional <patient_id>.json sidecar holding {"spacing": [x, y, z]} in mm
+MESH_DIR = Path(__file__).parent / "meshes"
+MESH_FORMATS = {
+    "glb": "model/gltf-binary",
+    "obj": "text/plain",
+    "stl": "model/stl",
+    "ply": "application/octet-stream",
+}
+
+
+def find_mesh(patient_id):
+    for ext in MESH_FORMATS:
+        path = MESH_DIR / f"{patient_id}.{ext}"
+        if path.is_file():
+            return path, ext
+    return None, None
+
+
+# Source CT and segmentation mask: backend/volumes/<patient_id>_image.nii[.gz] and
+# <patient_id>_mask.nii[.gz], in the same scanner frame as the mesh
+VOLUME_DIR = Path(__file__).parent / "volumes"
+VOLUME_KINDS = ("image", "mask")
+
+
+def find_volume(patient_id, kind):
+    for ext in ("nii.gz", "nii"):
+        path = VOLUME_DIR / f"{patient_id}_{kind}.{ext}"
+        if path.is_file():
+            return path
+    return None
+
+
+# Radiologist annotations pinned on the 3D model: backend/annotations/<patient_id>.json
+ANNOTATION_DIR = Path(__file__).parent / "annotations"
+ANNOTATION_MODELS = ("patient", "reference")
+ANNOTATION_SEVERITIES = ("note", "mild", "moderate", "severe")
+
+
+class AnnotationIn(BaseModel):
+    model: str
+    position: List[float]
+    vessel: Optional[str] = None
+    note: str
+    severity: str = "note"
+    author: str
+
+
+def annotation_path(patient_id):
+    # The ID becomes a file name, so it must not reach outside the directory
+    if not patient_id or patient_id.startswith(".") or any(c in patient_id for c in "/\\"):
+        raise HTTPException(status_code=400, detail="Invalid patient ID")
+    return ANNOTATION_DIR / f"{patient_id}.json"
+
+
+def load_annotations(patient_id):
+    path = annotation_path(patient_id)
+    return json.loads(path.read_text()) if path.is_file() else []
+
+
+def save_annotations(patient_id, annotations):
+    ANNOTATION_DIR.mkdir(exist_ok=True)
+    path = annotation_path(patient_id)
+    # Write then rename so a crash never leaves a half-written file
+    tmp = path.with_suffix(".tmp")
+    tmp.write_text(json.dumps(annotations, indent=2))
+    tmp.replace(path)
+
+
+def sse_event(event, data):
+    return f"event: {event}\ndata: {json.dumps(data)}\n\n"
+
 
 @app.get("/")
 def root():
     return {"message": "VascularAI API v1.2.0", "status": "online"}
 
 
+def patient_record(patient, now):
+    """The patient as listed: a re-processing run shows as processing until
+    its simulated job completes, then as a fresh successful result."""
+    run = next((job for job in simulated_jobs if job.get("once") and job["patientId"] == patient["id"]), None)
+    if run is None:
+        return patient
+    if job_state(run, now)["status"] == "running":
+        return {**patient, "status": "processing", "result": "Processing", "inferenceTime": None}
+    return {**patient, "status": "completed", "result": "Success", "inferenceTime": round(run["duration"] / 60, 1)}
+
+
 @app.get("/api/patients")
 def get_patients():
-    return patients_data
+    now = time.monotonic()
+    return [patient_record(patient, now) for patient in patients_data]
+
+
+@app.post("/api/patients/{patient_id}/reprocess")
+def reprocess_patient(patient_id: str):
+    patient = next((p for p in patients_data if p["id"] == patient_id), None)
+    if patient is None:
+        raise HTTPException(status_code=404, detail="Patient not found")
+
+    now = time.monotonic()
+    if any(job["patientId"] == patient_id and job_state(job, now)["status"] == "running" for job in simulated_jobs):
+        raise HTTPException(status_code=409, detail="Patient is already being processed")
+
+    # Replace any earlier run; offset makes the new one start now
+    simulated_jobs[:] = [job for job in simulated_jobs if job["patientId"] != patient_id]
+    simulated_jobs.append({
+        "patientId": patient_id,
+        "patientName": patient["name"],
+        "duration": 300,
+        "offset": -(now - SERVER_START),
+        "once": True,
+        "run": uuid.uuid4().hex[:8],
+    })
+    return {"patientId": patient_id, "status": "queued"}
+
+
+@app.get("/api/meshes/{patient_id}")
+def get_mesh_info(patient_id: str):
+    path, ext = find_mesh(patient_id)
+    if path is None:
+        raise HTTPException(status_code=404, detail="No reconstructed mesh for this patient")
+
+    spacing = None
+    sidecar = MESH_DIR / f"{patient_id}.json"
+    if sidecar.is_file():
+        spacing = json.loads(sidecar.read_text()).get("spacing")
+
+    gt_path, gt_ext = find_mesh(f"{patient_id}_gt")
+    return {
+        "patientId": patient_id,
+        "format": ext,
+        "url": f"/api/meshes/{patient_id}/file",
+        "sizeBytes": path.stat().st_size,
+        "units": "mm",
+        "spacing": spacing,
+        "groundTruth": {"url": f"/api/meshes/{patient_id}/gt", "format": gt_ext} if gt_path else None,
+    }
+
+
+@app.get("/api/meshes/{patient_id}/file")
+def get_mesh_file(patient_id: str):
+    path, ext = find_mesh(patient_id)
+    if path is None:
+        raise HTTPException(status_code=404, detail="No reconstructed mesh for this patient")
+    return FileResponse(path, media_type=MESH_FORMATS[ext], filename=path.name)
+
+
+# Ground-truth surface for the prediction overlay: backend/meshes/<patient_id>_gt.<ext>
+@app.get("/api/meshes/{patient_id}/gt")
+def get_ground_truth_file(patient_id: str):
+    path, ext = find_mesh(f"{patient_id}_gt")
+    if path is None:
+        raise HTTPException(status_code=404, detail="No ground-truth mesh for this patient")
+    return FileResponse(path, media_type=MESH_FORMATS[ext], filename=path.name)
+
+
+# Optional centerlines next to the mesh: backend/meshes/<patient_id>_centerlines.json
+# {"vessels": [{"label", "type", "points": [[x, y, z], ...], "radii": [...]}]} in mm
+@app.get("/api/centerlines/{patient_id}")
+def get_centerlines(patient_id: str):
+    path = MESH_DIR / f"{patient_id}_centerlines.json"
+    if not path.is_file():
+        raise HTTPException(status_code=404, detail="No centerlines for this patient")
+    return json.loads(path.read_text())
+
+
+# Optional per-vessel values for colouring the reference anatomy, e.g. the local
+# segmentation error: backend/meshes/<patient_id>_vessel_scalars.json
+# {"name": "...", "unit": "mm", "values": {"<reference vessel id>": 1.2, ...}}
+@app.get("/api/vessel-scalars/{patient_id}")
+def get_vessel_scalars(patient_id: str):
+    path = MESH_DIR / f"{patient_id}_vessel_scalars.json"
+    if not path.is_file():
+        raise HTTPException(status_code=404, detail="No per-vessel values for this patient")
+    return json.loads(path.read_text())
+
+
+# Positions are in the model's own coordinates: mesh file units for the patient
+# reconstruction, body units for the reference anatomy
+@app.get("/api/annotations/{patient_id}")
+def get_annotations(patient_id: str):
+    return load_annotations(patient_id)
+
+
+@app.post("/api/annotations/{patient_id}", status_code=201)
+def create_annotation(patient_id: str, body: AnnotationIn):
+    if body.model not in ANNOTATION_MODELS:
+        raise HTTPException(status_code=422, detail=f"model must be one of {', '.join(ANNOTATION_MODELS)}")
+    if body.severity not in ANNOTATION_SEVERITIES:
+        raise HTTPException(status_code=422, detail=f"severity must be one of {', '.join(ANNOTATION_SEVERITIES)}")
+    if len(body.position) != 3:
+        raise HTTPException(status_code=422, detail="position must be [x, y, z]")
+    if not body.note.strip() or not body.author.strip():
+        raise HTTPException(status_code=422, detail="note and author are required")
+
+    annotation = {
+        "id": uuid.uuid4().hex[:12],
+        "model": body.model,
+        "position": body.position,
+        "vessel": body.vessel,
+        "note": body.note.strip(),
+        "severity": body.severity,
+        "author": body.author.strip(),
+        "createdAt": datetime.now(timezone.utc).isoformat(timespec="seconds"),
+    }
+    save_annotations(patient_id, load_annotations(patient_id) + [annotation])
+    return annotation
+
+
+@app.delete("/api/annotations/{patient_id}/{annotation_id}")
+def delete_annotation(patient_id: str, annotation_id: str):
+    annotations = load_annotations(patient_id)
+    remaining = [a for a in annotations if a["id"] != annotation_id]
+    if len(remaining) == len(annotations):
+        raise HTTPException(status_code=404, detail="Annotation not found")
+    save_annotations(patient_id, remaining)
+    return {"id": annotation_id, "deleted": True}
+
+
+@app.get("/api/volumes/{patient_id}")
+def get_volume_info(patient_id: str):
+    paths = {kind: find_volume(patient_id, kind) for kind in VOLUME_KINDS}
+    if paths["image"] is None:
+        raise HTTPException(status_code=404, detail="No CT volume for this patient")
+
+    return {
+        "patientId": patient_id,
+        **{
+            kind: {"url": f"/api/volumes/{patient_id}/{kind}", "sizeBytes": path.stat().st_size}
+            if path else None
+            for kind, path in paths.items()
+        },
+    }
+
+
+@app.get("/api/volumes/{patient_id}/{kind}")
+def get_volume_file(patient_id: str, kind: str):
+    path = find_volume(patient_id, kind) if kind in VOLUME_KINDS else None
+    if path is None:
+        raise HTTPException(status_code=404, detail="Volume not found")
+    return FileResponse(path, media_type="application/octet-stream", filename=path.name)
+
+
+# Declared before /api/metrics/{patient_id} so "average" is not taken as an ID
+@app.get("/api/metrics/average")
+def get_metrics_average():
+    totals = {}
+    for rows in metrics_data.values():
+        for row in rows:
+            totals.setdefault(row["metric"], []).append(row["value"])
+    return [
+        {"metric": name, "value": round(sum(values) / len(values), 3)}
+        for name, values in totals.items()
+    ]
 
 
 @app.get("/api/metrics/{patient_id}")
@@ -69,14 +436,53 @@ def get_metrics(patient_id: str):
 
 @app.get("/api/status")
 def get_status():
+    now = time.monotonic()
+    running = [j for j in (job_state(job, now) for job in simulated_jobs) if j["status"] == "running"]
+    if not running:
+        return {}
+    job = running[0]
     return {
-        "patientId": "Patient_003",
-        "progress": 80,
-        "stage": "Vessel Segmentation",
-        "message": "Processing Patient_003... 80%",
+        "patientId": job["patientId"],
+        "progress": job["progress"],
+        "stage": job["stage"],
+        "message": f"Processing {job['patientId']}... {job['progress']}%",
     }
 
 
+@app.get("/api/jobs")
+def get_jobs():
+    now = time.monotonic()
+    return [job_state(job, now) for job in simulated_jobs]
+
+
+@app.get("/api/jobs/stream")
+async def stream_jobs(request: Request):
+    """Server-Sent Events: one `snapshot` on connect, then `progress` per change."""
+
+    async def events():
+        last_sent = {}
+        now = time.monotonic()
+        snapshot = [job_state(job, now) for job in simulated_jobs]
+        for job in snapshot:
+            last_sent[job["patientId"]] = job
+        yield sse_event("snapshot", snapshot)
+
+        while not await request.is_disconnected():
+            await asyncio.sleep(1)
+            now = time.monotonic()
+            for job in simulated_jobs:
+                state = job_state(job, now)
+                if state != last_sent.get(job["patientId"]):
+                    last_sent[job["patientId"]] = state
+                    yield sse_event("progress", state)
+
+    return StreamingResponse(
+        events(),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+
 @app.get("/api/server")
 def get_server_status():
     return {
@@ -85,3 +491,30 @@ def get_server_status():
         "gpu": "Apple M2 Pro",
         "modelVersion": "VascularNet v2.1",
     }
+
+
+@app.get("/api/logs")
+def get_logs():
+    return recent_logs(time.monotonic())
+
+
+@app.get("/api/logs/stream")
+async def stream_logs(request: Request):
+    """Server-Sent Events: `snapshot` of recent history on connect, then one `log` per new entry."""
+
+    async def events():
+        last = time.monotonic()
+        yield sse_event("snapshot", recent_logs(last))
+
+        while not await request.is_disconnected():
+            await asyncio.sleep(1)
+            now = time.monotonic()
+            for entry in pipeline_log_events(last - SERVER_START, now - SERVER_START):
+                yield sse_event("log", entry)
+            last = now
+
+    return StreamingResponse(
+        events(),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
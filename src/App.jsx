@@ -1,17 +1,22 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import { BrowserRouter, Routes, Route, useNavigate, useLocation } from 'react-router-dom';
-import { Layout, Menu, Badge, Typography, ConfigProvider, theme } from 'antd';
+import { Layout, Menu, Badge, Typography, ConfigProvider, Tooltip, App as AntApp, theme } from 'antd';
 import {
   DashboardOutlined,
   TeamOutlined,
   FileTextOutlined,
   HeartOutlined,
+  SwapOutlined,
 } from '@ant-design/icons';
 import AppHeader from './components/AppHeader';
 import DashboardPage from './pages/DashboardPage';
 import PatientQueuePage from './pages/PatientQueuePage';
+import ComparePage from './pages/ComparePage';
 import SystemLogsPage from './pages/SystemLogsPage';
-import { serverStatus } from './data/mockData';
+import ServerHealthProvider from './components/ServerHealthProvider';
+import ServerStatusBanner from './components/ServerStatusBanner';
+import { usePatients } from './hooks/useApi';
+import { useServerHealth, HEALTH_STATUS, formatLastSeen } from './hooks/useServerHealth';
 import './App.css';
 
 const { Sider, Content } = Layout;
@@ -21,11 +26,13 @@ const { Text } = Typography;
 const routeToKey = {
   '/': 'dashboard',
   '/patients': 'patients',
+  '/compare': 'compare',
   '/logs': 'logs',
 };
 const keyToRoute = {
   dashboard: '/',
   patients: '/patients',
+  compare: '/compare',
   logs: '/logs',
 };
 
@@ -33,6 +40,17 @@ function AppLayout() {
   const [collapsed, setCollapsed] = useState(false);
   const navigate = useNavigate();
   const location = useLocation();
+  const health = useServerHealth();
+  const patients = usePatients();
+
+  // Version info is the last known reply, so it survives an outage
+  const serverInfo = health.server ?? { version: '', modelVersion: '—' };
+  const healthCfg = HEALTH_STATUS[health.status];
+  const latencyText = health.latency !== null ? ` · ${health.latency} ms` : '';
+  const pendingCount = useMemo(
+    () => (patients.data ?? []).filter(p => p.status !== 'completed').length,
+    [patients.data]
+  );
 
   // Derive active menu key from current route
   const activeKey = routeToKey[location.pathname] || 'dashboard';
@@ -60,10 +78,15 @@ function AppLayout() {
       label: (
         <span>
           Patient Queue
-          <Badge count={2} size="small" style={{ marginLeft: 8 }} />
+          <Badge count={pendingCount} size="small" style={{ marginLeft: 8 }} />
         </span>
       ),
     },
+    {
+      key: 'compare',
+      icon: <SwapOutlined />,
+      label: 'Compare Cases',
+    },
     {
       key: 'logs',
       icon: <FileTextOutlined />,
@@ -102,12 +125,14 @@ function AppLayout() {
         />
         {!collapsed && (
           <div className="sider-footer">
-            <div className="server-badge">
-              <Badge status={serverStatus.online ? 'success' : 'error'} />
-              <Text style={{ color: 'rgba(255,255,255,0.65)', fontSize: 12 }}>
-                {serverStatus.online ? 'Server Online' : 'Server Offline'}
-              </Text>
-            </div>
+            <Tooltip title={`Last seen ${formatLastSeen(health.lastSeen, health.lastChecked)}`} placement="right">
+              <div className="server-badge">
+                <Badge status={healthCfg.badge} />
+                <Text style={{ color: 'rgba(255,255,255,0.65)', fontSize: 12 }}>
+                  {healthCfg.label}{latencyText}
+                </Text>
+              </div>
+            </Tooltip>
           </div>
         )}
       </Sider>
@@ -124,9 +149,11 @@ function AppLayout() {
 
         {/* Content — scrollable area */}
         <Content className="app-content">
+          <ServerStatusBanner />
           <Routes>
             <Route path="/" element={<DashboardPage />} />
             <Route path="/patients" element={<PatientQueuePage />} />
+            <Route path="/compare" element={<ComparePage />} />
             <Route path="/logs" element={<SystemLogsPage />} />
           </Routes>
         </Content>
@@ -135,18 +162,18 @@ function AppLayout() {
         <div className="app-footer">
           <div className="footer-left">
             <Text className="footer-text">
-              VascularAI Dashboard {serverStatus.version}
+              VascularAI Dashboard {serverInfo.version}
             </Text>
             <Text className="footer-text" type="secondary">
-              Model: {serverStatus.modelVersion}
+              Model: {serverInfo.modelVersion}
             </Text>
           </div>
           <div className="footer-center">
             <Badge
-              status={serverStatus.online ? 'success' : 'error'}
+              status={healthCfg.badge}
               text={
-                <Text className="footer-text" style={{ color: serverStatus.online ? '#52c41a' : '#ff4d4f' }}>
-                  {serverStatus.online ? '● Server Online' : '● Server Offline'}
+                <Text className="footer-text" style={{ color: healthCfg.color }}>
+                  ● {healthCfg.label}{latencyText}
                 </Text>
               }
             />
@@ -174,9 +201,13 @@ function App() {
         algorithm: theme.defaultAlgorithm,
       }}
     >
-      <BrowserRouter>
-        <AppLayout />
-      </BrowserRouter>
+      <AntApp>
+        <ServerHealthProvider>
+          <BrowserRouter>
+            <AppLayout />
+          </BrowserRouter>
+        </ServerHealthProvider>
+      </AntApp>
     </ConfigProvider>
   );
 }
@@ -0,0 +1,192 @@
+// Shared API client for the VascularAI FastAPI backend (backend/main.py)
+//
+// Build-time switches (Vite env, see README):
+//   VITE_API_BASE_URL   — backend origin, defaults to http://localhost:8000
+//   VITE_USE_MOCK_DATA  — "true" serves src/data/mockData.js instead (demos / offline)
+import axios from 'axios';
+import * as mock from '../data/mockData';
+import {
+    toPatients,
+    toMetrics,
+    toServerStatus,
+    toLogEntries,
+    toMeshInfo,
+    toVolumeInfo,
+    toCenterlines,
+    toVesselScalars,
+    toAnnotation,
+    toAnnotations,
+} from './transforms';
+
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8000';
+export const USE_MOCK_DATA = import.meta.env.VITE_USE_MOCK_DATA === 'true';
+
+export const api = axios.create({
+    baseURL: API_BASE_URL,
+    timeout: 10000,
+});
+
+// Resolve on the next tick so mock mode goes through the same loading path
+const mockResponse = (data) => new Promise(resolve => setTimeout(() => resolve(data), 0));
+
+export async function fetchPatients() {
+    if (USE_MOCK_DATA) return mockResponse(mock.patients);
+    const { data } = await api.get('/api/patients');
+    return toPatients(data);
+}
+
+export async function fetchMetrics(patientId) {
+    if (USE_MOCK_DATA) return mockResponse(mock.metricsData[patientId] ?? null);
+    try {
+        const { data } = await api.get(`/api/metrics/${encodeURIComponent(patientId)}`);
+        return toMetrics(data);
+    } catch (err) {
+        // No metrics for this patient is an empty state, not an error
+        if (err.response?.status === 404) return null;
+        throw err;
+    }
+}
+
+export async function fetchModelAverage() {
+    if (USE_MOCK_DATA) return mockResponse(mock.modelAverage);
+    const { data } = await api.get('/api/metrics/average');
+    return toMetrics(data);
+}
+
+// Reconstructed mesh descriptor, or null when the patient has none
+export async function fetchMeshInfo(patientId) {
+    // Mock data ships no meshes — the viewer falls back to the reference anatomy
+    if (USE_MOCK_DATA) return mockResponse(null);
+    try {
+        const { data } = await api.get(`/api/meshes/${encodeURIComponent(patientId)}`);
+        return toMeshInfo(data);
+    } catch (err) {
+        if (err.response?.status === 404) return null;
+        throw err;
+    }
+}
+
+export async function fetchCenterlines(patientId) {
+    if (USE_MOCK_DATA) return mockResponse(null);
+    try {
+        const { data } = await api.get(`/api/centerlines/${encodeURIComponent(patientId)}`);
+        return toCenterlines(data);
+    } catch (err) {
+        if (err.response?.status === 404) return null;
+        throw err;
+    }
+}
+
+// Per-vessel values for the reference anatomy's colour map, or null when none
+export async function fetchVesselScalars(patientId) {
+    if (USE_MOCK_DATA) return mockResponse(null);
+    try {
+        const { data } = await api.get(`/api/vessel-scalars/${encodeURIComponent(patientId)}`);
+        return toVesselScalars(data);
+    } catch (err) {
+        if (err.response?.status === 404) return null;
+        throw err;
+    }
+}
+
+export async function fetchVolumeInfo(patientId) {
+    // No CT volumes in mock mode — local .nii files can still be opened
+    if (USE_MOCK_DATA) return mockResponse(null);
+    try {
+        const { data } = await api.get(`/api/volumes/${encodeURIComponent(patientId)}`);
+        return toVolumeInfo(data);
+    } catch (err) {
+        if (err.response?.status === 404) return null;
+        throw err;
+    }
+}
+
+// ─── 3D annotations (pins with a note) per patient ───
+// Mock mode keeps them in memory for the session
+const mockAnnotations = new Map();
+
+export async function fetchAnnotations(patientId) {
+    if (USE_MOCK_DATA) return mockResponse([...(mockAnnotations.get(patientId) ?? [])]);
+    const { data } = await api.get(`/api/annotations/${encodeURIComponent(patientId)}`);
+    return toAnnotations(data);
+}
+
+// `annotation` is `{ model, position, vessel, note, severity, author }`
+export async function createAnnotation(patientId, annotation) {
+    if (USE_MOCK_DATA) {
+        const created = toAnnotation({ ...annotation, id: crypto.randomUUID(), createdAt: new Date().toISOString() });
+        mockAnnotations.set(patientId, [...(mockAnnotations.get(patientId) ?? []), created]);
+        return mockResponse(created);
+    }
+    const { data } = await api.post(`/api/annotations/${encodeURIComponent(patientId)}`, annotation);
+    return toAnnotation(data);
+}
+
+export async function deleteAnnotation(patientId, annotationId) {
+    if (USE_MOCK_DATA) {
+        mockAnnotations.set(patientId, (mockAnnotations.get(patientId) ?? []).filter(a => a.id !== annotationId));
+        return mockResponse(null);
+    }
+    await api.delete(`/api/annotations/${encodeURIComponent(patientId)}/${encodeURIComponent(annotationId)}`);
+    return null;
+}
+
+/**
+ * Download a binary asset as an ArrayBuffer.
+ * `onProgress` receives a 0–100 percentage, or null when the size is unknown.
+ */
+export async function downloadBinary(url, { onProgress, signal } = {}) {
+    const { data } = await api.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 0,
+        signal,
+        onDownloadProgress: (e) => {
+            onProgress?.(e.total ? Math.round((e.loaded / e.total) * 100) : null);
+        },
+    });
+    return data;
+}
+
+// Replies slower than this mark the server as degraded
+export const DEGRADED_LATENCY_MS = 1000;
+const HEALTH_TIMEOUT_MS = 5000;
+
+/**
+ * Probe /api/server and time the round trip.
+ * Resolves to `{ ok, latency, server, error }` — never rejects.
+ */
+export async function checkServerHealth() {
+    const started = performance.now();
+    try {
+        const server = USE_MOCK_DATA
+            ? await mockResponse(mock.serverStatus)
+            : toServerStatus((await api.get('/api/server', { timeout: HEALTH_TIMEOUT_MS })).data);
+        return { ok: true, latency: Math.round(performance.now() - started), server, error: null };
+    } catch (error) {
+        return { ok: false, latency: null, server: null, error };
+    }
+}
+
+export async function fetchSystemLogs() {
+    if (USE_MOCK_DATA) return mockResponse(mock.systemLogs);
+    const { data } = await api.get('/api/logs');
+    return toLogEntries(data);
+}
+
+// Queue a new reconstruction run for a patient
+export async function reprocessPatient(patientId) {
+    if (USE_MOCK_DATA) return mockResponse({ patientId, status: 'queued' });
+    const { data } = await api.post(`/api/patients/${encodeURIComponent(patientId)}/reprocess`);
+    return data;
+}
+
+// Human-readable message for an axios / network error
+export function describeError(err) {
+    if (!err) return '';
+    if (err.response) {
+        return `Server responded with ${err.response.status}${err.response.statusText ? ` ${err.response.statusText}` : ''}`;
+    }
+    if (err.code === 'ECONNABORTED') return 'Request timed out';
+    if (err.request) return `Cannot reach the server at ${API_BASE_URL}`;
+    return err.message || 'Unexpected error';
+}
@@ -0,0 +1,181 @@
+// Server-Sent Events with automatic reconnect and exponential backoff
+import { API_BASE_URL, USE_MOCK_DATA } from './client';
+import { toJobProgress, toJobList, toLogEntry, toLogEntries } from './transforms';
+import { processingJobs, pipelineStages, systemLogs } from '../data/mockData';
+
+const DEFAULT_BACKOFF = {
+    initialDelay: 1000,
+    maxDelay: 30000,
+    factor: 2,
+};
+
+/**
+ * Open an EventSource on `path` and keep it open.
+ *
+ * `events` maps SSE event names to handlers receiving the parsed JSON payload.
+ * `onStatusChange` receives `{ status, retryIn }` where status is one of
+ * 'connecting' | 'open' | 'reconnecting'. The browser's built-in retry is
+ * replaced by our own backoff so a long outage does not hammer the backend.
+ *
+ * Returns a function that closes the stream for good.
+ */
+export function openEventStream(path, { events, onStatusChange }, backoff = DEFAULT_BACKOFF) {
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let closed = false;
+
+    const connect = () => {
+        onStatusChange?.({ status: attempt === 0 ? 'connecting' : 'reconnecting', retryIn: null });
+        source = new EventSource(`${API_BASE_URL}${path}`);
+
+        source.onopen = () => {
+            attempt = 0;
+            onStatusChange?.({ status: 'open', retryIn: null });
+        };
+
+        Object.entries(events).forEach(([name, handler]) => {
+            source.addEventListener(name, (e) => {
+                try {
+                    handler(JSON.parse(e.data));
+                } catch {
+                    // Drop a malformed event; the stream itself stays open
+                }
+            });
+        });
+
+        source.onerror = () => {
+            source.close();
+            if (closed) return;
+            const delay = Math.min(
+                backoff.maxDelay,
+                backoff.initialDelay * backoff.factor ** attempt
+            );
+            // ±20% jitter so many open dashboards don't reconnect in lockstep
+            const retryIn = Math.round(delay * (0.8 + Math.random() * 0.4));
+            attempt += 1;
+            onStatusChange?.({ status: 'reconnecting', retryIn });
+            retryTimer = setTimeout(connect, retryIn);
+        };
+    };
+
+    connect();
+
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        source?.close();
+    };
+}
+
+
+// ─── Processing job progress (/api/jobs/stream) ────────────────────────────
+
+// Offline stand-in for the backend stream: advances the mock jobs once a
+// second and restarts each one a while after it completes.
+function simulateJobProgress({ onSnapshot, onProgress, onStatusChange }) {
+    const IDLE_TICKS = 20;
+    let jobs = processingJobs.map(job => ({ ...job, cycle: 0, idle: 0 }));
+
+    onStatusChange?.({ status: 'open', retryIn: null });
+    const snapshotTimer = setTimeout(() => onSnapshot(toJobList(jobs)), 0);
+
+    const timer = setInterval(() => {
+        jobs = jobs.map(job => {
+            if (job.status === 'completed') {
+                if (job.idle < IDLE_TICKS) return { ...job, idle: job.idle + 1 };
+                const cycle = job.cycle + 1;
+                return {
+                    ...job,
+                    cycle,
+                    idle: 0,
+                    jobId: `${job.patientId}-${cycle}`,
+                    status: 'running',
+                    stage: pipelineStages[0].name,
+                    progress: 0,
+                    eta: 300,
+                };
+            }
+            const progress = Math.min(100, job.progress + 1);
+            const stage = pipelineStages.find(s => progress < s.until);
+            return progress >= 100
+                ? { ...job, status: 'completed', stage: 'Completed', progress: 100, eta: 0 }
+                : { ...job, stage: stage.name, progress, eta: Math.max(0, job.eta - 3) };
+        });
+        jobs.filter(job => job.idle === 0).forEach(job => onProgress(toJobProgress(job)));
+    }, 1000);
+
+    return () => {
+        clearTimeout(snapshotTimer);
+        clearInterval(timer);
+    };
+}
+
+/**
+ * Subscribe to live job progress. `onSnapshot` receives the full job list on
+ * every (re)connect, `onProgress` a single updated job.
+ */
+export function subscribeJobProgress(handlers) {
+    if (USE_MOCK_DATA) return simulateJobProgress(handlers);
+    return openEventStream('/api/jobs/stream', {
+        events: {
+            snapshot: (data) => handlers.onSnapshot(toJobList(data)),
+            progress: (data) => {
+                const job = toJobProgress(data);
+                if (job) handlers.onProgress(job);
+            },
+        },
+        onStatusChange: handlers.onStatusChange,
+    });
+}
+
+
+// ─── System log tail (/api/logs/stream) ────────────────────────────────────
+
+const MOCK_LOG_TEMPLATES = [
+    { level: 'INFO', message: (p) => `${p} - Preprocessing started` },
+    { level: 'INFO', message: (p) => `${p} - Vessel Segmentation started` },
+    { level: 'INFO', message: (p) => `${p} - Centerline Extraction started` },
+    { level: 'WARNING', message: (p) => `${p} - Low confidence in vessel branch detection` },
+    { level: 'INFO', message: (p) => `${p} - 3D Reconstruction started` },
+    { level: 'INFO', message: (p) => `${p} reconstruction completed successfully` },
+];
+
+// Offline stand-in for the backend log stream: one entry every few seconds
+function simulateSystemLogs({ onSnapshot, onEntry, onStatusChange }) {
+    let seq = 0;
+    onStatusChange?.({ status: 'open', retryIn: null });
+    const snapshotTimer = setTimeout(() => onSnapshot(toLogEntries(systemLogs)), 0);
+
+    const timer = setInterval(() => {
+        const template = MOCK_LOG_TEMPLATES[seq % MOCK_LOG_TEMPLATES.length];
+        const job = processingJobs[Math.floor(seq / MOCK_LOG_TEMPLATES.length) % processingJobs.length];
+        seq += 1;
+        onEntry(toLogEntry({
+            id: `mock-${seq}`,
+            time: new Date().toTimeString().slice(0, 8),
+            level: template.level,
+            message: template.message(job.patientId),
+        }));
+    }, 4000);
+
+    return () => {
+        clearTimeout(snapshotTimer);
+        clearInterval(timer);
+    };
+}
+
+/**
+ * Subscribe to the live system log. `onSnapshot` receives the recent history
+ * (newest first) on every (re)connect, `onEntry` each new entry.
+ */
+export function subscribeSystemLogs(handlers) {
+    if (USE_MOCK_DATA) return simulateSystemLogs(handlers);
+    return openEventStream('/api/logs/stream', {
+        events: {
+            snapshot: (data) => handlers.onSnapshot(toLogEntries(data)),
+            log: (data) => handlers.onEntry(toLogEntry(data)),
+        },
+        onStatusChange: handlers.onStatusChange,
+    });
+}
@@ -0,0 +1,150 @@
+// Adapters: backend response shapes → the shapes the UI components expect
+
+// Backend metric names → keys used by MetricsReport
+const METRIC_KEYS = {
+    clDice: 'clDice',
+    'Dice Score': 'dice',
+    Dice: 'dice',
+    IoU: 'iou',
+};
+
+export function toPatient(raw) {
+    return {
+        id: raw.id,
+        name: raw.name ?? '',
+        age: raw.age ?? null,
+        status: raw.status ?? 'queued',
+        inferenceTime: raw.inferenceTime ?? null,
+        result: raw.result ?? 'Queued',
+        date: raw.date ?? '',
+    };
+}
+
+export function toPatients(raw) {
+    return Array.isArray(raw) ? raw.map(toPatient) : [];
+}
+
+// [{ metric: 'Dice Score', value: 0.88 }, ...] → { clDice, dice, iou }
+// Returns null when the backend has no metrics for the patient.
+export function toMetrics(raw) {
+    if (!Array.isArray(raw) || raw.length === 0) return null;
+    const metrics = {};
+    raw.forEach(({ metric, value }) => {
+        const key = METRIC_KEYS[metric];
+        if (key && typeof value === 'number') metrics[key] = value;
+    });
+    return ['clDice', 'dice', 'iou'].every(k => k in metrics) ? metrics : null;
+}
+
+// Job progress event from /api/jobs/stream
+export function toJobProgress(raw) {
+    if (!raw || !raw.jobId) return null;
+    return {
+        jobId: raw.jobId,
+        patientId: raw.patientId ?? '',
+        patientName: raw.patientName ?? '',
+        status: raw.status ?? 'running',
+        stage: raw.stage ?? '',
+        progress: Math.max(0, Math.min(100, raw.progress ?? 0)),
+        eta: raw.eta ?? null,
+        receivedAt: Date.now(),
+    };
+}
+
+export function toJobList(raw) {
+    return Array.isArray(raw) ? raw.map(toJobProgress).filter(Boolean) : [];
+}
+
+const MESH_FORMATS = ['obj', 'stl', 'ply', 'glb'];
+
+// Reconstructed mesh descriptor from /api/meshes/{id}
+export function toMeshInfo(raw) {
+    if (!raw?.url) return null;
+    const format = String(raw.format ?? raw.url.split('.').pop()).toLowerCase();
+    if (!MESH_FORMATS.includes(format)) return null;
+    return {
+        patientId: raw.patientId ?? '',
+        format,
+        url: raw.url,
+        sizeBytes: raw.sizeBytes ?? null,
+        units: raw.units ?? 'mm',
+        spacing: Array.isArray(raw.spacing) && raw.spacing.length === 3 ? raw.spacing.map(Number) : null,
+        // Ground-truth surface in the same frame, for the prediction overlay
+        groundTruth: raw.groundTruth?.url && MESH_FORMATS.includes(String(raw.groundTruth.format).toLowerCase())
+            ? { url: raw.groundTruth.url, format: String(raw.groundTruth.format).toLowerCase() }
+            : null,
+    };
+}
+
+// { image: { url, sizeBytes }, mask: {...} | null }; null when there is no CT
+export function toVolumeInfo(raw) {
+    const file = (f) => (f?.url ? { url: f.url, sizeBytes: f.sizeBytes ?? null } : null);
+    const image = file(raw?.image);
+    if (!image) return null;
+    return { patientId: raw.patientId ?? '', image, mask: file(raw.mask) };
+}
+
+// Patient centerlines in mm; vessels with mismatched points / radii are dropped
+export function toCenterlines(raw) {
+    const vessels = (raw?.vessels ?? [])
+        .filter(v => Array.isArray(v.points) && Array.isArray(v.radii)
+            && v.points.length >= 2 && v.points.length === v.radii.length)
+        .map((v, i) => ({
+            label: v.label ?? `Vessel ${i + 1}`,
+            type: v.type === 'vein' ? 'vein' : 'artery',
+            points: v.points.map(p => p.map(Number)),
+            radii: v.radii.map(Number),
+        }));
+    return vessels.length > 0 ? vessels : null;
+}
+
+// Per-vessel values keyed by reference vessel id; non-numeric entries are dropped
+export function toVesselScalars(raw) {
+    const values = Object.fromEntries(Object.entries(raw?.values ?? {})
+        .filter(([, value]) => typeof value === 'number' && Number.isFinite(value)));
+    if (Object.keys(values).length === 0) return null;
+    return { name: raw.name ?? 'Per-vessel value', unit: raw.unit ?? '', values };
+}
+
+const ANNOTATION_SEVERITIES = ['note', 'mild', 'moderate', 'severe'];
+
+// Pin on the 3D model; null when the position is unusable
+export function toAnnotation(raw) {
+    if (!raw?.id || !Array.isArray(raw.position) || raw.position.length !== 3) return null;
+    return {
+        id: String(raw.id),
+        model: raw.model === 'reference' ? 'reference' : 'patient',
+        position: raw.position.map(Number),
+        vessel: raw.vessel ?? null,
+        note: raw.note ?? '',
+        severity: ANNOTATION_SEVERITIES.includes(raw.severity) ? raw.severity : 'note',
+        author: raw.author ?? '',
+        createdAt: raw.createdAt ?? null,
+    };
+}
+
+export function toAnnotations(raw) {
+    return Array.isArray(raw) ? raw.map(toAnnotation).filter(Boolean) : [];
+}
+
+export function toServerStatus(raw) {
+    return {
+        online: Boolean(raw?.online),
+        version: raw?.version ?? '',
+        gpu: raw?.gpu ?? '',
+        modelVersion: raw?.modelVersion ?? '',
+    };
+}
+
+export function toLogEntry(raw) {
+    return {
+        id: raw.id ?? `${raw.time}|${raw.level}|${raw.message}`,
+        time: raw.time ?? '',
+        level: (raw.level ?? 'INFO').toUpperCase(),
+        message: raw.message ?? '',
+    };
+}
+
+export function toLogEntries(raw) {
+    return Array.isArray(raw) ? raw.map(toLogEntry) : [];
+}
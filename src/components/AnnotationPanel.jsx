@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Button, Input, Segmented, Popconfirm, Tooltip, Spin, ConfigProvider, theme } from 'antd';
+import { PushpinOutlined, CloseOutlined, DeleteOutlined, UserOutlined } from '@ant-design/icons';
+import { ANNOTATION_SEVERITIES, MAX_NOTE_LENGTH } from '../viewer/annotations';
+import { CURRENT_USER } from '../data/currentUser';
+import { describeError } from '../api/client';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+// ─── Note / severity / author form for a freshly placed pin ────────────────
+function DraftForm({ vessel, saving, onSave, onCancel }) {
+    const [note, setNote] = useState('');
+    const [severity, setSeverity] = useState('note');
+    const [author, setAuthor] = useState(CURRENT_USER.name);
+    const valid = note.trim() && author.trim();
+
+    return (
+        <div className="annotation-draft">
+            <div className="annotation-draft-at">New pin{vessel ? ` on ${vessel}` : ''}</div>
+            <Input.TextArea
+                autoFocus
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="e.g. suspected 70% stenosis, proximal LAD"
+                maxLength={MAX_NOTE_LENGTH}
+                autoSize={{ minRows: 2, maxRows: 5 }}
+            />
+            <Segmented
+                size="small"
+                block
+                value={severity}
+                onChange={setSeverity}
+                options={Object.entries(ANNOTATION_SEVERITIES).map(([value, { label, color }]) => ({
+                    value,
+                    label: <span><span className="legend-dot" style={{ background: color }} /> {label}</span>,
+                }))}
+            />
+            <Input size="small" prefix={<UserOutlined />} value={author} onChange={(e) => setAuthor(e.target.value)} />
+            <div className="annotation-draft-actions">
+                <Button size="small" onClick={onCancel}>Cancel</Button>
+                <Button
+                    size="small"
+                    type="primary"
+                    disabled={!valid}
+                    loading={saving}
+                    onClick={() => onSave({ note: note.trim(), severity, author: author.trim() })}
+                >
+                    Save pin
+                </Button>
+            </div>
+        </div>
+    );
+}
+
+// ─── Side panel listing the pins on the current model ──────────────────────
+function AnnotationPanel({
+    pins, loading, error, activeId, onFocus, onDelete, otherCount, otherLabel,
+    placing, onPlacingChange, draft, saving, onSave, onCancelDraft, onClose,
+}) {
+    let list;
+    if (error) {
+        list = <div className="annotation-empty">Could not load annotations: {describeError(error)}</div>;
+    } else if (loading && pins.length === 0) {
+        list = <div className="annotation-empty"><Spin size="small" /> Loading annotations…</div>;
+    } else if (pins.length === 0) {
+        list = <div className="annotation-empty">No pins yet — choose Add pin, then click the model.</div>;
+    } else {
+        list = (
+            <div className="annotation-list">
+                {pins.map((pin) => {
+                    const severity = ANNOTATION_SEVERITIES[pin.severity];
+                    return (
+                        <div
+                            key={pin.id}
+                            className={`annotation-item${pin.id === activeId ? ' is-active' : ''}`}
+                            onClick={() => onFocus(pin)}
+                        >
+                            <span className="legend-dot" style={{ background: severity.color }} />
+                            <div className="annotation-item-body">
+                                <div className="annotation-item-note">{pin.note}</div>
+                                <div className="annotation-item-meta">
+                                    {severity.label} · {pin.author} · {formatDate(pin.createdAt)}
+                                    {pin.vessel && <> · {pin.vessel}</>}
+                                </div>
+                            </div>
+                            <Popconfirm
+                                title="Delete this pin?"
+                                okText="Delete"
+                                okButtonProps={{ danger: true }}
+                                onConfirm={(e) => { e?.stopPropagation(); onDelete(pin); }}
+                                onCancel={(e) => e?.stopPropagation()}
+                            >
+                                <Button type="text" size="small" icon={<DeleteOutlined />} onClick={(e) => e.stopPropagation()} />
+                            </Popconfirm>
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    }
+
+    return (
+        <ConfigProvider theme={{ algorithm: theme.darkAlgorithm }}>
+            <div className="annotation-panel">
+                <div className="vessel-browser-header">
+                    <span className="vessel-browser-title">📌 Annotations</span>
+                    <span className="vessel-browser-count">{pins.length}</span>
+                    <Tooltip title={placing ? 'Cancel (Esc)' : 'Click the model to place a pin'}>
+                        <Button
+                            size="small"
+                            icon={<PushpinOutlined />}
+                            type={placing ? 'primary' : 'default'}
+                            onClick={() => onPlacingChange(!placing)}
+                        >
+                            Add pin
+                        </Button>
+                    </Tooltip>
+                    <Button type="text" size="small" icon={<CloseOutlined />} onClick={onClose} />
+                </div>
+
+                {draft && (
+                    <DraftForm key={draft.id} vessel={draft.vessel} saving={saving} onSave={onSave} onCancel={onCancelDraft} />
+                )}
+
+                {list}
+
+                {otherCount > 0 && (
+                    <div className="annotation-other">
+                        {otherCount} more pin{otherCount === 1 ? '' : 's'} on the {otherLabel}
+                    </div>
+                )}
+            </div>
+        </ConfigProvider>
+    );
+}
+
+export default AnnotationPanel;
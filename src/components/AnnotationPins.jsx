@@ -0,0 +1,41 @@
+import React from 'react';
+import { Html } from '@react-three/drei';
+import { ANNOTATION_SEVERITIES } from '../viewer/annotations';
+
+// ─── Annotation pins with screen-space labels ─────────────────────────────
+function AnnotationPins({ pins, activeId, draftPoint, onSelect }) {
+    return (
+        <>
+            {pins.map((pin) => {
+                const { color } = ANNOTATION_SEVERITIES[pin.severity];
+                const active = pin.id === activeId;
+                return (
+                    <group key={pin.id} position={pin.local}>
+                        <mesh renderOrder={20}>
+                            <sphereGeometry args={[active ? 0.09 : 0.07, 12, 12]} />
+                            <meshBasicMaterial color={color} depthTest={false} transparent />
+                        </mesh>
+                        <Html zIndexRange={[16, 6]} style={{ transform: 'translate(8px, -50%)' }}>
+                            <div
+                                className={`annotation-label${active ? ' is-active' : ''}`}
+                                style={{ borderColor: color }}
+                                onClick={() => onSelect(pin)}
+                            >
+                                {pin.note}
+                                {active && <div className="annotation-label-author">{pin.author}</div>}
+                            </div>
+                        </Html>
+                    </group>
+                );
+            })}
+            {draftPoint && (
+                <mesh position={draftPoint} renderOrder={20}>
+                    <sphereGeometry args={[0.09, 12, 12]} />
+                    <meshBasicMaterial color="#ffffff" depthTest={false} transparent />
+                </mesh>
+            )}
+        </>
+    );
+}
+
+export default AnnotationPins;
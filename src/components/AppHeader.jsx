@@ -1,6 +1,7 @@
 import React from 'react';
 import { Avatar, Dropdown, Space, Typography, Badge } from 'antd';
 import { UserOutlined, SettingOutlined, LogoutOutlined, BellOutlined } from '@ant-design/icons';
+import { CURRENT_USER } from '../data/currentUser';
 
 const { Text } = Typography;
 
@@ -72,8 +73,8 @@ function AppHeader() {
                             }}
                         />
                         <div className="user-info">
-                            <Text strong className="user-name">Dr. Smith</Text>
-                            <Text className="user-role">Radiologist</Text>
+                            <Text strong className="user-name">{CURRENT_USER.name}</Text>
+                            <Text className="user-role">{CURRENT_USER.role}</Text>
                         </div>
                     </Space>
                 </Dropdown>
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Modal, Segmented, Select, Checkbox, Radio, Button, Progress, Space } from 'antd';
+import { CameraOutlined, VideoCameraOutlined } from '@ant-design/icons';
+import { CAPTURE_RESOLUTIONS, VIDEO_RESOLUTIONS, VIDEO_MOTIONS } from '../viewer/capture';
+
+const DURATIONS = [6, 10, 15];
+
+const resolutionOptions = (resolutions) => Object.entries(resolutions).map(([value, { label }]) => ({ value, label }));
+
+// ─── Figure / clip export settings ─────────────────────────────────────────
+function CaptureDialog({ open, onClose, hasLegend, onSnapshot, onRecord, onCancelRecording, recording }) {
+    const [kind, setKind] = useState('image');
+    const [resolution, setResolution] = useState('uhd');
+    const [transparent, setTransparent] = useState(false);
+    const [legend, setLegend] = useState(true);
+    const [videoResolution, setVideoResolution] = useState('hd');
+    const [motion, setMotion] = useState('turntable');
+    const [seconds, setSeconds] = useState(10);
+    const busy = recording !== null;
+
+    const footer = kind === 'image' ? (
+        <Button
+            type="primary"
+            icon={<CameraOutlined />}
+            onClick={() => onSnapshot({ ...CAPTURE_RESOLUTIONS[resolution], transparent, legend: legend && hasLegend })}
+        >
+            Save PNG
+        </Button>
+    ) : busy ? (
+        <Button danger onClick={onCancelRecording}>Cancel recording</Button>
+    ) : (
+        <Button
+            type="primary"
+            icon={<VideoCameraOutlined />}
+            onClick={() => onRecord({ ...VIDEO_RESOLUTIONS[videoResolution], motion, seconds, legend: legend && hasLegend })}
+        >
+            Record WebM
+        </Button>
+    );
+
+    return (
+        <Modal
+            title="Capture"
+            open={open}
+            onCancel={onClose}
+            footer={footer}
+            width={420}
+            // Closing mid-recording would leave the cancel button out of reach
+            closable={!busy}
+            mask={{ closable: !busy }}
+            keyboard={!busy}
+        >
+            <Space orientation="vertical" size="middle" className="capture-dialog">
+                <Segmented
+                    block
+                    value={kind}
+                    onChange={setKind}
+                    disabled={busy}
+                    options={[
+                        { label: 'Image', value: 'image', icon: <CameraOutlined /> },
+                        { label: 'Video', value: 'video', icon: <VideoCameraOutlined /> },
+                    ]}
+                />
+
+                {kind === 'image' ? (
+                    <>
+                        <div className="capture-field">
+                            <span>Resolution</span>
+                            <Select value={resolution} onChange={setResolution} options={resolutionOptions(CAPTURE_RESOLUTIONS)} />
+                        </div>
+                        <Checkbox checked={transparent} onChange={(e) => setTransparent(e.target.checked)}>
+                            Transparent background
+                        </Checkbox>
+                    </>
+                ) : (
+                    <>
+                        <Radio.Group value={motion} onChange={(e) => setMotion(e.target.value)} disabled={busy}>
+                            <Space orientation="vertical">
+                                {Object.entries(VIDEO_MOTIONS).map(([key, { label }]) => (
+                                    <Radio key={key} value={key}>{label}</Radio>
+                                ))}
+                            </Space>
+                        </Radio.Group>
+                        <div className="capture-field">
+                            <span>Duration</span>
+                            <Segmented
+                                value={seconds}
+                                onChange={setSeconds}
+                                disabled={busy}
+                                options={DURATIONS.map(s => ({ label: `${s} s`, value: s }))}
+                            />
+                        </div>
+                        <div className="capture-field">
+                            <span>Resolution</span>
+                            <Select
+                                value={videoResolution}
+                                onChange={setVideoResolution}
+                                disabled={busy}
+                                options={resolutionOptions(VIDEO_RESOLUTIONS)}
+                            />
+                        </div>
+                    </>
+                )}
+
+                <Checkbox checked={legend && hasLegend} disabled={!hasLegend || busy} onChange={(e) => setLegend(e.target.checked)}>
+                    Include legend
+                </Checkbox>
+
+                {kind === 'video' && busy && (
+                    <Progress percent={Math.round(recording * 100)} size="small" status="active" />
+                )}
+                <div className="capture-note">
+                    {kind === 'image'
+                        ? 'Rendered from the current camera without glow effects; on-screen labels are not included.'
+                        : 'The camera orbits the current target at the current distance and returns when done.'}
+                </div>
+            </Space>
+        </Modal>
+    );
+}
+
+export default CaptureDialog;
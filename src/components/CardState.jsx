@@ -0,0 +1,34 @@
+import React from 'react';
+import { Alert, Button, Empty, Skeleton } from 'antd';
+import { ReloadOutlined } from '@ant-design/icons';
+import { describeError } from '../api/client';
+
+// Loading / error / empty placeholder shared by every data-driven card.
+// Renders `children` only once data is available.
+function CardState({ loading, error, empty, emptyText = 'No data', onRetry, rows = 3, children }) {
+    if (error) {
+        return (
+            <Alert
+                type="error"
+                showIcon
+                className="card-state-alert"
+                message="Failed to load data"
+                description={describeError(error)}
+                action={onRetry && (
+                    <Button size="small" icon={<ReloadOutlined />} onClick={onRetry}>
+                        Retry
+                    </Button>
+                )}
+            />
+        );
+    }
+    if (loading) {
+        return <Skeleton active paragraph={{ rows }} title={false} />;
+    }
+    if (empty) {
+        return <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description={emptyText} />;
+    }
+    return children;
+}
+
+export default CardState;
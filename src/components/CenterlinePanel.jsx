@@ -0,0 +1,165 @@
+import React, { useMemo } from 'react';
+import { Select, Slider, Table, Tag, Empty, Tooltip as AntTooltip } from 'antd';
+import { InfoCircleOutlined } from '@ant-design/icons';
+import {
+    ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid,
+    Tooltip, ResponsiveContainer, ReferenceDot, ReferenceArea,
+} from 'recharts';
+import { stenosisProfile, stenosisSeverity } from '../viewer/centerline';
+
+const SEVERITY_COLORS = { moderate: '#fa8c16', severe: '#f5222d' };
+
+const ProfileTooltip = ({ active, payload, label }) => {
+    if (!active || !payload?.length) return null;
+    const row = payload[0].payload;
+    return (
+        <div className="metrics-tooltip">
+            <div className="metrics-tooltip-header">{label.toFixed(1)} mm along centerline</div>
+            <div className="metrics-tooltip-row">
+                <span className="metrics-tooltip-dot" style={{ background: '#e03040' }} />
+                <span className="metrics-tooltip-name">Diameter</span>
+                <span className="metrics-tooltip-value">{row.diameter.toFixed(2)} mm</span>
+            </div>
+            <div className="metrics-tooltip-row">
+                <span className="metrics-tooltip-dot" style={{ background: '#8c8c8c' }} />
+                <span className="metrics-tooltip-name">Reference</span>
+                <span className="metrics-tooltip-value">{row.reference.toFixed(2)} mm</span>
+            </div>
+            <div className="metrics-tooltip-desc">{row.percent.toFixed(0)}% diameter stenosis</div>
+        </div>
+    );
+};
+
+// ─── Radius profile + stenosis list for the current model ──────────────────
+function CenterlinePanel({ profiles, lesions, profileIndex, onProfileChange, threshold, onThresholdChange, emptyText }) {
+    const profile = profiles?.[profileIndex] ?? null;
+    const chartData = useMemo(() => (profile
+        ? stenosisProfile(profile).map(x => ({
+            s: x.s,
+            diameter: x.radius * 2,
+            reference: x.reference * 2,
+            percent: x.percent,
+        }))
+        : []), [profile]);
+
+    const lesionRows = useMemo(() => (lesions ?? [])
+        .flatMap((list, index) => list.map((lesion, i) => ({ key: `${index}-${i}`, index, label: profiles[index].label, ...lesion })))
+        .sort((a, b) => b.percent - a.percent), [lesions, profiles]);
+
+    if (!profiles?.length) {
+        return (
+            <div className="centerline-panel">
+                <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description={emptyText} />
+            </div>
+        );
+    }
+
+    const lesionColumns = [
+        { title: 'Vessel', dataIndex: 'label', ellipsis: true },
+        { title: 'Location', dataIndex: 's', width: 90, align: 'right', render: (s) => `${s.toFixed(0)} mm` },
+        {
+            title: 'Stenosis',
+            dataIndex: 'percent',
+            width: 90,
+            render: (p) => <Tag color={SEVERITY_COLORS[stenosisSeverity(p)]}>{p.toFixed(0)}%</Tag>,
+        },
+        {
+            title: 'Min / ref ⌀',
+            key: 'diameter',
+            width: 120,
+            align: 'right',
+            render: (_, r) => `${r.minDiameter.toFixed(1)} / ${r.referenceDiameter.toFixed(1)} mm`,
+        },
+    ];
+
+    return (
+        <div className="centerline-panel">
+            <div className="centerline-header">
+                <span className="measure-panel-title">
+                    🩺 Centerline & Stenosis
+                    <AntTooltip title="Diameter along the vessel centerline. Percent stenosis compares each point with the median diameter of the surrounding segment; runs at or above the threshold are flagged and marked in the 3D view.">
+                        <InfoCircleOutlined className="metrics-info-icon" />
+                    </AntTooltip>
+                </span>
+                <div className="centerline-controls">
+                    <Select
+                        size="small"
+                        showSearch
+                        optionFilterProp="label"
+                        value={profileIndex}
+                        onChange={onProfileChange}
+                        style={{ width: 220 }}
+                        options={profiles.map((p, i) => ({
+                            value: i,
+                            label: lesions?.[i]?.length ? `${p.label} (${lesions[i].length} flagged)` : p.label,
+                        }))}
+                    />
+                    <div className="slice-slider">
+                        <span>≥ {threshold}%</span>
+                        <Slider min={10} max={90} step={5} value={threshold} onChange={onThresholdChange} />
+                    </div>
+                </div>
+            </div>
+
+            {profile && (
+                <div className="centerline-chart">
+                    <ResponsiveContainer width="100%" height={200}>
+                        <ComposedChart data={chartData} margin={{ top: 8, right: 16, left: 0, bottom: 4 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" vertical={false} />
+                            <XAxis
+                                dataKey="s"
+                                type="number"
+                                domain={[0, 'dataMax']}
+                                tick={{ fontSize: 11, fill: '#8c8c8c' }}
+                                tickFormatter={(v) => v.toFixed(0)}
+                                label={{ value: 'mm along centerline', position: 'insideBottomRight', offset: -2, fontSize: 10, fill: '#8c8c8c' }}
+                            />
+                            <YAxis
+                                tick={{ fontSize: 11, fill: '#8c8c8c' }}
+                                tickFormatter={(v) => v.toFixed(1)}
+                                width={44}
+                                domain={[0, 'auto']}
+                                label={{ value: '⌀ mm', angle: -90, position: 'insideLeft', fontSize: 10, fill: '#8c8c8c' }}
+                            />
+                            <Tooltip content={<ProfileTooltip />} />
+                            {(lesions?.[profileIndex] ?? []).map((lesion, i) => (
+                                <ReferenceArea
+                                    key={`area-${i}`}
+                                    x1={Math.max(0, lesion.from - 1)}
+                                    x2={lesion.to + 1}
+                                    fill={SEVERITY_COLORS[stenosisSeverity(lesion.percent)]}
+                                    fillOpacity={0.12}
+                                />
+                            ))}
+                            <Area dataKey="diameter" stroke="none" fill="#e03040" fillOpacity={0.08} isAnimationActive={false} />
+                            <Line dataKey="reference" name="Reference" stroke="#8c8c8c" strokeDasharray="5 4" dot={false} isAnimationActive={false} />
+                            <Line dataKey="diameter" name="Diameter" stroke="#e03040" strokeWidth={2} dot={false} isAnimationActive={false} />
+                            {(lesions?.[profileIndex] ?? []).map((lesion, i) => (
+                                <ReferenceDot
+                                    key={`dot-${i}`}
+                                    x={lesion.s}
+                                    y={lesion.minDiameter}
+                                    r={5}
+                                    fill={SEVERITY_COLORS[stenosisSeverity(lesion.percent)]}
+                                    stroke="#fff"
+                                />
+                            ))}
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                </div>
+            )}
+
+            <Table
+                size="small"
+                columns={lesionColumns}
+                dataSource={lesionRows}
+                pagination={false}
+                scroll={lesionRows.length > 5 ? { y: 180 } : undefined}
+                locale={{ emptyText: `No focal narrowing at or above ${threshold}%` }}
+                onRow={(row) => ({ onClick: () => onProfileChange(row.index), className: 'centerline-lesion-row' })}
+            />
+        </div>
+    );
+}
+
+export default CenterlinePanel;
@@ -0,0 +1,112 @@
+import React, { useRef, useMemo, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Line, TransformControls } from '@react-three/drei';
+import * as THREE from 'three';
+import { clippedRaycast, CLIP_COLORS } from '../viewer/clipping';
+
+// Give every material under `node` (except `skip`) the clipping planes, and
+// stop clipped-away geometry from catching pointer events
+function applyClipping(node, skip, planes) {
+    node.children.forEach((child) => {
+        if (child === skip) return;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((m) => {
+            if (!m || m.clippingPlanes === planes) return;
+            m.clippingPlanes = planes;
+            m.needsUpdate = true;
+        });
+        if (child.isMesh && child.raycast === THREE.Mesh.prototype.raycast) child.raycast = clippedRaycast;
+        applyClipping(child, skip, planes);
+    });
+}
+
+const PLANE_Z = new THREE.Vector3(0, 0, 1);
+
+// ─── Clipping planes (drawn in the model's group frame) ────────────────────
+// Plane helpers plus the clipping of everything else in the same group; the
+// active helper is handed to `onActiveObject` for the transform gizmo
+function ClipPlanes({ planes, activeId, size, onActiveObject }) {
+    const groupRef = useRef();
+    const count = planes.length;
+    const worldPlanes = useMemo(() => Array.from({ length: count }, () => new THREE.Plane()), [count]);
+    const half = size / 2;
+    const outline = [[-half, -half, 0], [half, -half, 0], [half, half, 0], [-half, half, 0], [-half, -half, 0]];
+
+    // Helper poses the world planes were last computed from
+    const posesRef = useRef([]);
+    // Set after every render of the scene around us: planes or materials may
+    // have been added or swapped, so the next frame recomputes and re-applies
+    const stale = useRef(true);
+    useEffect(() => {
+        stale.current = true;
+        posesRef.current = [];
+    });
+
+    // Helpers may be mid-drag, so world planes follow the objects, not the props.
+    // Materials hold `worldPlanes` itself, so moving a plane needs no re-apply
+    useFrame(() => {
+        const group = groupRef.current;
+        if (!group?.parent) return;
+        const point = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        group.children.forEach((helper, i) => {
+            if (!worldPlanes[i]) return;
+            helper.updateWorldMatrix(true, false);
+            const pose = posesRef.current[i];
+            if (pose?.equals(helper.matrixWorld)) return;
+            posesRef.current[i] = helper.matrixWorld.clone();
+            helper.matrixWorld.decompose(point, quaternion, new THREE.Vector3());
+            worldPlanes[i].setFromNormalAndCoplanarPoint(PLANE_Z.clone().applyQuaternion(quaternion), point);
+        });
+        if (!stale.current) return;
+        stale.current = false;
+        applyClipping(group.parent, group, worldPlanes);
+    });
+
+    return (
+        <group ref={groupRef}>
+            {planes.map((plane, i) => {
+                const active = plane.id === activeId;
+                return (
+                    <group
+                        key={plane.id}
+                        ref={active ? onActiveObject : undefined}
+                        position={plane.position}
+                        quaternion={plane.quaternion}
+                    >
+                        <mesh raycast={() => null}>
+                            <planeGeometry args={[size, size]} />
+                            <meshBasicMaterial
+                                color={CLIP_COLORS[i]}
+                                transparent
+                                opacity={active ? 0.1 : 0.05}
+                                side={THREE.DoubleSide}
+                                depthWrite={false}
+                            />
+                        </mesh>
+                        <Line points={outline} color={CLIP_COLORS[i]} lineWidth={active ? 2 : 1} transparent opacity={0.8} />
+                    </group>
+                );
+            })}
+        </group>
+    );
+}
+
+// ─── Gizmo for the active plane's helper; `onCommit` at the end of a drag ──
+export function ClipGizmo({ object, mode, onCommit }) {
+    return (
+        <TransformControls
+            object={object}
+            mode={mode}
+            space="local"
+            size={0.7}
+            // Move along the normal; tilt about the in-plane axes
+            showX={mode === 'rotate'}
+            showY={mode === 'rotate'}
+            showZ={mode === 'translate'}
+            onMouseUp={onCommit}
+        />
+    );
+}
+
+export default ClipPlanes;
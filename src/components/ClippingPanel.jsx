@@ -0,0 +1,97 @@
+import React from 'react';
+import { Button, Dropdown, Segmented, Switch, Table, Tag, Tooltip, Empty } from 'antd';
+import { PlusOutlined, DeleteOutlined, SwapOutlined, InfoCircleOutlined } from '@ant-design/icons';
+import { CLIP_AXES, CLIP_COLORS, MAX_CLIP_PLANES } from '../viewer/clipping';
+
+const equivalentDiameter = (areaMm2) => 2 * Math.sqrt(areaMm2 / Math.PI);
+
+// ─── Clipping planes and the lumen areas of the active cross-section ───────
+function ClippingPanel({
+    planes, activeId, onActivate, onAdd, onFlip, onRemove,
+    gizmoMode, onGizmoModeChange, sectionOn, onSectionChange, sections,
+}) {
+    const columns = [
+        {
+            title: 'Vessel',
+            dataIndex: 'label',
+            ellipsis: true,
+            render: (label, s) => (
+                <>
+                    {label}
+                    {!s.closed && <Tooltip title="Outline is not closed (cut near a vessel end); area is approximate"><Tag className="clip-partial">partial</Tag></Tooltip>}
+                </>
+            ),
+        },
+        { title: 'Area', dataIndex: 'areaMm2', width: 100, align: 'right', render: (a) => `${a.toFixed(1)} mm²` },
+        { title: 'Eq. ⌀', dataIndex: 'areaMm2', key: 'diameter', width: 90, align: 'right', render: (a) => `${equivalentDiameter(a).toFixed(1)} mm` },
+    ];
+
+    return (
+        <div className="clip-panel">
+            <div className="centerline-header">
+                <span className="measure-panel-title">
+                    ✂️ Clipping & Cross-section
+                    <Tooltip title="Each plane hides the model on its far side. Drag the gizmo to move the active plane along its normal or switch to Rotate to tilt it. The cross-section lists every lumen the active plane cuts.">
+                        <InfoCircleOutlined className="metrics-info-icon" />
+                    </Tooltip>
+                </span>
+                <div className="centerline-controls">
+                    <Segmented
+                        size="small"
+                        value={gizmoMode}
+                        onChange={onGizmoModeChange}
+                        options={[{ label: 'Move', value: 'translate' }, { label: 'Rotate', value: 'rotate' }]}
+                    />
+                    <span className="clip-switch">
+                        <Switch size="small" checked={sectionOn} onChange={onSectionChange} /> Cross-section
+                    </span>
+                    <Dropdown
+                        menu={{
+                            items: Object.entries(CLIP_AXES).map(([key, { label }]) => ({ key, label: `${label} plane` })),
+                            onClick: ({ key }) => onAdd(key),
+                        }}
+                        trigger={['click']}
+                        disabled={planes.length >= MAX_CLIP_PLANES}
+                    >
+                        <Button size="small" icon={<PlusOutlined />}>Add plane</Button>
+                    </Dropdown>
+                </div>
+            </div>
+
+            {planes.length === 0 ? (
+                <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description={`Add up to ${MAX_CLIP_PLANES} planes to look inside the model`} />
+            ) : (
+                <div className="clip-planes">
+                    {planes.map((plane, i) => (
+                        <div
+                            key={plane.id}
+                            className={`clip-plane${plane.id === activeId ? ' is-active' : ''}`}
+                            onClick={() => onActivate(plane.id)}
+                        >
+                            <span className="legend-dot" style={{ background: CLIP_COLORS[i] }} />
+                            <span className="clip-plane-label">{CLIP_AXES[plane.axis].label}</span>
+                            <Tooltip title="Flip (keep the other side)">
+                                <Button type="text" size="small" icon={<SwapOutlined />} onClick={(e) => { e.stopPropagation(); onFlip(plane.id); }} />
+                            </Tooltip>
+                            <Button type="text" size="small" icon={<DeleteOutlined />} onClick={(e) => { e.stopPropagation(); onRemove(plane.id); }} />
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {sectionOn && sections && (
+                <Table
+                    size="small"
+                    rowKey="key"
+                    columns={columns}
+                    dataSource={sections}
+                    pagination={false}
+                    scroll={sections.length > 5 ? { y: 180 } : undefined}
+                    locale={{ emptyText: 'The active plane does not cut any vessel' }}
+                />
+            )}
+        </div>
+    );
+}
+
+export default ClippingPanel;
@@ -0,0 +1,61 @@
+import React, { useMemo } from 'react';
+import { CLIP_AXES } from '../viewer/clipping';
+
+const SECTION_COLORS = { artery: '#e04040', vein: '#2b6cb0' };
+// Only the largest lumens get an area label, so small ones stay readable
+const LABELLED = 6;
+
+// ─── 2D outlines of the lumens cut by the active clipping plane ────────────
+function CrossSectionInset({ plane, color, sections }) {
+    // Fit the outlines with a margin; v points up, SVG y points down
+    const viewBox = useMemo(() => {
+        const all = sections.flatMap(s => s.outline);
+        if (!all.length) return null;
+        const xs = all.map(p => p[0]);
+        const ys = all.map(p => -p[1]);
+        const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+        const size = Math.max(maxX - minX, maxY - minY) * 1.15 || 1;
+        return [(minX + maxX - size) / 2, (minY + maxY - size) / 2, size, size];
+    }, [sections]);
+
+    return (
+        <div className="cross-section-inset" style={{ borderColor: color }}>
+            <div className="cross-section-title">
+                {CLIP_AXES[plane.axis].label} section · {sections.length} lumen{sections.length === 1 ? '' : 's'}
+            </div>
+            {viewBox ? (
+                <svg viewBox={viewBox.join(' ')} className="cross-section-svg">
+                    {sections.map((s) => (
+                        <polygon
+                            key={s.key}
+                            points={s.outline.map(([u, v]) => `${u},${-v}`).join(' ')}
+                            fill={SECTION_COLORS[s.type] ?? '#ff7875'}
+                            fillOpacity={0.35}
+                            stroke={SECTION_COLORS[s.type] ?? '#ff7875'}
+                            strokeWidth={1.5}
+                            vectorEffect="non-scaling-stroke"
+                        >
+                            <title>{`${s.label} — ${s.areaMm2.toFixed(1)} mm²`}</title>
+                        </polygon>
+                    ))}
+                    {sections.slice(0, LABELLED).map(s => (
+                        <text
+                            key={s.key}
+                            x={s.centroid[0]}
+                            y={-s.centroid[1]}
+                            fontSize={viewBox[2] * 0.05}
+                            className="cross-section-label"
+                        >
+                            {s.areaMm2.toFixed(0)}
+                        </text>
+                    ))}
+                </svg>
+            ) : (
+                <div className="cross-section-empty">No vessel cut</div>
+            )}
+            <div className="cross-section-unit">areas in mm²</div>
+        </div>
+    );
+}
+
+export default CrossSectionInset;
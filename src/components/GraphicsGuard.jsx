@@ -0,0 +1,75 @@
+import React, { useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+import { Alert, Button, Space } from 'antd';
+import { ReloadOutlined, SyncOutlined } from '@ant-design/icons';
+import { watchContextLoss } from '../viewer/webgl';
+import ViewerErrorBoundary from './ViewerErrorBoundary';
+
+// ─── Inside the canvas: reports 'lost' / 'ready' as the context comes and goes ───
+export function ContextWatcher({ onStatus }) {
+    const gl = useThree(state => state.gl);
+
+    useEffect(() => watchContextLoss(gl.domElement, {
+        onLost: () => onStatus('lost'),
+        onRestored: () => onStatus('ready'),
+    }), [gl, onStatus]);
+
+    return null;
+}
+
+// Shown over the canvas while the 3D view is down
+function GraphicsStatusOverlay({ status, error, onRetry, onShow2d }) {
+    if (status === 'lost') {
+        return (
+            <div className="viewer-status">
+                <Alert
+                    type="warning"
+                    showIcon
+                    icon={<SyncOutlined spin />}
+                    message="Graphics context lost — restoring the 3D view…"
+                    description="The browser or GPU driver reset the 3D context. The view is rebuilt automatically."
+                    action={<Button size="small" onClick={onShow2d}>Show 2D view</Button>}
+                />
+            </div>
+        );
+    }
+    return (
+        <div className="viewer-status">
+            <Alert
+                type="error"
+                showIcon
+                message="The 3D view stopped working"
+                description={error?.message || 'The graphics context could not be restored.'}
+                action={
+                    <Space orientation="vertical" size={4}>
+                        <Button size="small" icon={<ReloadOutlined />} onClick={onRetry}>Try again</Button>
+                        <Button size="small" onClick={onShow2d}>Show 2D view</Button>
+                    </Space>
+                }
+            />
+        </div>
+    );
+}
+
+// ─── The 3D canvas, or `fallback` (the 2D view) when it can't run ─────────
+// `recovery` is useWebglRecovery()'s state; the canvas in `children` should
+// use its `canvasKey` / `mountPose` and hold a <ContextWatcher>.
+function GraphicsGuard({ recovery, onRetry, fallback, children }) {
+    if (recovery.show2d) return fallback;
+    return (
+        <>
+            <ViewerErrorBoundary
+                resetKey={recovery.canvasKey}
+                onError={() => recovery.report('crashed')}
+                fallback={(error) => (
+                    <GraphicsStatusOverlay status="crashed" error={error} onRetry={onRetry} onShow2d={recovery.showFallback} />
+                )}
+            >
+                {children}
+            </ViewerErrorBoundary>
+            {recovery.status === 'lost' && <GraphicsStatusOverlay status="lost" onShow2d={recovery.showFallback} />}
+        </>
+    );
+}
+
+export default GraphicsGuard;
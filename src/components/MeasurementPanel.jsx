@@ -0,0 +1,67 @@
+import React from 'react';
+import { Table, Tag, Button, Space, Dropdown, Tooltip } from 'antd';
+import { DeleteOutlined, DownloadOutlined } from '@ant-design/icons';
+import { MEASURE_TOOLS, formatMm } from '../viewer/measurements';
+
+// List of on-model measurements for the current case, below the 3D viewer
+function MeasurementPanel({ measurements, onDelete, onClear, onExport }) {
+    const columns = [
+        { title: '#', key: 'index', width: 44, render: (_, __, i) => i + 1 },
+        {
+            title: 'Type',
+            dataIndex: 'type',
+            width: 120,
+            render: (type) => <Tag color={MEASURE_TOOLS[type].color} className="measure-tag">{MEASURE_TOOLS[type].label}</Tag>,
+        },
+        {
+            title: 'Value',
+            dataIndex: 'valueMm',
+            width: 100,
+            align: 'right',
+            render: (value) => <span className="measure-value">{formatMm(value)}</span>,
+        },
+        { title: 'Detail', dataIndex: 'detail', ellipsis: true },
+        {
+            key: 'actions',
+            width: 48,
+            render: (_, record) => (
+                <Button type="text" size="small" icon={<DeleteOutlined />} onClick={() => onDelete(record.id)} />
+            ),
+        },
+    ];
+
+    return (
+        <div className="measure-panel">
+            <div className="measure-panel-header">
+                <span className="measure-panel-title">📏 Measurements ({measurements.length})</span>
+                <Space size={8}>
+                    <Dropdown
+                        menu={{
+                            items: [
+                                { key: 'json', label: 'JSON — with endpoints' },
+                                { key: 'csv', label: 'CSV — spreadsheet' },
+                            ],
+                            onClick: ({ key }) => onExport(key),
+                        }}
+                        trigger={['click']}
+                    >
+                        <Button size="small" icon={<DownloadOutlined />}>Export</Button>
+                    </Dropdown>
+                    <Tooltip title="Remove all measurements for this case">
+                        <Button size="small" danger onClick={onClear}>Clear</Button>
+                    </Tooltip>
+                </Space>
+            </div>
+            <Table
+                size="small"
+                rowKey="id"
+                columns={columns}
+                dataSource={measurements}
+                pagination={false}
+                scroll={measurements.length > 5 ? { y: 200 } : undefined}
+            />
+        </div>
+    );
+}
+
+export default MeasurementPanel;
@@ -1,19 +1,20 @@
 import React, { useMemo } from 'react';
-import { Card, Select, Tooltip as AntTooltip, Typography, Empty } from 'antd';
+import { Card, Select, Tooltip as AntTooltip, Typography } from 'antd';
 import { InfoCircleOutlined, ArrowUpOutlined, ArrowDownOutlined, MinusOutlined } from '@ant-design/icons';
 import {
     BarChart, Bar, XAxis, YAxis, CartesianGrid,
     Tooltip, ResponsiveContainer, ReferenceLine, Legend,
 } from 'recharts';
-import { metricsData, modelAverage, patients } from '../data/mockData';
+import CardState from './CardState';
+import { usePatients, usePatientMetrics, useModelAverage } from '../hooks/useApi';
 
 const { Text } = Typography;
 
 // Medical-grade palette
 const COLORS = {
-    clDice: { patient: '#1890ff', average: '#bae0ff' },  // Deep Blue
-    dice: { patient: '#71c1ff', average: '#d6f0ff' },  // Sky Blue
-    iou: { patient: '#52c41a', average: '#d9f7be' },  // Emerald Green
+    clDice: { patient: '#1890ff', compare: '#0050b3', average: '#bae0ff' },  // Deep Blue
+    dice: { patient: '#71c1ff', compare: '#1d7fcf', average: '#d6f0ff' },  // Sky Blue
+    iou: { patient: '#52c41a', compare: '#237804', average: '#d9f7be' },  // Emerald Green
 };
 
 // Metric descriptions for info tooltip
@@ -33,7 +34,7 @@ const CustomChartTooltip = ({ active, payload, label }) => {
                     <div key={i} className="metrics-tooltip-row">
                         <span className="metrics-tooltip-dot" style={{ background: entry.fill || entry.color }} />
                         <span className="metrics-tooltip-name">{entry.name}</span>
-                        <span className="metrics-tooltip-value">{entry.value.toFixed(3)}</span>
+                        <span className="metrics-tooltip-value">{entry.value?.toFixed(3) ?? '—'}</span>
                     </div>
                 ))}
                 <div className="metrics-tooltip-desc">
@@ -68,44 +69,59 @@ function TrendIndicator({ current, average }) {
 }
 
 
-function MetricsReport({ selectedPatient, onPatientChange }) {
-    const availablePatients = patients.filter(
-        p => metricsData[p.id] !== undefined
+// `comparePatient` adds a second case's bars next to the selected one;
+// without `onPatientChange` the patient picker is hidden
+function MetricsReport({ selectedPatient, onPatientChange, comparePatient = null }) {
+    const patients = usePatients();
+    const metrics = usePatientMetrics(selectedPatient);
+    const compareMetrics = usePatientMetrics(comparePatient, Boolean(comparePatient));
+    const average = useModelAverage();
+
+    // Only finished reconstructions have metrics to report
+    const availablePatients = useMemo(
+        () => (patients.data ?? []).filter(p => p.status === 'completed'),
+        [patients.data]
     );
 
-    const patientMetrics = metricsData[selectedPatient];
+    const patientMetrics = metrics.data;
+    const comparedMetrics = compareMetrics.data;
+    const modelAverage = average.data;
 
     // Build grouped chart data
     const chartData = useMemo(() => {
-        if (!patientMetrics) return [];
+        if (!patientMetrics || !modelAverage) return [];
         return [
             {
                 metric: 'clDice',
                 Patient: patientMetrics.clDice,
+                Compare: comparedMetrics?.clDice ?? null,
                 Average: modelAverage.clDice,
             },
             {
                 metric: 'Dice Score',
                 Patient: patientMetrics.dice,
+                Compare: comparedMetrics?.dice ?? null,
                 Average: modelAverage.dice,
             },
             {
                 metric: 'IoU',
                 Patient: patientMetrics.iou,
+                Compare: comparedMetrics?.iou ?? null,
                 Average: modelAverage.iou,
             },
         ];
-    }, [patientMetrics]);
+    }, [patientMetrics, comparedMetrics, modelAverage]);
 
     // Summary cards data
     const summaryCards = useMemo(() => {
-        if (!patientMetrics) return [];
+        if (!patientMetrics || !modelAverage) return [];
         return [
-            { key: 'clDice', label: 'clDice', value: patientMetrics.clDice, avg: modelAverage.clDice, color: COLORS.clDice.patient },
-            { key: 'dice', label: 'Dice Score', value: patientMetrics.dice, avg: modelAverage.dice, color: COLORS.dice.patient },
-            { key: 'iou', label: 'IoU', value: patientMetrics.iou, avg: modelAverage.iou, color: COLORS.iou.patient },
+            { key: 'clDice', label: 'clDice', value: patientMetrics.clDice, compare: comparedMetrics?.clDice, avg: modelAverage.clDice, color: COLORS.clDice.patient },
+            { key: 'dice', label: 'Dice Score', value: patientMetrics.dice, compare: comparedMetrics?.dice, avg: modelAverage.dice, color: COLORS.dice.patient },
+            { key: 'iou', label: 'IoU', value: patientMetrics.iou, compare: comparedMetrics?.iou, avg: modelAverage.iou, color: COLORS.iou.patient },
         ];
-    }, [patientMetrics]);
+    }, [patientMetrics, comparedMetrics, modelAverage]);
+    const barSize = comparePatient ? 24 : 32;
 
     return (
         <Card
@@ -128,10 +144,11 @@ function MetricsReport({ selectedPatient, onPatientChange }) {
                 </div>
             }
             className="metrics-card"
-            extra={
+            extra={onPatientChange && (
                 <Select
                     value={selectedPatient}
                     onChange={onPatientChange}
+                    loading={patients.loading}
                     style={{ width: 155 }}
                     options={availablePatients.map(p => ({
                         label: (
@@ -145,14 +162,22 @@ function MetricsReport({ selectedPatient, onPatientChange }) {
                         value: p.id,
                     }))}
                 />
-            }
+            )}
         >
-            {patientMetrics ? (
+            <CardState
+                loading={metrics.loading || compareMetrics.loading || average.loading}
+                error={metrics.error || compareMetrics.error || average.error}
+                empty={!patientMetrics}
+                emptyText={`No metrics available for ${selectedPatient}`}
+                onRetry={() => { metrics.reload(); compareMetrics.reload(); average.reload(); }}
+                rows={8}
+            >
                 <div className="metrics-content">
                     {/* Subtitle */}
                     <div className="metrics-subtitle">
                         <Text type="secondary" style={{ fontSize: 12 }}>
                             Vessel Connectivity & Accuracy — {selectedPatient}
+                            {comparePatient && ` vs ${comparePatient}${comparedMetrics ? '' : ' (no metrics)'}`}
                         </Text>
                     </div>
 
@@ -208,9 +233,9 @@ function MetricsReport({ selectedPatient, onPatientChange }) {
 
                                 <Bar
                                     dataKey="Patient"
-                                    name="Current Patient"
+                                    name={comparePatient ? selectedPatient : 'Current Patient'}
                                     radius={[4, 4, 0, 0]}
-                                    barSize={32}
+                                    barSize={barSize}
                                     animationDuration={600}
                                     fill="#1890ff"
                                 >
@@ -219,11 +244,26 @@ function MetricsReport({ selectedPatient, onPatientChange }) {
                                         return <rect key={`p-${index}`} fill={fills[index]} />;
                                     })}
                                 </Bar>
+                                {comparePatient && (
+                                    <Bar
+                                        dataKey="Compare"
+                                        name={comparePatient}
+                                        radius={[4, 4, 0, 0]}
+                                        barSize={barSize}
+                                        animationDuration={600}
+                                        fill="#0050b3"
+                                    >
+                                        {chartData.map((entry, index) => {
+                                            const fills = [COLORS.clDice.compare, COLORS.dice.compare, COLORS.iou.compare];
+                                            return <rect key={`c-${index}`} fill={fills[index]} />;
+                                        })}
+                                    </Bar>
+                                )}
                                 <Bar
                                     dataKey="Average"
                                     name="Model Average"
                                     radius={[4, 4, 0, 0]}
-                                    barSize={32}
+                                    barSize={barSize}
                                     animationDuration={600}
                                     fill="#d9d9d9"
                                     opacity={0.7}
@@ -245,6 +285,11 @@ function MetricsReport({ selectedPatient, onPatientChange }) {
                                 <div className="summary-card-value" style={{ color: card.color }}>
                                     {card.value.toFixed(3)}
                                 </div>
+                                {card.compare !== undefined && (
+                                    <div className="summary-card-compare">
+                                        {comparePatient} <b>{card.compare.toFixed(3)}</b>
+                                    </div>
+                                )}
                                 <div className="summary-card-trend">
                                     <TrendIndicator current={card.value} average={card.avg} />
                                     <span className="summary-card-avg">avg {card.avg.toFixed(3)}</span>
@@ -260,9 +305,7 @@ function MetricsReport({ selectedPatient, onPatientChange }) {
                         </Text>
                     </div>
                 </div>
-            ) : (
-                <Empty description="No metrics available for this patient" />
-            )}
+            </CardState>
         </Card>
     );
 }
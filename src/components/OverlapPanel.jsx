@@ -0,0 +1,106 @@
+import React from 'react';
+import { Segmented, Slider, Button, Spin, Tooltip, ConfigProvider, theme } from 'antd';
+import { CloseOutlined } from '@ant-design/icons';
+import { OVERLAY_MODES, OVERLAP_CLASSES, HEATMAP_STOPS } from '../viewer/surfaceCompare';
+import { describeError } from '../api/client';
+
+const formatPercent = (value) => `${(value * 100).toFixed(0)}%`;
+
+// ─── Prediction vs ground-truth overlay controls and legend ────────────────
+// `classes` relabels the TP/FP/FN legend (see DIFFERENCE_CLASSES); without
+// `onClose` the panel can't be dismissed from here; `compareError` is a failed
+// surface comparison
+function OverlapPanel({
+    patientId, title = 'Prediction vs ground truth', classes = OVERLAP_CLASSES, status, error, compareError, stats, reported,
+    mode, onModeChange, toleranceMm, onToleranceChange, maxMm, onMaxChange, onClose,
+}) {
+    let body;
+    if (status === 'missing') {
+        body = (
+            <div className="overlap-panel-note">
+                No ground truth for {patientId} — add {patientId}_gt.stl (or .obj / .ply / .glb) next to the mesh.
+            </div>
+        );
+    } else if (status === 'error') {
+        body = <div className="overlap-panel-note">Could not load the ground truth: {describeError(error)}</div>;
+    } else if (compareError) {
+        body = <div className="overlap-panel-note">Could not compare the surfaces: {compareError.message}</div>;
+    } else if (!stats) {
+        body = <div className="overlap-panel-note"><Spin size="small" /> Comparing surfaces…</div>;
+    } else {
+        body = (
+            <>
+                {mode === 'classes' ? (
+                    <div className="overlap-classes">
+                        {Object.entries(classes).map(([key, cls]) => (
+                            <Tooltip key={key} title={cls.description} placement="left">
+                                <span className="legend-item">
+                                    <span className="legend-dot" style={{ background: cls.color }} />
+                                    {cls.label}
+                                    <span className="overlap-share">{formatPercent(stats[key])}</span>
+                                </span>
+                            </Tooltip>
+                        ))}
+                    </div>
+                ) : (
+                    <div className="overlap-colorbar">
+                        <div className="overlap-colorbar-ramp" style={{ background: `linear-gradient(to right, ${HEATMAP_STOPS.join(', ')})` }} />
+                        <div className="overlap-colorbar-ticks">
+                            <span>0</span>
+                            <span>{(maxMm / 2).toFixed(1)}</span>
+                            <span>≥ {maxMm.toFixed(1)} mm</span>
+                        </div>
+                    </div>
+                )}
+
+                <div className="slice-slider">
+                    {mode === 'classes' ? (
+                        <>
+                            <span>Tolerance {toleranceMm.toFixed(1)} mm</span>
+                            <Slider min={0.5} max={5} step={0.5} value={toleranceMm} onChange={onToleranceChange} />
+                        </>
+                    ) : (
+                        <>
+                            <span>Scale {maxMm.toFixed(0)} mm</span>
+                            <Slider min={1} max={20} step={1} value={maxMm} onChange={onMaxChange} />
+                        </>
+                    )}
+                </div>
+
+                <div className="overlap-stats">
+                    <span>Surface Dice @ {toleranceMm.toFixed(1)} mm</span><span>{stats.surfaceDice.toFixed(2)}</span>
+                    <span>Mean distance</span><span>{stats.meanMm.toFixed(2)} mm</span>
+                    <span>HD95</span><span>{stats.hd95Mm.toFixed(2)} mm</span>
+                    {reported && (
+                        <>
+                            <span>Reported clDice / Dice</span>
+                            <span>{reported.clDice.toFixed(2)} / {reported.dice.toFixed(2)}</span>
+                        </>
+                    )}
+                </div>
+            </>
+        );
+    }
+
+    return (
+        <ConfigProvider theme={{ algorithm: theme.darkAlgorithm }}>
+            <div className="overlap-panel">
+                <div className="overlap-panel-header">
+                    <span className="overlap-panel-title">{title}</span>
+                    {onClose && <Button type="text" size="small" icon={<CloseOutlined />} onClick={onClose} />}
+                </div>
+                <Segmented
+                    size="small"
+                    block
+                    value={mode}
+                    onChange={onModeChange}
+                    disabled={status !== 'ready'}
+                    options={Object.entries(OVERLAY_MODES).map(([value, { label }]) => ({ value, label }))}
+                />
+                {body}
+            </div>
+        </ConfigProvider>
+    );
+}
+
+export default OverlapPanel;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { checkServerHealth, DEGRADED_LATENCY_MS } from '../api/client';
+import { ServerHealthContext } from '../hooks/useServerHealth';
+
+const HEALTH_POLL_INTERVAL = 15000;
+
+// Polls /api/server and shares the result with the sider, footer and pages
+function ServerHealthProvider({ children, interval = HEALTH_POLL_INTERVAL }) {
+    const [health, setHealth] = useState({
+        status: 'checking',
+        latency: null,
+        lastSeen: null,
+        lastChecked: null,
+        server: null,
+        error: null,
+    });
+
+    const recheck = useCallback(async () => {
+        const result = await checkServerHealth();
+        const now = Date.now();
+        setHealth(prev => {
+            if (!result.ok) {
+                return { ...prev, status: 'offline', latency: null, lastChecked: now, error: result.error };
+            }
+            const slow = result.latency > DEGRADED_LATENCY_MS;
+            return {
+                status: slow || !result.server.online ? 'degraded' : 'online',
+                latency: result.latency,
+                lastSeen: now,
+                lastChecked: now,
+                server: result.server,
+                error: null,
+            };
+        });
+    }, []);
+
+    useEffect(() => {
+        const goOffline = () => setHealth(prev => ({ ...prev, status: 'offline', latency: null, lastChecked: Date.now() }));
+        const onVisible = () => { if (document.visibilityState === 'visible') recheck(); };
+
+        const first = setTimeout(recheck, 0);
+        const timer = setInterval(recheck, interval);
+        window.addEventListener('online', recheck);
+        window.addEventListener('offline', goOffline);
+        document.addEventListener('visibilitychange', onVisible);
+        return () => {
+            clearTimeout(first);
+            clearInterval(timer);
+            window.removeEventListener('online', recheck);
+            window.removeEventListener('offline', goOffline);
+            document.removeEventListener('visibilitychange', onVisible);
+        };
+    }, [recheck, interval]);
+
+    const value = useMemo(() => ({
+        ...health,
+        canSubmitJobs: health.status === 'online' || health.status === 'degraded',
+        recheck,
+    }), [health, recheck]);
+
+    return (
+        <ServerHealthContext.Provider value={value}>
+            {children}
+        </ServerHealthContext.Provider>
+    );
+}
+
+export default ServerHealthProvider;
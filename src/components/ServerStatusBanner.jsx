@@ -0,0 +1,53 @@
+import React from 'react';
+import { Alert, Button } from 'antd';
+import { ReloadOutlined } from '@ant-design/icons';
+import { describeError, DEGRADED_LATENCY_MS } from '../api/client';
+import { useServerHealth, formatLastSeen } from '../hooks/useServerHealth';
+
+// Page-level warning shown while the backend is slow or unreachable
+function ServerStatusBanner() {
+    const health = useServerHealth();
+
+    if (health.status === 'offline') {
+        return (
+            <Alert
+                type="error"
+                showIcon
+                banner
+                className="server-status-alert"
+                message="Backend unreachable — new reconstruction jobs are disabled"
+                description={
+                    <>
+                        Last seen {formatLastSeen(health.lastSeen, health.lastChecked)}.
+                        {health.error && ` ${describeError(health.error)}.`}
+                    </>
+                }
+                action={
+                    <Button size="small" icon={<ReloadOutlined />} onClick={health.recheck}>
+                        Retry now
+                    </Button>
+                }
+            />
+        );
+    }
+
+    if (health.status === 'degraded') {
+        return (
+            <Alert
+                type="warning"
+                showIcon
+                banner
+                className="server-status-alert"
+                message={
+                    health.server?.online === false
+                        ? 'Backend reports it is not ready — results may be delayed'
+                        : `Backend is responding slowly (${health.latency} ms, expected < ${DEGRADED_LATENCY_MS} ms)`
+                }
+            />
+        );
+    }
+
+    return null;
+}
+
+export default ServerStatusBanner;
@@ -0,0 +1,284 @@
+import React, { useRef, useMemo, useState, useEffect } from 'react';
+import { Card, Segmented, Slider, Switch, Space, Upload, Button, Tooltip, Progress, Alert, Empty, Tag, App as AntApp } from 'antd';
+import { FolderOpenOutlined } from '@ant-design/icons';
+import CardState from './CardState';
+import { useVolume } from '../hooks/useVolume';
+import { voxelToWorld } from '../viewer/nifti';
+import {
+    WINDOW_PRESETS, SLICE_PLANES, planeLayout, pixelToVoxel, voxelToPixel,
+    renderSlice, sameGrid, cursorVoxel,
+} from '../viewer/volumeSlices';
+
+// Screen-edge orientation letters for each world axis: [negative end, positive end]
+const AXIS_LETTERS = [['R', 'L'], ['P', 'A'], ['I', 'S']].map(([neg, pos]) => ({ neg, pos }));
+
+// Position of the drawn image inside a canvas styled with object-fit: contain
+function contentBox(el) {
+    const rect = el.getBoundingClientRect();
+    const scale = Math.min(rect.width / el.width, rect.height / el.height);
+    const width = el.width * scale;
+    const height = el.height * scale;
+    return {
+        left: rect.left + (rect.width - width) / 2,
+        top: rect.top + (rect.height - height) / 2,
+        width,
+        height,
+    };
+}
+
+// ─── Single slice pane ─────────────────────────────────────────────────────
+function SlicePane({ planeKey, image, mask, voxel, windowing, maskOpacity, onPick, onStep }) {
+    const canvasRef = useRef(null);
+    const plane = SLICE_PLANES[planeKey];
+    const layout = useMemo(() => planeLayout(image, planeKey), [image, planeKey]);
+    const index = voxel[layout.normal];
+
+    // Canvas pixels are stretched to the physical voxel aspect
+    const minSpacing = Math.min(image.spacing[layout.u], image.spacing[layout.v]);
+    const sx = image.spacing[layout.u] / minSpacing;
+    const sy = image.spacing[layout.v] / minSpacing;
+    const canvasWidth = Math.round(layout.width * sx);
+    const canvasHeight = Math.round(layout.height * sy);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const slice = document.createElement('canvas');
+        slice.width = layout.width;
+        slice.height = layout.height;
+        const sliceCtx = slice.getContext('2d');
+        sliceCtx.putImageData(renderSlice(sliceCtx.createImageData(layout.width, layout.height), {
+            image, mask, layout, index, window: windowing, maskOpacity,
+        }), 0, 0);
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(slice, 0, 0, canvas.width, canvas.height);
+    }, [image, mask, layout, index, windowing, maskOpacity, canvasWidth, canvasHeight]);
+
+    // Wheel scrolls through slices; registered natively so it can preventDefault
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return undefined;
+        const onWheel = (e) => {
+            e.preventDefault();
+            onStep(layout.normal, e.deltaY > 0 ? -1 : 1);
+        };
+        canvas.addEventListener('wheel', onWheel, { passive: false });
+        return () => canvas.removeEventListener('wheel', onWheel);
+    }, [layout, onStep]);
+
+    const pick = (e) => {
+        const box = contentBox(canvasRef.current);
+        const x = Math.floor(((e.clientX - box.left) / box.width) * layout.width);
+        const y = Math.floor(((e.clientY - box.top) / box.height) * layout.height);
+        if (x < 0 || y < 0 || x >= layout.width || y >= layout.height) return;
+        onPick(pixelToVoxel(layout, voxel, x, y));
+    };
+
+    const [px, py] = voxelToPixel(layout, voxel);
+    const letters = (worldAxis, direction) => (direction < 0
+        ? [AXIS_LETTERS[worldAxis].pos, AXIS_LETTERS[worldAxis].neg]
+        : [AXIS_LETTERS[worldAxis].neg, AXIS_LETTERS[worldAxis].pos]);
+    const [left, right] = letters(...plane.u);
+    const [top, bottom] = letters(...plane.v);
+
+    return (
+        <div className="slice-pane">
+            <div className="slice-pane-header">
+                <span>{plane.label}</span>
+                <span className="slice-pane-index">{index + 1} / {image.dims[layout.normal]}</span>
+            </div>
+            <div className="slice-pane-view">
+                <canvas
+                    ref={canvasRef}
+                    width={canvasWidth}
+                    height={canvasHeight}
+                    onPointerDown={(e) => { e.currentTarget.setPointerCapture(e.pointerId); pick(e); }}
+                    onPointerMove={(e) => { if (e.buttons === 1) pick(e); }}
+                />
+                <svg className="slice-crosshair" viewBox={`0 0 ${canvasWidth} ${canvasHeight}`}>
+                    <line x1={(px + 0.5) * sx} x2={(px + 0.5) * sx} y1={0} y2={canvasHeight} />
+                    <line x1={0} x2={canvasWidth} y1={(py + 0.5) * sy} y2={(py + 0.5) * sy} />
+                </svg>
+                <span className="slice-label slice-label-left">{left}</span>
+                <span className="slice-label slice-label-right">{right}</span>
+                <span className="slice-label slice-label-top">{top}</span>
+                <span className="slice-label slice-label-bottom">{bottom}</span>
+            </div>
+        </div>
+    );
+}
+
+
+// ─── Main Slice Viewer ─────────────────────────────────────────────────────
+function SliceViewer({ patientId, cursorMm, onCursorChange }) {
+    const volume = useVolume(patientId);
+    const { image, mask } = volume;
+    const { message } = AntApp.useApp();
+    const [preset, setPreset] = useState('cta');
+    const [windowing, setWindowing] = useState({ center: WINDOW_PRESETS.cta.center, width: WINDOW_PRESETS.cta.width });
+    const [showMask, setShowMask] = useState(true);
+    const [maskOpacity, setMaskOpacity] = useState(0.4);
+
+    const maskFits = sameGrid(image, mask);
+    const voxel = image ? cursorVoxel(image, cursorMm) : null;
+
+    const moveTo = (ijk) => onCursorChange(voxelToWorld(image, ijk));
+    const step = (axis, delta) => {
+        const ijk = [...voxel];
+        ijk[axis] = Math.min(image.dims[axis] - 1, Math.max(0, ijk[axis] + delta));
+        moveTo(ijk);
+    };
+
+    const applyPreset = (key) => {
+        setPreset(key);
+        setWindowing({ center: WINDOW_PRESETS[key].center, width: WINDOW_PRESETS[key].width });
+    };
+    const adjustWindow = (patch) => {
+        setPreset(null);
+        setWindowing(prev => ({ ...prev, ...patch }));
+    };
+
+    const openLocal = async (kind, file) => {
+        try {
+            const parsed = await volume.openFile(kind, file);
+            if (kind === 'mask' && image && !sameGrid(image, parsed)) {
+                message.warning(`${file.name} does not match the CT grid — overlay disabled`);
+            } else {
+                message.success(`Opened ${file.name}`);
+            }
+        } catch (err) {
+            message.error(`Could not open ${file.name}: ${err.message}`);
+        }
+    };
+    const openButton = (kind, label) => (
+        <Upload
+            accept=".nii,.nii.gz,.gz"
+            showUploadList={false}
+            beforeUpload={(file) => { openLocal(kind, file); return false; }}
+        >
+            <Tooltip title={`Open a local ${kind === 'image' ? 'CT' : 'segmentation'} .nii / .nii.gz`}>
+                <Button size="small" icon={<FolderOpenOutlined />}>{label}</Button>
+            </Tooltip>
+        </Upload>
+    );
+
+    const value = image && voxel
+        ? image.data[voxel[0] + voxel[1] * image.dims[0] + voxel[2] * image.dims[0] * image.dims[1]]
+        : null;
+    const label = maskFits && voxel
+        ? mask.data[voxel[0] + voxel[1] * mask.dims[0] + voxel[2] * mask.dims[0] * mask.dims[1]]
+        : null;
+
+    return (
+        <Card
+            title={<span style={{ fontWeight: 600, fontSize: 16 }}>🩻 CT Slices & Segmentation</span>}
+            className="slice-card"
+            extra={
+                <Space size={8}>
+                    {openButton('image', 'CT')}
+                    {openButton('mask', 'Mask')}
+                </Space>
+            }
+        >
+            {volume.status === 'loading' && !image ? (
+                <div className="slice-loading">
+                    <Progress
+                        percent={volume.progress ?? 0}
+                        status="active"
+                        format={(p) => (volume.progress === null ? '…' : `${p}%`)}
+                        strokeColor="#e03040"
+                    />
+                    <span className="viewer-status-text">Loading CT volume for {patientId}</span>
+                </div>
+            ) : (
+                <CardState error={image ? null : volume.error} onRetry={volume.reload}>
+                    {!image ? (
+                        <Empty
+                            image={Empty.PRESENTED_IMAGE_SIMPLE}
+                            description={`No CT volume on the server for ${patientId} — open a local .nii / .nii.gz instead`}
+                        />
+                    ) : (
+                        <>
+                            <div className="slice-toolbar">
+                                <Segmented
+                                    size="small"
+                                    value={preset ?? 'custom'}
+                                    onChange={(key) => { if (key !== 'custom') applyPreset(key); }}
+                                    options={[
+                                        ...Object.entries(WINDOW_PRESETS).map(([key, p]) => ({ label: p.label, value: key })),
+                                        { label: 'Custom', value: 'custom', disabled: true },
+                                    ]}
+                                />
+                                <div className="slice-slider">
+                                    <span>W {windowing.width}</span>
+                                    <Slider min={1} max={4000} value={windowing.width} onChange={(width) => adjustWindow({ width })} />
+                                </div>
+                                <div className="slice-slider">
+                                    <span>L {windowing.center}</span>
+                                    <Slider min={-1000} max={3000} value={windowing.center} onChange={(center) => adjustWindow({ center })} />
+                                </div>
+                                <Space size={6}>
+                                    <Switch size="small" checked={showMask && maskFits} disabled={!maskFits} onChange={setShowMask} />
+                                    <span className="slice-toolbar-label">Mask</span>
+                                </Space>
+                                <div className="slice-slider">
+                                    <Slider
+                                        min={0.1}
+                                        max={0.9}
+                                        step={0.05}
+                                        value={maskOpacity}
+                                        disabled={!maskFits || !showMask}
+                                        onChange={setMaskOpacity}
+                                        tooltip={{ formatter: (v) => `${Math.round(v * 100)}%` }}
+                                    />
+                                </div>
+                            </div>
+
+                            {mask && !maskFits && (
+                                <Alert
+                                    type="warning"
+                                    showIcon
+                                    className="slice-alert"
+                                    message={`Mask grid ${mask.dims.join('×')} does not match the CT grid ${image.dims.join('×')} — overlay disabled`}
+                                />
+                            )}
+                            {volume.maskError && (
+                                <Alert type="warning" showIcon className="slice-alert" message={`Segmentation mask could not be loaded: ${volume.maskError.message}`} />
+                            )}
+
+                            <div className="slice-panes">
+                                {Object.keys(SLICE_PLANES).map(key => (
+                                    <SlicePane
+                                        key={key}
+                                        planeKey={key}
+                                        image={image}
+                                        mask={showMask && maskFits ? mask : null}
+                                        voxel={voxel}
+                                        windowing={windowing}
+                                        maskOpacity={maskOpacity}
+                                        onPick={moveTo}
+                                        onStep={step}
+                                    />
+                                ))}
+                            </div>
+
+                            <div className="slice-readout">
+                                <Tag>voxel {voxel.join(', ')}</Tag>
+                                <Tag>{voxelToWorld(image, voxel).map(v => v.toFixed(1)).join(', ')} mm</Tag>
+                                <Tag color="blue">{Number.isInteger(value) ? value : value.toFixed(1)} HU</Tag>
+                                {label !== null && <Tag color={label > 0 ? 'red' : 'default'}>label {label}</Tag>}
+                                {Object.entries(volume.local).map(([kind, name]) => (
+                                    <Tag key={kind} color="purple">{kind}: {name}</Tag>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </CardState>
+            )}
+        </Card>
+    );
+}
+
+export default SliceViewer;
@@ -6,7 +6,9 @@ import {
     SyncOutlined,
     ClockCircleOutlined,
 } from '@ant-design/icons';
-import { patients, processingStatus, systemLogs } from '../data/mockData';
+import CardState from './CardState';
+import { usePatients, useSystemLogs, refreshPatients } from '../hooks/useApi';
+import { useJobProgress } from '../hooks/useJobProgress';
 
 const { Text } = Typography;
 
@@ -75,36 +77,102 @@ const logLevelColor = {
     ERROR: '#ff4d4f',
 };
 
+// Live-stream connection indicator shown in the Processing Status card
+const connectionTag = {
+    open: { color: 'success', text: 'Live' },
+    connecting: { color: 'processing', text: 'Connecting…' },
+    reconnecting: { color: 'warning', text: 'Reconnecting' },
+};
+
+const jobBadge = {
+    running: 'processing',
+    completed: 'success',
+    failed: 'error',
+};
+
+function formatEta(seconds) {
+    if (seconds === null || seconds === undefined) return '';
+    if (seconds <= 0) return 'finishing…';
+    if (seconds < 60) return `~${seconds}s left`;
+    return `~${Math.ceil(seconds / 60)} min left`;
+}
+
+function ConnectionIndicator({ status, retryIn }) {
+    const cfg = connectionTag[status] || connectionTag.connecting;
+    return (
+        <Tag color={cfg.color} style={{ borderRadius: 12, marginInlineEnd: 0 }}>
+            {cfg.text}
+            {status === 'reconnecting' && retryIn ? ` in ${Math.ceil(retryIn / 1000)}s` : ''}
+        </Tag>
+    );
+}
+
 function SystemStatus() {
+    const patients = usePatients();
+    const logs = useSystemLogs();
+
+    // A finished job changes the patient table and writes log entries
+    const { jobs, connection } = useJobProgress({
+        onJobFinished: () => {
+            refreshPatients();
+            logs.reload();
+        },
+    });
+
     return (
         <div className="system-status-section">
             {/* Processing Progress */}
-            <Card id="processing-status" className="status-card" title={
-                <span style={{ fontWeight: 600, fontSize: 16 }}>
-                    ⚙️ Processing Status
-                </span>
-            }>
-                <div className="processing-info">
-                    <div className="processing-header">
-                        <Badge status="processing" />
-                        <Text strong style={{ marginLeft: 8 }}>
-                            {processingStatus.message}
-                        </Text>
+            <Card
+                id="processing-status"
+                className="status-card"
+                title={
+                    <span style={{ fontWeight: 600, fontSize: 16 }}>
+                        ⚙️ Processing Status
+                    </span>
+                }
+                extra={<ConnectionIndicator {...connection} />}
+            >
+                <CardState
+                    loading={connection.status === 'connecting' && jobs.length === 0}
+                    empty={jobs.length === 0}
+                    emptyText="No jobs in the pipeline"
+                    rows={2}
+                >
+                    <div className="processing-jobs">
+                        {jobs.map((job) => (
+                            <div key={job.jobId} className="processing-info">
+                                <div className="processing-header">
+                                    <Badge status={jobBadge[job.status] || 'default'} />
+                                    <Text strong style={{ marginLeft: 8 }}>
+                                        {job.patientId}
+                                    </Text>
+                                    {job.patientName && (
+                                        <Text type="secondary" style={{ marginLeft: 6 }}>
+                                            {job.patientName}
+                                        </Text>
+                                    )}
+                                    <Text type="secondary" className="processing-eta">
+                                        {job.status === 'running' ? formatEta(job.eta) : job.status}
+                                    </Text>
+                                </div>
+                                <Text type="secondary" style={{ marginBottom: 12, display: 'block' }}>
+                                    Stage: {job.stage}
+                                </Text>
+                                <Progress
+                                    percent={job.progress}
+                                    status={job.status === 'failed' ? 'exception' : job.status === 'running' ? 'active' : undefined}
+                                    strokeColor={job.status === 'failed' ? undefined : {
+                                        '0%': '#1890ff',
+                                        '100%': '#52c41a',
+                                    }}
+                                    trailColor="#f0f0f0"
+                                    strokeWidth={12}
+                                    style={{ marginBottom: 8 }}
+                                />
+                            </div>
+                        ))}
                     </div>
-                    <Text type="secondary" style={{ marginBottom: 12, display: 'block' }}>
-                        Stage: {processingStatus.stage}
-                    </Text>
-                    <Progress
-                        percent={processingStatus.progress}
-                        strokeColor={{
-                            '0%': '#1890ff',
-                            '100%': '#52c41a',
-                        }}
-                        trailColor="#f0f0f0"
-                        strokeWidth={12}
-                        style={{ marginBottom: 8 }}
-                    />
-                </div>
+                </CardState>
             </Card>
 
             {/* Patient Summary Table */}
@@ -113,14 +181,20 @@ function SystemStatus() {
                     📋 Patient Summary
                 </span>
             }>
-                <Table
-                    columns={columns}
-                    dataSource={patients}
-                    rowKey="id"
-                    size="middle"
-                    pagination={{ pageSize: 5 }}
-                    style={{ marginTop: 4 }}
-                />
+                <CardState
+                    error={patients.error}
+                    onRetry={patients.reload}
+                >
+                    <Table
+                        columns={columns}
+                        dataSource={patients.data ?? []}
+                        loading={patients.loading}
+                        rowKey="id"
+                        size="middle"
+                        pagination={{ pageSize: 5 }}
+                        style={{ marginTop: 4 }}
+                    />
+                </CardState>
             </Card>
 
             {/* System Logs */}
@@ -129,20 +203,28 @@ function SystemStatus() {
                     🗒️ System Logs
                 </span>
             }>
-                <div className="logs-container">
-                    {systemLogs.map((log, idx) => (
-                        <div key={idx} className="log-entry">
-                            <Text type="secondary" className="log-time">{log.time}</Text>
-                            <Tag
-                                color={logLevelColor[log.level]}
-                                style={{ borderRadius: 4, minWidth: 65, textAlign: 'center' }}
-                            >
-                                {log.level}
-                            </Tag>
-                            <Text className="log-message">{log.message}</Text>
-                        </div>
-                    ))}
-                </div>
+                <CardState
+                    loading={logs.loading}
+                    error={logs.error}
+                    empty={logs.data?.length === 0}
+                    emptyText="No log entries yet"
+                    onRetry={logs.reload}
+                >
+                    <div className="logs-container">
+                        {(logs.data ?? []).map((log, idx) => (
+                            <div key={idx} className="log-entry">
+                                <Text type="secondary" className="log-time">{log.time}</Text>
+                                <Tag
+                                    color={logLevelColor[log.level]}
+                                    style={{ borderRadius: 4, minWidth: 65, textAlign: 'center' }}
+                                >
+                                    {log.level}
+                                </Tag>
+                                <Text className="log-message">{log.message}</Text>
+                            </div>
+                        ))}
+                    </div>
+                </CardState>
             </Card>
         </div>
     );
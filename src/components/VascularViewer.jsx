@@ -1,159 +1,341 @@
-import React, { useRef, useMemo } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
-import { OrbitControls } from '@react-three/drei';
+import React, { useRef, useMemo, useState, useEffect } from 'react';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import { OrbitControls, Html, Line, PerformanceMonitor } from '@react-three/drei';
 import { EffectComposer, Bloom, Vignette } from '@react-three/postprocessing';
-import { Card, Button, Tooltip, Space } from 'antd';
-import { DownloadOutlined } from '@ant-design/icons';
+import { Card, Button, Tooltip, Space, Segmented, Progress, Alert, Tag, Dropdown, Slider, App as AntApp } from 'antd';
+import {
+    DownloadOutlined, ReloadOutlined, CloseOutlined, UnorderedListOutlined,
+    ColumnWidthOutlined, ColumnHeightOutlined, NodeIndexOutlined, LineChartOutlined, DiffOutlined, ScissorOutlined,
+    EyeOutlined, LinkOutlined, CameraOutlined, SyncOutlined, DashboardOutlined, PushpinOutlined, BranchesOutlined,
+    HeartOutlined, BgColorsOutlined,
+} from '@ant-design/icons';
 import * as THREE from 'three';
-import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { useSearchParams } from 'react-router-dom';
 import { generateFullBodyVasculature } from '../data/vascularAnatomy';
+import {
+    BATCH_MATERIALS, buildVesselGeometry, vesselIdAt, vesselBounds, vesselLength, depthTierLabel,
+    REFERENCE_OFFSET_Y, REFERENCE_MM_PER_UNIT,
+} from '../viewer/vesselGeometry';
+import {
+    EXPORT_FORMATS, EXPORT_SCOPES, vesselExportParts, meshExportParts,
+    exportParts, disposeParts, saveFile,
+} from '../viewer/exporters';
+import { isGzip } from '../viewer/nifti';
+import {
+    MEASURE_TOOLS, createMeasurement, labelAnchor, formatMm, measurementsToJSON, measurementsToCSV,
+} from '../viewer/measurements';
+import {
+    referenceProfile, patientProfile, detectStenoses, stenosisSeverity, DEFAULT_STENOSIS_THRESHOLD,
+} from '../viewer/centerline';
+import {
+    overlapStats, buildOverlay, paintOverlay, disposeOverlay, DEFAULT_TOLERANCE_MM,
+    OVERLAP_CLASSES, DIFFERENCE_CLASSES, HEATMAP_STOPS,
+} from '../viewer/surfaceCompare';
+import { reframeMesh } from '../viewer/meshLoader';
+import { CLIP_COLORS } from '../viewer/clipping';
+import {
+    CAMERA_PRESETS, BODY_REGIONS, CAMERA_FOV, DEFAULT_CAMERA, HOME_VIEW, presetView, regionView,
+} from '../viewer/cameraViews';
+import { readViewState, writeViewState } from '../viewer/viewState';
+import { captureImage, recordVideo } from '../viewer/capture';
+import { QUALITY_TIERS, QUALITY_ORDER, lodForDistance, detailFor } from '../viewer/renderQuality';
+import { parseVesselGraph, graphToVessels } from '../viewer/vesselGraph';
+import { traceVesselPath, stepInTree, TREE_STEP_KEYS, PATH_COLOR } from '../viewer/vesselPaths';
+import {
+    seedFlowParticles, writeFlowPositions, flowSprite, DEFAULT_FLOW_DENSITY, FLOW_COLORS,
+} from '../viewer/bloodFlow';
+import { COLOR_MODES, COLOR_PALETTES, colorScheme } from '../viewer/colorModes';
+import { viewerBackground } from '../viewer/viewerSettings';
+import { CURRENT_USER } from '../data/currentUser';
+import { createRenderer, GRAPHICS_NOTICES } from '../viewer/webgl';
+import VesselBrowser from './VesselBrowser';
+import CenterlinePanel from './CenterlinePanel';
+import MeasurementPanel from './MeasurementPanel';
+import OverlapPanel from './OverlapPanel';
+import ClippingPanel from './ClippingPanel';
+import CrossSectionInset from './CrossSectionInset';
+import ClipPlanes, { ClipGizmo } from './ClipPlanes';
+import CaptureDialog from './CaptureDialog';
+import AnnotationPanel from './AnnotationPanel';
+import AnnotationPins from './AnnotationPins';
+import VesselPathPanel from './VesselPathPanel';
+import ViewerSettings from './ViewerSettings';
+import GraphicsGuard, { ContextWatcher } from './GraphicsGuard';
+import VesselProjection from './VesselProjection';
+import { usePatientMesh, useGroundTruthMesh } from '../hooks/usePatientMesh';
+import { useVesselBatches } from '../hooks/useVesselBatches';
+import { useViewerSettings, useAutoRotate } from '../hooks/useViewerSettings';
+import { useWebglRecovery } from '../hooks/useWebglRecovery';
+import { useClipPlanes } from '../hooks/useClipPlanes';
+import { useAnnotations } from '../hooks/useAnnotations';
+import { useSurfaceComparison } from '../hooks/useSurfaceComparison';
+import {
+    usePatientCenterlines, usePatientMetrics, useVesselScalars,
+} from '../hooks/useApi';
+import { describeError, fetchVolumeInfo, downloadBinary } from '../api/client';
 
-// ─── Depth-graded color palettes ───────────────────────────────────────────
-const ARTERY_COLORS = [
-    new THREE.Color('#9b1b30'),   // depth 0 — aorta (deep crimson)
-    new THREE.Color('#c0392b'),   // depth 1 — large arteries
-    new THREE.Color('#e04040'),   // depth 2 — medium arteries
-    new THREE.Color('#e86c5a'),   // depth 3 — small arteries
-    new THREE.Color('#f5a090'),   // depth 4 — capillaries
-];
-
-const VEIN_COLORS = [
-    new THREE.Color('#1a2d5a'),   // depth 0 — vena cava (deep navy)
-    new THREE.Color('#1e4a8a'),   // depth 1 — large veins
-    new THREE.Color('#2b6cb0'),   // depth 2 — medium veins
-    new THREE.Color('#4a90d9'),   // depth 3 — small veins
-    new THREE.Color('#7eb8e8'),   // depth 4 — venous capillaries
-];
-
-// ─── Subtle organic displacement ───────────────────────────────────────────
-function applySubtleDisplacement(geometry, intensity, seed) {
-    const pos = geometry.attributes.position;
-    const normal = geometry.attributes.normal;
-    const count = pos.count;
-
-    for (let i = 0; i < count; i++) {
-        const x = pos.getX(i);
-        const y = pos.getY(i);
-        const z = pos.getZ(i);
-
-        // Low-frequency organic bumps only (no high-frequency noise)
-        const disp = Math.sin(y * 8.0 + seed) * Math.cos(x * 6.0 + seed * 0.7) * intensity
-            + Math.sin(y * 16.0 + z * 12.0 + seed * 1.5) * intensity * 0.3;
-
-        const nx = normal.getX(i);
-        const ny = normal.getY(i);
-        const nz = normal.getZ(i);
-
-        pos.setXYZ(i, x + nx * disp, y + ny * disp, z + nz * disp);
+// ─── Batch materials per quality tier ──────────────────────────────────────
+// X-ray: unlit, additive and see-through, so overlapping vessels add up
+const XRAY_LOOK = { transparent: true, opacity: 0.22, depthWrite: false, blending: THREE.AdditiveBlending };
+
+function BatchMaterial({ kind, batchKey, display }) {
+    const { transmission, thickness, ...look } = BATCH_MATERIALS[batchKey];
+    if (display === 'xray') {
+        return <meshBasicMaterial vertexColors {...XRAY_LOOK} side={THREE.DoubleSide} />;
+    }
+    const wireframe = display === 'wireframe';
+    if (kind === 'lambert') {
+        return (
+            <meshLambertMaterial vertexColors emissive="#ffffff" {...look} wireframe={wireframe} transparent side={THREE.DoubleSide} />
+        );
+    }
+    if (kind === 'standard') {
+        return (
+            <meshStandardMaterial
+                vertexColors
+                emissive="#ffffff"
+                {...look}
+                wireframe={wireframe}
+                metalness={0.02}
+                transparent
+                side={THREE.DoubleSide}
+                envMapIntensity={0.1}
+            />
+        );
     }
+    return (
+        <meshPhysicalMaterial
+            vertexColors
+            emissive="#ffffff"
+            {...look}
+            wireframe={wireframe}
+            transmission={transmission}
+            thickness={thickness}
+            metalness={0.02}
+            clearcoat={0.45}
+            clearcoatRoughness={0.25}
+            transparent
+            ior={1.38}
+            sheen={0.2}
+            sheenRoughness={0.5}
+            sheenColor="#ffcccc"
+            side={THREE.DoubleSide}
+            envMapIntensity={0.1}
+        />
+    );
+}
 
-    pos.needsUpdate = true;
-    geometry.computeVertexNormals();
+// ─── Vascular System Mesh Component ────────────────────────────────────────
+// Slow side-to-side sway of the model (off: held still, facing the camera)
+function swayAngle(sway, time) {
+    return sway ? Math.sin(time * 0.1) * 0.03 : 0;
 }
 
-// ─── Build merged geometry batches for efficient rendering ─────────────────
-function buildBatches(vessels) {
-    // Group by: type (artery/vein) × size tier (major/medium/small)
-    const groups = {
-        arteryMajor: [],
-        arteryMedium: [],
-        arterySmall: [],
-        veinMajor: [],
-        veinMedium: [],
-        veinSmall: [],
+function VascularSystem({
+    vessels, batches, material, display, sway, hovered, selected, onHover, onPick, onDeselect, children,
+}) {
+    const groupRef = useRef();
+
+    const handlePointerMove = (e) => {
+        e.stopPropagation();
+        const id = vesselIdAt(e);
+        if (id !== hovered) onHover(id);
+    };
+    // Click (not drag) on a vessel; points are kept in group space so they sway along
+    const handleClick = (e) => {
+        const id = vesselIdAt(e);
+        if (e.delta > 4 || id === null) return;
+        e.stopPropagation();
+        onPick({ point: groupRef.current.worldToLocal(e.point.clone()).toArray(), vesselIndex: id });
     };
 
-    vessels.forEach((v, idx) => {
-        const curve = new THREE.CatmullRomCurve3(v.points);
-        const segments = Math.max(20, v.points.length * 2);
-        const radialSeg = v.depth >= 3 ? 6 : v.depth >= 2 ? 8 : 12;
-        const geo = new THREE.TubeGeometry(curve, segments, v.radius, radialSeg, false);
+    useFrame((state) => {
+        if (groupRef.current) groupRef.current.rotation.y = swayAngle(sway, state.clock.elapsedTime);
+    });
 
-        // Apply subtle surface variation
-        if (v.radius > 0.02) {
-            applySubtleDisplacement(geo, v.radius * 0.12, idx * 13.7);
-        }
+    return (
+        <group ref={groupRef} position={[0, REFERENCE_OFFSET_Y, 0]}>
+            {/* Center the model: body goes from y=0..16, so shift down by 8 */}
+            {batches.map(({ key, geometry }) => (
+                <mesh
+                    key={key}
+                    geometry={geometry}
+                    onPointerMove={handlePointerMove}
+                    onPointerOut={() => onHover(null)}
+                    onClick={handleClick}
+                >
+                    <BatchMaterial kind={material} batchKey={key} display={display} />
+                </mesh>
+            ))}
+            {hovered !== null && hovered !== selected?.index && (
+                <VesselHighlight vessel={vessels[hovered]} index={hovered} opacity={0.3} />
+            )}
+            {selected && (
+                <>
+                    <VesselHighlight vessel={vessels[selected.index]} index={selected.index} opacity={0.55} />
+                    <VesselInfo vessel={vessels[selected.index]} point={selected.point} onClose={onDeselect} />
+                </>
+            )}
+            {children}
+        </group>
+    );
+}
 
-        // Apply per-vertex colors
-        const palette = v.type === 'artery' ? ARTERY_COLORS : VEIN_COLORS;
-        const baseColor = palette[Math.min(v.depth, palette.length - 1)];
-        const colors = [];
-        const count = geo.attributes.position.count;
-        for (let i = 0; i < count; i++) {
-            const vary = 0.94 + (Math.sin(i * 0.37 + idx * 5.1) * 0.5 + 0.5) * 0.12;
-            colors.push(baseColor.r * vary, baseColor.g * vary, baseColor.b * vary);
-        }
-        geo.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
 
-        // Classify
-        const key = v.type === 'artery'
-            ? (v.depth <= 1 ? 'arteryMajor' : v.depth <= 2 ? 'arteryMedium' : 'arterySmall')
-            : (v.depth <= 1 ? 'veinMajor' : v.depth <= 2 ? 'veinMedium' : 'veinSmall');
-        groups[key].push(geo);
-    });
+// ─── Highlight overlay for a single reference vessel ──────────────────────
+function VesselHighlight({ vessel, index, opacity }) {
+    // Same index → same displacement seed, so the overlay matches the batch surface
+    const geometry = useMemo(() => buildVesselGeometry(vessel, index), [vessel, index]);
+    useEffect(() => () => geometry.dispose(), [geometry]);
 
-    // Merge each group into a single BufferGeometry
-    const result = [];
-    const materialParams = {
-        arteryMajor: { emissiveIntensity: 0.6, roughness: 0.32, opacity: 0.96, transmission: 0.03, thickness: 2.5 },
-        arteryMedium: { emissiveIntensity: 0.45, roughness: 0.38, opacity: 0.90, transmission: 0.06, thickness: 1.5 },
-        arterySmall: { emissiveIntensity: 0.3, roughness: 0.45, opacity: 0.75, transmission: 0.10, thickness: 0.8 },
-        veinMajor: { emissiveIntensity: 0.45, roughness: 0.38, opacity: 0.93, transmission: 0.05, thickness: 2.0 },
-        veinMedium: { emissiveIntensity: 0.35, roughness: 0.42, opacity: 0.85, transmission: 0.08, thickness: 1.2 },
-        veinSmall: { emissiveIntensity: 0.25, roughness: 0.5, opacity: 0.70, transmission: 0.12, thickness: 0.6 },
-    };
+    return (
+        <mesh geometry={geometry} renderOrder={5} raycast={() => null}>
+            <meshBasicMaterial
+                color="#ffe066"
+                transparent
+                opacity={opacity}
+                depthWrite={false}
+                polygonOffset
+                polygonOffsetFactor={-2}
+            />
+        </mesh>
+    );
+}
 
-    Object.entries(groups).forEach(([key, geos]) => {
-        if (geos.length === 0) return;
-        const merged = mergeGeometries(geos, false);
-        if (merged) {
-            result.push({ geometry: merged, ...materialParams[key] });
-            geos.forEach(g => g.dispose());
-        }
+
+// ─── Blood-flow particles gliding along the centerlines ───────────────────
+function FlowParticles({ vessels, indices, density }) {
+    const particles = useMemo(() => seedFlowParticles(vessels, indices, density), [vessels, indices, density]);
+    const geometry = useMemo(() => {
+        const g = new THREE.BufferGeometry();
+        g.setAttribute('position', new THREE.BufferAttribute(particles.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        g.setAttribute('color', new THREE.BufferAttribute(particles.colors, 3));
+        return g;
+    }, [particles]);
+    const sprite = useMemo(() => flowSprite(), []);
+    const pointsRef = useRef();
+    useEffect(() => () => geometry.dispose(), [geometry]);
+    useEffect(() => () => sprite.dispose(), [sprite]);
+
+    useFrame((state) => {
+        if (!pointsRef.current) return;
+        writeFlowPositions(particles, state.clock.elapsedTime);
+        pointsRef.current.geometry.attributes.position.needsUpdate = true;
     });
 
-    return result;
+    // Positions start at the origin, so the bounds would be wrong for culling
+    return (
+        <points ref={pointsRef} geometry={geometry} frustumCulled={false} renderOrder={12} raycast={() => null}>
+            <pointsMaterial
+                vertexColors
+                map={sprite}
+                size={0.1}
+                transparent
+                depthTest={false}
+                depthWrite={false}
+                blending={THREE.AdditiveBlending}
+            />
+        </points>
+    );
 }
 
 
-// ─── Vascular System Mesh Component ────────────────────────────────────────
-function VascularSystem() {
+// ─── Popover with the picked vessel's attributes ───────────────────────────
+function VesselInfo({ vessel, point, onClose }) {
+    const rows = [
+        ['Type', vessel.type === 'artery' ? 'Artery' : 'Vein'],
+        ['Tier', `${depthTierLabel(vessel)} (depth ${vessel.depth})`],
+        ['Radius', `${(vessel.radius * REFERENCE_MM_PER_UNIT).toFixed(1)} mm`],
+        ['Length', `${Math.round(vesselLength(vessel) * REFERENCE_MM_PER_UNIT)} mm`],
+    ];
+    return (
+        <Html position={point} zIndexRange={[20, 10]}>
+            <div className="vessel-popover">
+                <div className="vessel-popover-header">
+                    <span className={`legend-dot vessel-popover-dot ${vessel.type}`} />
+                    <span className="vessel-popover-title">{vessel.label}</span>
+                    <Button type="text" size="small" icon={<CloseOutlined />} onClick={onClose} />
+                </div>
+                {rows.map(([name, value]) => (
+                    <div key={name} className="vessel-popover-row">
+                        <span>{name}</span>
+                        <span>{value}</span>
+                    </div>
+                ))}
+            </div>
+        </Html>
+    );
+}
+
+
+// ─── Reconstructed Patient Mesh ────────────────────────────────────────────
+// Wireframe / x-ray on loaded meshes (the reference batches use BatchMaterial);
+// each material's own look is kept so 'solid' can restore it
+function applyDisplayMode(object, display) {
+    object.traverse((child) => {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((m) => {
+            if (!m) return;
+            m.userData.solidLook ??= { transparent: m.transparent, opacity: m.opacity, depthWrite: m.depthWrite, blending: m.blending };
+            Object.assign(m, display === 'xray' ? XRAY_LOOK : m.userData.solidLook, { wireframe: display === 'wireframe' });
+            m.needsUpdate = true;
+        });
+    });
+}
+
+function PatientMesh({ mesh, overlay, display, sway, cursorMm, onPick, children }) {
     const groupRef = useRef();
-    const batches = useMemo(() => {
-        const vessels = generateFullBodyVasculature();
-        return buildBatches(vessels);
-    }, []);
+    const shown = overlay ?? mesh.object;
+
+    useEffect(() => {
+        applyDisplayMode(shown, display);
+    }, [shown, display]);
 
     useFrame((state) => {
-        if (groupRef.current) {
-            groupRef.current.rotation.y = Math.sin(state.clock.elapsedTime * 0.1) * 0.03;
-        }
+        if (groupRef.current) groupRef.current.rotation.y = swayAngle(sway, state.clock.elapsedTime);
     });
 
+    // Wall facing the picked one: cast inwards along the surface normal
+    const oppositeWall = (e) => {
+        if (!e.face) return null;
+        const inward = e.face.normal.clone().transformDirection(e.object.matrixWorld).negate();
+        const raycaster = new THREE.Raycaster(e.point.clone().addScaledVector(inward, 1e-3), inward);
+        const hit = raycaster.intersectObject(e.object, false).find(h => h.distance > 1e-3);
+        return hit ? groupRef.current.worldToLocal(hit.point.clone()).toArray() : null;
+    };
+
+    // Click (not drag) on the surface
+    const handleClick = (e) => {
+        if (e.delta > 4) return;
+        e.stopPropagation();
+        onPick({ point: groupRef.current.worldToLocal(e.point.clone()).toArray(), opposite: oppositeWall(e) });
+    };
+
+    const cursor = cursorMm && cursorMm.map((v, i) => (v - mesh.centerMm[i]) * mesh.unitsPerMm);
+
+    // Already centred and scaled by parseMesh(); the comparison overlay shares that frame
     return (
-        <group ref={groupRef} position={[0, -8, 0]}>
-            {/* Center the model: body goes from y=0..16, so shift down by 8 */}
-            {batches.map((batch, i) => (
-                <mesh key={i} geometry={batch.geometry}>
-                    <meshPhysicalMaterial
-                        vertexColors
-                        emissive="#ffffff"
-                        emissiveIntensity={batch.emissiveIntensity}
-                        roughness={batch.roughness}
-                        metalness={0.02}
-                        clearcoat={0.45}
-                        clearcoatRoughness={0.25}
-                        transparent
-                        opacity={batch.opacity}
-                        transmission={batch.transmission}
-                        thickness={batch.thickness}
-                        ior={1.38}
-                        sheen={0.2}
-                        sheenRoughness={0.5}
-                        sheenColor="#ffcccc"
-                        side={THREE.DoubleSide}
-                        envMapIntensity={0.1}
-                    />
+        <group ref={groupRef}>
+            <primitive object={shown} onClick={handleClick} />
+            {cursor && <CursorMarker position={cursor} />}
+            {children}
+        </group>
+    );
+}
+
+
+// ─── 3D cursor linked to the slice viewer crosshair ────────────────────────
+function CursorMarker({ position }) {
+    return (
+        <group position={position} renderOrder={10}>
+            <mesh>
+                <sphereGeometry args={[0.12, 16, 16]} />
+                <meshBasicMaterial color="#00e5ff" depthTest={false} transparent opacity={0.9} />
+            </mesh>
+            {[[0.9, 0.02, 0.02], [0.02, 0.9, 0.02], [0.02, 0.02, 0.9]].map((size, i) => (
+                <mesh key={i}>
+                    <boxGeometry args={size} />
+                    <meshBasicMaterial color="#00e5ff" depthTest={false} transparent opacity={0.6} />
                 </mesh>
             ))}
         </group>
@@ -161,8 +343,235 @@ function VascularSystem() {
 }
 
 
+// ─── Measurement annotations (drawn in the model's group frame) ────────────
+const MEASURE_ICONS = {
+    distance: ColumnWidthOutlined,
+    diameter: ColumnHeightOutlined,
+    path: NodeIndexOutlined,
+};
+
+function MeasurementMarker({ position, color }) {
+    return (
+        <mesh position={position} renderOrder={20}>
+            <sphereGeometry args={[0.05, 12, 12]} />
+            <meshBasicMaterial color={color} depthTest={false} transparent />
+        </mesh>
+    );
+}
+
+function MeasureAnnotations({ measurements, pending, tool }) {
+    return (
+        <>
+            {measurements.map((m) => {
+                const { color } = MEASURE_TOOLS[m.type];
+                return (
+                    <group key={m.id}>
+                        <Line points={m.points} color={color} lineWidth={2} depthTest={false} transparent renderOrder={20} />
+                        <MeasurementMarker position={m.points[0]} color={color} />
+                        <MeasurementMarker position={m.points[m.points.length - 1]} color={color} />
+                        <Html position={labelAnchor(m)} center zIndexRange={[15, 5]}>
+                            <div className="measure-label" style={{ borderColor: color }}>{formatMm(m.valueMm)}</div>
+                        </Html>
+                    </group>
+                );
+            })}
+            {tool && pending.map((hit, i) => (
+                <MeasurementMarker key={i} position={hit.point} color={MEASURE_TOOLS[tool].color} />
+            ))}
+        </>
+    );
+}
+
+
+// ─── Traced route between two reference vessels ────────────────────────────
+function VesselPathTrace({ route }) {
+    const { points } = route;
+    return (
+        <group>
+            <Line points={points} color={PATH_COLOR} lineWidth={4} depthTest={false} transparent opacity={0.9} renderOrder={18} />
+            <MeasurementMarker position={points[0]} color={PATH_COLOR} />
+            <MeasurementMarker position={points[points.length - 1]} color={PATH_COLOR} />
+        </group>
+    );
+}
+
+
+// Problems found in a vessel-graph file, for the load dialogs
+function GraphIssues({ intro, issues }) {
+    return (
+        <div className="graph-issues">
+            {intro && <p>{intro}</p>}
+            {issues.length > 0 && (
+                <ul>
+                    {issues.map(({ path, message }) => (
+                        <li key={`${path}:${message}`}>{path && <code>{path}</code>} {message}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+
+// ─── Stenosis markers: rings around the narrowest point of each lesion ─────
+const STENOSIS_COLORS = { moderate: '#fa8c16', severe: '#f5222d' };
+const RING_AXIS = new THREE.Vector3(0, 0, 1);
+
+function StenosisMarker({ lesion, showLabel }) {
+    const quaternion = useMemo(
+        () => new THREE.Quaternion().setFromUnitVectors(RING_AXIS, new THREE.Vector3(...lesion.tangent).normalize()),
+        [lesion.tangent],
+    );
+    const color = STENOSIS_COLORS[stenosisSeverity(lesion.percent)];
+    const r = Math.max(lesion.radiusLocal, 0.02);
+    return (
+        <group position={lesion.point} quaternion={quaternion}>
+            <mesh renderOrder={15}>
+                <torusGeometry args={[r * 1.6, r * 0.3, 8, 32]} />
+                <meshBasicMaterial color={color} depthTest={false} transparent opacity={0.85} />
+            </mesh>
+            {showLabel && (
+                <Html center position={[0, 0, 0]} zIndexRange={[14, 4]}>
+                    <div className="measure-label stenosis-label" style={{ borderColor: color }}>
+                        {lesion.percent.toFixed(0)}%
+                    </div>
+                </Html>
+            )}
+        </group>
+    );
+}
+
+function StenosisMarkers({ lesions, activeIndex }) {
+    return lesions.flatMap((list, index) => list.map((lesion, i) => (
+        <StenosisMarker key={`${index}-${i}`} lesion={lesion} showLabel={index === activeIndex} />
+    )));
+}
+
+
+// ─── Animated camera moves (fly-to) ────────────────────────────────────────
+const FLIGHT_SECONDS = 0.8;
+
+// Current camera pose in the form the URL stores
+function cameraPose(controls) {
+    return { position: controls.object.position.toArray(), target: controls.target.toArray() };
+}
+
+// Eases the orbit target to `focus.center`, looking along `focus.direction`
+// when given and keeping the current view direction otherwise
+function CameraFlight({ focus, onSettle }) {
+    const camera = useThree(state => state.camera);
+    const controls = useThree(state => state.controls);
+    const flight = useRef(null);
+
+    useEffect(() => {
+        if (!focus || !controls) return;
+        const toTarget = new THREE.Vector3(...focus.center);
+        const direction = focus.direction
+            ? new THREE.Vector3(...focus.direction)
+            : camera.position.clone().sub(controls.target).normalize();
+        flight.current = {
+            fromPosition: camera.position.clone(),
+            fromTarget: controls.target.clone(),
+            toPosition: toTarget.clone().addScaledVector(direction, focus.distance),
+            toTarget,
+            t: 0,
+        };
+    }, [focus, camera, controls]);
+
+    useFrame((_, delta) => {
+        const f = flight.current;
+        if (!f || !controls) return;
+        f.t = Math.min(1, f.t + delta / FLIGHT_SECONDS);
+        const k = 1 - (1 - f.t) ** 3;
+        camera.position.lerpVectors(f.fromPosition, f.toPosition, k);
+        controls.target.lerpVectors(f.fromTarget, f.toTarget, k);
+        controls.update();
+        if (f.t === 1) {
+            flight.current = null;
+            onSettle(cameraPose(controls));
+        }
+    });
+
+    return null;
+}
+
+// Reports the camera pose whenever the user finishes orbiting / zooming
+function CameraTracker({ onChange }) {
+    const controls = useThree(state => state.controls);
+
+    useEffect(() => {
+        if (!controls) return undefined;
+        const handleEnd = () => onChange(cameraPose(controls));
+        controls.addEventListener('end', handleEnd);
+        return () => controls.removeEventListener('end', handleEnd);
+    }, [controls, onChange]);
+
+    return null;
+}
+
+
+// Follows the poses published on a shared camera link and publishes its own;
+// `onSettle` receives the pose once another viewer's interaction ends
+function CameraLink({ link, onSettle }) {
+    const controls = useThree(state => state.controls);
+
+    useEffect(() => {
+        if (!link || !controls) return undefined;
+        // Applying a pose fires 'change' too; don't echo it back
+        let applying = false;
+        const handleChange = () => {
+            if (!applying) link.publish(controls, cameraPose(controls));
+        };
+        const handleEnd = () => link.publish(controls, cameraPose(controls), true);
+        const unsubscribe = link.subscribe((source, pose, settled) => {
+            if (source === controls) return;
+            applying = true;
+            controls.object.position.fromArray(pose.position);
+            controls.target.fromArray(pose.target);
+            controls.update();
+            applying = false;
+            if (settled) onSettle(pose);
+        });
+        controls.addEventListener('change', handleChange);
+        controls.addEventListener('end', handleEnd);
+        return () => {
+            unsubscribe();
+            controls.removeEventListener('change', handleChange);
+            controls.removeEventListener('end', handleEnd);
+        };
+    }, [link, controls, onSettle]);
+
+    return null;
+}
+
+
+// ─── Level of detail from the orbit distance ──────────────────────────────
+function LevelOfDetail({ lod, onChange }) {
+    const controls = useThree(state => state.controls);
+    useFrame(({ camera }) => {
+        if (!controls) return;
+        const next = lodForDistance(camera.position.distanceTo(controls.target), lod);
+        if (next !== lod) onChange(next);
+    });
+    return null;
+}
+
 // ─── Studio Lighting for Medical Visualization ─────────────────────────────
-function StudioLighting() {
+// Presets from viewerSettings.js's LIGHTING_PRESETS
+function StudioLighting({ preset }) {
+    if (preset === 'flat') {
+        return <ambientLight intensity={2.2} color="#ffffff" />;
+    }
+    if (preset === 'clinical') {
+        return (
+            <>
+                <ambientLight intensity={0.35} color="#ffffff" />
+                <directionalLight position={[6, 14, 10]} intensity={1.8} color="#ffffff" />
+                <directionalLight position={[-8, 6, 4]} intensity={0.7} color="#ffffff" />
+                <directionalLight position={[0, -4, -12]} intensity={0.45} color="#ffffff" />
+            </>
+        );
+    }
     return (
         <>
             {/* Low ambient */}
@@ -194,103 +603,1116 @@ function StudioLighting() {
 }
 
 
+// ─── Colour key for the active colour mode (capture.js legend format) ──────
+function ViewerLegend({ legend }) {
+    if (legend.gradient) {
+        const { title, stops, labels } = legend.gradient;
+        return (
+            <div className="viewer-legend viewer-legend-gradient">
+                <span className="legend-title">{title}</span>
+                <div className="overlap-colorbar-ramp" style={{ background: `linear-gradient(to right, ${stops.join(', ')})` }} />
+                <div className="overlap-colorbar-ticks">
+                    {labels.map(label => <span key={label}>{label}</span>)}
+                </div>
+            </div>
+        );
+    }
+    return (
+        <div className="viewer-legend">
+            {legend.groups.map(({ title, items }, i) => (
+                <React.Fragment key={title}>
+                    {i > 0 && <span className="legend-divider" />}
+                    <span className="legend-title">{title}</span>
+                    {items.map(({ color, label }) => (
+                        <span key={label} className="legend-item"><span className="legend-dot" style={{ background: color }} />{label}</span>
+                    ))}
+                </React.Fragment>
+            ))}
+        </div>
+    );
+}
+
+
+// ─── Loading / error overlay for patient meshes ───────────────────────────
+function MeshStatusOverlay({ patientId, meshState, onShowReference }) {
+    if (meshState.status === 'loading') {
+        return (
+            <div className="viewer-status">
+                <Progress
+                    type="circle"
+                    size={72}
+                    percent={meshState.progress ?? 0}
+                    status="active"
+                    format={(p) => (meshState.progress === null ? '…' : `${p}%`)}
+                    strokeColor="#e03040"
+                />
+                <span className="viewer-status-text">Loading reconstruction for {patientId}</span>
+            </div>
+        );
+    }
+    if (meshState.status === 'error') {
+        return (
+            <div className="viewer-status">
+                <Alert
+                    type="error"
+                    showIcon
+                    message={`Could not load the mesh for ${patientId}`}
+                    description={describeError(meshState.error)}
+                    action={
+                        <Space orientation="vertical" size={4}>
+                            <Button size="small" icon={<ReloadOutlined />} onClick={meshState.reload}>Retry</Button>
+                            <Button size="small" onClick={onShowReference}>Show reference</Button>
+                        </Space>
+                    }
+                />
+            </div>
+        );
+    }
+    return null;
+}
+
+
 // ─── Main Viewer Component ─────────────────────────────────────────────────
-function VascularViewer() {
-    const handleDownload = (format) => {
-        const link = document.createElement('a');
-        link.download = `vascular_model.${format}`;
-        const blob = new Blob([`Mock ${format} file content`], { type: 'application/octet-stream' });
-        link.href = URL.createObjectURL(blob);
-        link.click();
-        URL.revokeObjectURL(link.href);
+// Side-by-side use (see ComparePage): `viewParamPrefix` keeps each viewer's URL
+// state apart, `cameraLink` synchronises the orbit cameras, `onMeshChange`
+// reports the loaded patient mesh and `compareMesh` (another case's mesh,
+// labelled `compareLabel`) is shown as a difference overlay.
+function VascularViewer({
+    patientId, cursorMm, onCursorChange, title = '🫀 3D Vascular Model Viewer',
+    viewParamPrefix = '', cameraLink = null, onMeshChange, compareMesh = null, compareLabel,
+}) {
+    // Reference anatomy: the bundled vessel graph, or one the user loaded
+    const referenceVessels = useMemo(() => generateFullBodyVasculature(), []);
+    const [customGraph, setCustomGraph] = useState(null);
+    const vessels = customGraph?.vessels ?? referenceVessels;
+    // A shared link restores model, camera and hidden vessels
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [initialView] = useState(() => readViewState(searchParams, referenceVessels.length, viewParamPrefix));
+
+    // 'patient' shows the reconstructed mesh, 'reference' the synthetic anatomy
+    const [source, setSource] = useState(initialView.source);
+    const meshState = usePatientMesh(patientId, source === 'patient');
+    const mesh = meshState.status === 'ready' ? meshState.mesh : null;
+    // A patient without a reconstruction falls back to the reference anatomy
+    const showReference = source === 'reference' || meshState.status === 'missing';
+    const { message, modal } = AntApp.useApp();
+    const shownMesh = showReference ? null : mesh;
+
+    useEffect(() => {
+        onMeshChange?.(shownMesh);
+    }, [shownMesh, onMeshChange]);
+
+    // Picking on the reference anatomy: vessel index under the pointer / clicked
+    const [hoveredRaw, setHovered] = useState(null);
+    const [selectedRaw, setSelected] = useState(null);
+    const [hidden, setHidden] = useState(initialView.hidden);
+    const [browserOpen, setBrowserOpen] = useState(false);
+    const [focus, setFocus] = useState(null);
+
+    // ─── Viewer settings: motion, effects, lighting and surfaces (per user) ───
+    const viewerSettings = useViewerSettings(CURRENT_USER.id);
+    const { settings } = viewerSettings;
+    const background = viewerBackground(settings.background);
+
+    // ─── Camera: presets, region focus and the pose kept in the URL ───
+    const { autoRotate, setAutoRotate, followSetting } = useAutoRotate(settings.autoRotate, {
+        heldStill: Boolean(initialView.camera || cameraLink),
+        linked: Boolean(cameraLink),
+    });
+    const [camera, setCamera] = useState(initialView.camera);
+    const controlsRef = useRef(null);
+
+    useEffect(() => {
+        setSearchParams(prev => writeViewState(prev, { source, camera, hidden }, viewParamPrefix), { replace: true });
+    }, [source, camera, hidden, viewParamPrefix, setSearchParams]);
+
+    // ─── Graphics: WebGL health and the 2D fallback ───
+    const graphics = useWebglRecovery(camera, initialView.camera);
+    const { show2d, canRender3d, mountPose } = graphics;
+
+    const retry3d = () => {
+        if (!graphics.retry()) message.error('WebGL is still not available in this browser');
+    };
+
+    // 2D picks select like a click on the model
+    const selectIn2d = (index) => {
+        setSelected(index === null ? null : { index, point: vessels[index].points[Math.floor(vessels[index].points.length / 2)].toArray() });
+    };
+
+    const goToView = (view) => {
+        setAutoRotate(false);
+        setFocus(view);
+    };
+
+    const handleViewMenu = ({ key }) => {
+        const [kind, name] = key.split(':');
+        if (kind === 'preset') goToView(presetView(name));
+        else if (kind === 'region') goToView(regionView(name));
+        else setAutoRotate(!autoRotate);
+    };
+
+    const viewMenuItems = [
+        {
+            type: 'group',
+            label: 'Anatomical views',
+            children: Object.entries(CAMERA_PRESETS).map(([key, { label }]) => ({ key: `preset:${key}`, label })),
+        },
+        {
+            type: 'group',
+            label: showReference ? 'Focus on region' : 'Focus on region (reference anatomy only)',
+            children: Object.entries(BODY_REGIONS).map(([key, { label }]) => ({
+                key: `region:${key}`,
+                label,
+                disabled: !showReference,
+            })),
+        },
+        { type: 'divider' },
+        { key: 'autoRotate', label: autoRotate ? 'Stop auto-rotate' : 'Start auto-rotate' },
+    ];
+
+    // Link to exactly what is on screen, including an auto-rotating camera
+    const copyViewLink = async () => {
+        const pose = controlsRef.current ? cameraPose(controlsRef.current) : camera;
+        setAutoRotate(false);
+        setCamera(pose);
+        const params = writeViewState(searchParams, { source, camera: pose, hidden }, viewParamPrefix);
+        const url = `${window.location.origin}${window.location.pathname}?${params}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            message.success('Link to this view copied');
+        } catch {
+            message.info(url, 8);
+        }
+    };
+    // Hidden vessels can't stay hovered / selected
+    const hovered = hoveredRaw !== null && !hidden.has(hoveredRaw) ? hoveredRaw : null;
+    const selected = selectedRaw && !hidden.has(selectedRaw.index) ? selectedRaw : null;
+    // Indices of the vessels currently drawn — the "Current view" export scope
+    const visibleIndices = useMemo(() => vessels.map((_, i) => i).filter(i => !hidden.has(i)), [vessels, hidden]);
+
+    // Browser pick: make sure it is drawn, select it and fly the camera there
+    const flyToVessel = (index) => {
+        const vessel = vessels[index];
+        if (hidden.has(index)) setHidden(prev => new Set([...prev].filter(i => i !== index)));
+        setSelected({ index, point: vessel.points[Math.floor(vessel.points.length / 2)].toArray() });
+        const { center, radius } = vesselBounds(vessel);
+        setFocus({
+            center: [center.x, center.y + REFERENCE_OFFSET_Y, center.z],
+            distance: Math.max(radius * 2.8, 2.5),
+        });
+    };
+
+    // Indices refer to the previous vessels, so picks and visibility start over
+    const switchVessels = (graph) => {
+        setCustomGraph(graph);
+        setHidden(new Set());
+        setSelected(null);
+        setHovered(null);
+        setProfileRaw(0);
+        setPathEnds({ from: null, to: null });
+        setFocus({ ...HOME_VIEW });
+    };
+
+    const loadVesselGraph = async (file) => {
+        try {
+            const { graph, warnings } = parseVesselGraph(await file.text());
+            const name = graph.name || file.name;
+            const loaded = graphToVessels(graph);
+            switchVessels({ id: Date.now(), name, vessels: loaded });
+            if (warnings.length) {
+                modal.warning({
+                    title: `Loaded ${name} with topology warnings`,
+                    content: <GraphIssues intro="These vessels still render, but path queries can't reach them:" issues={warnings} />,
+                });
+            } else {
+                message.success(`Loaded ${name} (${loaded.length} vessels)`);
+            }
+        } catch (err) {
+            modal.error({
+                title: `Could not load ${file.name}`,
+                content: <GraphIssues intro={err.message} issues={err.issues ?? []} />,
+                width: 560,
+            });
+        }
+    };
+
+    // ─── Path tracing and stepping through the vessel tree ───
+    const [pathOpen, setPathOpen] = useState(false);
+    const [pathEnds, setPathEnds] = useState({ from: null, to: null });
+    const showPath = pathOpen && showReference;
+    const route = useMemo(() => (showPath && pathEnds.from !== null && pathEnds.to !== null
+        ? traceVesselPath(vessels, pathEnds.from, pathEnds.to)
+        : null), [showPath, vessels, pathEnds]);
+
+    // Arrow keys while the model has focus (a click on it gives it focus), so
+    // the panels' own inputs and the other viewer on the compare page keep theirs
+    const handleTreeKey = (e) => {
+        const direction = TREE_STEP_KEYS[e.key];
+        if (!direction || !selected || !showReference || e.target !== e.currentTarget) return;
+        if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+        e.preventDefault();
+        const next = stepInTree(vessels, selected.index, direction);
+        if (next !== null) flyToVessel(next);
+    };
+
+    // ─── Blood flow: particles on the visible vessels ───
+    const [flowOn, setFlowOn] = useState(false);
+    const [flowDensity, setFlowDensity] = useState(DEFAULT_FLOW_DENSITY);
+    const showFlow = flowOn && showReference;
+
+    // ─── Render quality: a manual tier, or stepped down while the FPS is low ───
+    const [qualityMode, setQualityMode] = useState('auto');
+    const [autoTier, setAutoTier] = useState(QUALITY_ORDER.length - 1);
+    const [lod, setLod] = useState(0);
+    const qualityKey = qualityMode === 'auto' ? QUALITY_ORDER[autoTier] : qualityMode;
+    const quality = QUALITY_TIERS[qualityKey];
+    // Post-processing the tier allows, as set in the viewer settings
+    const bloomOn = quality.bloom && settings.bloom > 0;
+    const vignetteOn = quality.vignette && settings.vignette;
+    const qualityMenuItems = [
+        { key: 'auto', label: 'Auto (adapts to frame rate)' },
+        { type: 'divider' },
+        ...[...QUALITY_ORDER].reverse().map(key => ({
+            key,
+            label: (
+                <span className="quality-option">
+                    {QUALITY_TIERS[key].label}
+                    <span className="quality-option-note">{QUALITY_TIERS[key].description}</span>
+                </span>
+            ),
+        })),
+    ];
+    const chooseQuality = ({ key }) => {
+        setQualityMode(key);
+        // Auto starts again from the top and steps down if needed
+        if (key === 'auto') setAutoTier(QUALITY_ORDER.length - 1);
+    };
+
+    // ─── Colour mode: what the reference vessels' colour encodes ───
+    const [colorModeRaw, setColorMode] = useState('depth');
+    const [palette, setPalette] = useState('classic');
+    const scalars = useVesselScalars(patientId, showReference);
+    // Backend values follow the patient; without them fall back to depth tiers
+    const colorMode = colorModeRaw === 'scalar' && !scalars.data ? 'depth' : colorModeRaw;
+    const scheme = useMemo(
+        () => colorScheme(vessels, { mode: colorMode, palette, scalars: scalars.data }),
+        [vessels, colorMode, palette, scalars.data],
+    );
+    const colorMenuItems = [
+        {
+            type: 'group',
+            label: 'Colour by',
+            children: Object.entries(COLOR_MODES).map(([key, { label }]) => ({
+                key: `mode:${key}`,
+                label: key !== 'scalar'
+                    ? label
+                    : scalars.data
+                        ? `${scalars.data.name} (backend)`
+                        : `${label} — ${scalars.loading ? 'loading…' : `none for ${patientId}`}`,
+                disabled: key === 'scalar' && !scalars.data,
+            })),
+        },
+        { type: 'divider' },
+        {
+            type: 'group',
+            label: 'Palette',
+            children: Object.entries(COLOR_PALETTES).map(([key, { label, stops }]) => ({
+                key: `palette:${key}`,
+                label: (
+                    <span className="palette-option">
+                        <span className="palette-swatch" style={{ background: `linear-gradient(to right, ${stops.join(', ')})` }} />
+                        {label}
+                    </span>
+                ),
+            })),
+        },
+    ];
+    const chooseColoring = ({ key }) => {
+        const [kind, value] = key.split(':');
+        if (kind === 'mode') setColorMode(value);
+        else setPalette(value);
+    };
+
+    // Tube geometry is built in a worker and streams in, largest vessels first
+    const vesselBatches = useVesselBatches(vessels, visibleIndices, detailFor(qualityKey, lod), scheme.colors);
+
+    // ─── Measurements: kept per case (reference anatomy or patient) ───
+    const caseId = showReference ? (customGraph ? `graph:${customGraph.id}` : 'reference') : patientId;
+    const [toolRaw, setTool] = useState(null);
+    const [pendingRaw, setPending] = useState({ caseId: null, hits: [] });
+    const [measurements, setMeasurements] = useState([]);
+    const canMeasure = showReference || Boolean(mesh);
+    const tool = canMeasure && toolRaw && (showReference || !MEASURE_TOOLS[toolRaw].needsCenterline) ? toolRaw : null;
+    const pending = tool && pendingRaw.caseId === caseId ? pendingRaw.hits : [];
+    const caseMeasurements = measurements.filter(m => m.caseId === caseId);
+
+    const chooseTool = (next) => {
+        setTool(current => (current === next ? null : next));
+        setPending({ caseId: null, hits: [] });
+        annotations.setPlacing(false);
+    };
+
+    useEffect(() => {
+        if (!tool) return undefined;
+        const onKey = (e) => {
+            if (e.key !== 'Escape') return;
+            setTool(null);
+            setPending({ caseId: null, hits: [] });
+        };
+        window.addEventListener('keydown', onKey);
+        return () => window.removeEventListener('keydown', onKey);
+    }, [tool]);
+
+    const addMeasurePoint = (hit) => {
+        const hits = [...pending, hit];
+        if (hits.length < MEASURE_TOOLS[tool].clicks) {
+            setPending({ caseId, hits });
+            return;
+        }
+        setPending({ caseId: null, hits: [] });
+        try {
+            const measurement = createMeasurement(tool, hits, { vessels, mesh: showReference ? null : mesh });
+            setMeasurements(prev => [...prev, { ...measurement, caseId }]);
+        } catch (err) {
+            message.warning(err.message);
+        }
+    };
+
+    // ─── Annotations: pins with a note, stored per patient on the backend ───
+    const annotations = useAnnotations(patientId, caseId, {
+        available: canMeasure,
+        reference: showReference,
+        mesh,
+        onPlacingStart: () => setTool(null),
+    });
+
+    const toggleAnnotations = () => {
+        annotations.setOpen(open => !open);
+        setBrowserOpen(false);
+    };
+
+    const focusPin = (pin) => {
+        const [x, y, z] = pin.local;
+        annotations.setActiveId(pin.id);
+        goToView({ center: showReference ? [x, y + REFERENCE_OFFSET_Y, z] : [x, y, z], distance: 4 });
+    };
+
+    // Surface clicks: placing a pin or measuring takes precedence over selection / the 3D cursor
+    const handlePick = (hit) => {
+        if (annotations.placing) {
+            annotations.place(hit.point, showReference ? vessels[hit.vesselIndex]?.label ?? null : null);
+        } else if (tool) {
+            addMeasurePoint(hit);
+        } else if (showReference) {
+            setSelected({ index: hit.vesselIndex, point: hit.point });
+        } else {
+            onCursorChange?.(hit.point.map((v, i) => v / mesh.unitsPerMm + mesh.centerMm[i]));
+        }
+    };
+
+    // ─── Centerline analysis: radius profiles and stenosis flags ───
+    const [analysisOpen, setAnalysisOpen] = useState(false);
+    const [threshold, setThreshold] = useState(DEFAULT_STENOSIS_THRESHOLD);
+    const [profileRaw, setProfileRaw] = useState(0);
+    const centerlines = usePatientCenterlines(patientId);
+    const profiles = useMemo(() => {
+        if (!analysisOpen) return null;
+        if (showReference) return vessels.map(referenceProfile);
+        return mesh && centerlines.data ? centerlines.data.map(c => patientProfile(c, mesh)) : [];
+    }, [analysisOpen, showReference, vessels, mesh, centerlines.data]);
+    const lesions = useMemo(() => profiles?.map((profile, i) => (
+        showReference && hidden.has(i) ? [] : detectStenoses(profile, threshold)
+    )) ?? null, [profiles, threshold, showReference, hidden]);
+    const profileIndex = showReference
+        ? selected?.index ?? profileRaw
+        : Math.min(profileRaw, Math.max(0, (profiles?.length ?? 1) - 1));
+    const chooseProfile = (index) => {
+        setProfileRaw(index);
+        if (showReference) flyToVessel(index);
+    };
+
+    // ─── Prediction vs ground truth: TP/FP/FN classes or distance heatmap ───
+    // With `compareMesh` the same overlay compares against that case instead
+    const [overlapOpen, setOverlapOpen] = useState(false);
+    const [overlapMode, setOverlapMode] = useState('classes');
+    const [toleranceMm, setToleranceMm] = useState(DEFAULT_TOLERANCE_MM);
+    const [maxMmRaw, setMaxMm] = useState(null);
+    const showDifference = Boolean(compareMesh && shownMesh);
+    const showOverlap = (overlapOpen || showDifference) && Boolean(shownMesh);
+    const groundTruthState = useGroundTruthMesh(mesh, showOverlap && !showDifference);
+    const reported = usePatientMetrics(patientId).data;
+    const otherCase = useMemo(
+        () => (showDifference ? reframeMesh(compareMesh, shownMesh) : null),
+        [showDifference, compareMesh, shownMesh],
+    );
+    const groundTruth = showDifference ? otherCase : showOverlap ? groundTruthState.groundTruth : null;
+    const overlapClasses = showDifference ? DIFFERENCE_CLASSES : OVERLAP_CLASSES;
+    const surfaces = useSurfaceComparison(mesh, groundTruth);
+    const { comparison } = surfaces;
+    const overlay = useMemo(() => (comparison ? buildOverlay(comparison) : null), [comparison]);
+    useEffect(() => () => disposeOverlay(overlay), [overlay]);
+    const stats = useMemo(() => (comparison ? overlapStats(comparison, toleranceMm) : null), [comparison, toleranceMm]);
+    // Heatmap scale follows the case's HD95 until set by hand
+    const maxMm = maxMmRaw ?? Math.min(20, Math.max(1, Math.ceil(stats?.hd95Mm ?? 5)));
+
+    useEffect(() => {
+        if (overlay) paintOverlay(overlay, { mode: overlapMode, toleranceMm, maxMm });
+    }, [overlay, overlapMode, toleranceMm, maxMm]);
+
+    // ─── Clipping planes: kept per case, in the model's group frame ───
+    const clipping = useClipPlanes(caseId, {
+        available: canMeasure,
+        // New planes start through the middle of the model
+        center: showReference ? [0, -REFERENCE_OFFSET_Y, 0] : [0, 0, 0],
+        model: showReference ? { vessels, indices: visibleIndices } : { mesh },
+    });
+
+    // ─── Capture: PNG figures and WebM clips rendered from the live scene ───
+    // r3f store getter, set once the canvas exists
+    const threeRef = useRef(null);
+    const recordingAbort = useRef(null);
+    const [captureOpen, setCaptureOpen] = useState(false);
+    // Recording progress 0..1, or null when idle
+    const [recording, setRecording] = useState(null);
+
+    // The key for what is on screen, in capture.js's legend format
+    const captureLegend = showReference
+        ? scheme.legend
+        : showOverlap && stats && overlapMode === 'classes'
+            ? {
+                groups: [{
+                    title: showDifference ? `${patientId} vs ${compareLabel}` : 'Prediction vs ground truth',
+                    items: Object.values(overlapClasses),
+                }],
+            }
+            : showOverlap && stats
+                ? {
+                    gradient: {
+                        title: 'Surface distance (mm)',
+                        stops: HEATMAP_STOPS,
+                        labels: ['0', (maxMm / 2).toFixed(1), `≥ ${maxMm.toFixed(1)}`],
+                    },
+                }
+                : null;
+    const captureName = showReference ? 'vascular_reference' : patientId;
+    const captureFrame = (withLegend) => ({
+        background,
+        legend: withLegend ? captureLegend : null,
+        caption: showReference ? 'Reference anatomy' : `${patientId} · ${mesh?.info.format.toUpperCase() ?? ''}`,
+    });
+
+    const handleSnapshot = async ({ width, height, transparent, legend }) => {
+        try {
+            const blob = await captureImage(threeRef.current, { width, height, transparent, ...captureFrame(legend) });
+            saveFile(blob, `${captureName}_${width}x${height}.png`);
+            message.success(`Saved ${width} × ${height} PNG`);
+        } catch (err) {
+            message.error(`Capture failed: ${err.message}`);
+        }
+    };
+
+    const handleRecord = async ({ width, height, motion, seconds, legend }) => {
+        const controller = new AbortController();
+        recordingAbort.current = controller;
+        setAutoRotate(false);
+        setRecording(0);
+        try {
+            const blob = await recordVideo(threeRef.current, {
+                width, height, motion, seconds, ...captureFrame(legend),
+                onProgress: setRecording,
+                signal: controller.signal,
+            });
+            saveFile(blob, `${captureName}_${motion}.webm`);
+            message.success('Saved WebM video');
+        } catch (err) {
+            if (err.name !== 'AbortError') message.error(`Recording failed: ${err.message}`);
+        } finally {
+            recordingAbort.current = null;
+            setRecording(null);
+        }
+    };
+
+    const exportMeasurements = (format) => {
+        const base = `${showReference ? 'vascular_reference' : patientId}_measurements`;
+        if (format === 'csv') {
+            saveFile(measurementsToCSV(caseMeasurements), `${base}.csv`, 'text/csv');
+        } else {
+            const caseInfo = showReference
+                ? { patientId: null, model: 'reference' }
+                : { patientId, model: `${mesh.info.format} reconstruction`, spacing: mesh.info.spacing };
+            saveFile(measurementsToJSON(caseMeasurements, caseInfo), `${base}.json`, 'application/json');
+        }
+    };
+
+    const handleExport = async ({ key }) => {
+        const [format, scope] = key.split(':');
+        const hide = message.loading(`Exporting ${EXPORT_FORMATS[format].label}…`, 0);
+        let parts = [];
+        try {
+            let filename;
+            if (scope === 'patient') {
+                parts = meshExportParts(mesh);
+                filename = `${patientId}_reconstruction.${format}`;
+            } else {
+                const indices = scope === 'view'
+                    ? visibleIndices
+                    : vessels.map((_, i) => i).filter(i => EXPORT_SCOPES[scope].test(vessels[i]));
+                if (indices.length === 0) {
+                    message.warning('Nothing to export — no vessels match this selection');
+                    return;
+                }
+                parts = vesselExportParts(vessels, indices);
+                filename = `vascular_reference_${scope}.${format}`;
+            }
+            const data = await exportParts(parts, format);
+            saveFile(data, filename, EXPORT_FORMATS[format].mime);
+            message.success(`Saved ${filename} (${parts.length} part${parts.length === 1 ? '' : 's'})`);
+        } catch (err) {
+            message.error(`Export failed: ${err.message}`);
+        } finally {
+            disposeParts(parts);
+            hide();
+        }
+    };
+
+    // Format → scope submenus; a loaded patient mesh exports as a whole
+    const exportMenuItems = Object.entries(EXPORT_FORMATS).map(([format, cfg]) => ({
+        key: format,
+        label: `${cfg.label} — ${cfg.description}`,
+        children: showReference
+            ? Object.entries(EXPORT_SCOPES).map(([scope, scopeCfg]) => ({
+                key: `${format}:${scope}`,
+                label: scopeCfg.label,
+            }))
+            : [{ key: `${format}:patient`, label: `${patientId} mesh`, disabled: !mesh }],
+    }));
+
+    // Segmentation mask as produced by the pipeline
+    const handleDownloadMask = async () => {
+        const hide = message.loading('Preparing segmentation download…', 0);
+        try {
+            const info = await fetchVolumeInfo(patientId);
+            if (!info?.mask) {
+                message.warning(`No segmentation mask available for ${patientId}`);
+                return;
+            }
+            const data = await downloadBinary(info.mask.url);
+            saveFile(data, `${patientId}_mask.${isGzip(data) ? 'nii.gz' : 'nii'}`);
+        } catch (err) {
+            message.error(`Download failed: ${describeError(err)}`);
+        } finally {
+            hide();
+        }
     };
 
     return (
         <Card
             title={
                 <span style={{ fontWeight: 600, fontSize: 16 }}>
-                    🫀 3D Vascular Model Viewer
+                    {title}
                 </span>
             }
             className="viewer-card"
             extra={
                 <Space>
-                    <Tooltip title="Download .nii.gz">
+                    <Tooltip title="Vessel browser">
                         <Button
-                            type="primary"
                             shape="circle"
-                            icon={<DownloadOutlined />}
-                            onClick={() => handleDownload('nii.gz')}
-                            style={{ background: '#52c41a', borderColor: '#52c41a' }}
+                            icon={<UnorderedListOutlined />}
+                            type={browserOpen && showReference ? 'primary' : 'default'}
+                            disabled={!showReference}
+                            onClick={() => {
+                                setBrowserOpen(open => !open);
+                                annotations.setOpen(false);
+                            }}
                         />
                     </Tooltip>
-                    <Tooltip title="Download .obj">
+                    <Tooltip title="Trace path between vessels">
+                        <Button
+                            shape="circle"
+                            icon={<BranchesOutlined />}
+                            type={showPath ? 'primary' : 'default'}
+                            disabled={!showReference}
+                            onClick={() => setPathOpen(open => !open)}
+                        />
+                    </Tooltip>
+                    <Tooltip title="Blood flow">
+                        <Button
+                            shape="circle"
+                            icon={<HeartOutlined />}
+                            type={showFlow ? 'primary' : 'default'}
+                            disabled={!showReference}
+                            onClick={() => setFlowOn(on => !on)}
+                        />
+                    </Tooltip>
+                    <Tooltip title="Annotations">
+                        <Button
+                            shape="circle"
+                            icon={<PushpinOutlined />}
+                            type={annotations.shown ? 'primary' : 'default'}
+                            disabled={!canMeasure}
+                            onClick={toggleAnnotations}
+                        />
+                    </Tooltip>
+                    <Tooltip title="Centerline & stenosis analysis">
+                        <Button
+                            shape="circle"
+                            icon={<LineChartOutlined />}
+                            type={analysisOpen ? 'primary' : 'default'}
+                            disabled={!canMeasure}
+                            onClick={() => setAnalysisOpen(open => !open)}
+                        />
+                    </Tooltip>
+                    <Tooltip title="Clipping planes & cross-section">
+                        <Button
+                            shape="circle"
+                            icon={<ScissorOutlined />}
+                            type={clipping.shown ? 'primary' : 'default'}
+                            disabled={!canMeasure}
+                            onClick={() => clipping.setOpen(open => !open)}
+                        />
+                    </Tooltip>
+                    <Tooltip title={showDifference ? `Difference to ${compareLabel}` : 'Compare prediction with ground truth'}>
+                        <Button
+                            shape="circle"
+                            icon={<DiffOutlined />}
+                            type={showOverlap ? 'primary' : 'default'}
+                            disabled={!shownMesh || showDifference}
+                            onClick={() => setOverlapOpen(open => !open)}
+                        />
+                    </Tooltip>
+                    <Dropdown
+                        menu={{
+                            items: colorMenuItems,
+                            onClick: chooseColoring,
+                            selectable: true,
+                            selectedKeys: [`mode:${colorMode}`, `palette:${palette}`],
+                        }}
+                        trigger={['click']}
+                        disabled={!showReference}
+                    >
+                        <Tooltip title={showReference ? `Colour by ${COLOR_MODES[colorMode].label.toLowerCase()} · ${COLOR_PALETTES[palette].label}` : 'Colour modes (reference anatomy only)'}>
+                            <Button shape="circle" icon={<BgColorsOutlined />} disabled={!showReference} />
+                        </Tooltip>
+                    </Dropdown>
+                    <Dropdown menu={{ items: viewMenuItems, onClick: handleViewMenu }} trigger={['click']}>
+                        <Tooltip title="Camera views">
+                            <Button shape="circle" icon={<EyeOutlined />} />
+                        </Tooltip>
+                    </Dropdown>
+                    <Tooltip title={canRender3d ? 'Capture image or video' : 'Capture needs the 3D view'}>
+                        <Button
+                            shape="circle"
+                            icon={<CameraOutlined />}
+                            type={recording !== null ? 'primary' : 'default'}
+                            disabled={!canRender3d}
+                            onClick={() => setCaptureOpen(true)}
+                        />
+                    </Tooltip>
+                    <Dropdown
+                        menu={{ items: qualityMenuItems, onClick: chooseQuality, selectable: true, selectedKeys: [qualityMode] }}
+                        trigger={['click']}
+                    >
+                        <Tooltip title={`Render quality: ${qualityMode === 'auto' ? `Auto — ${quality.label}` : quality.label}`}>
+                            <Button shape="circle" icon={<DashboardOutlined />} />
+                        </Tooltip>
+                    </Dropdown>
+                    <ViewerSettings
+                        preferences={viewerSettings}
+                        effects={{ bloom: quality.bloom, vignette: quality.vignette }}
+                        onAutoRotateChange={followSetting}
+                    />
+                    <Tooltip title="Copy link to this view">
+                        <Button shape="circle" icon={<LinkOutlined />} onClick={copyViewLink} />
+                    </Tooltip>
+                    <Segmented
+                        size="small"
+                        value={source}
+                        onChange={setSource}
+                        options={[
+                            { label: 'Patient', value: 'patient' },
+                            { label: 'Reference', value: 'reference' },
+                        ]}
+                    />
+                    <Tooltip title="Download segmentation (.nii.gz)">
                         <Button
                             type="primary"
                             shape="circle"
                             icon={<DownloadOutlined />}
-                            onClick={() => handleDownload('obj')}
-                            style={{ background: '#1890ff', borderColor: '#1890ff' }}
+                            onClick={handleDownloadMask}
+                            style={{ background: '#52c41a', borderColor: '#52c41a' }}
                         />
                     </Tooltip>
+                    <Dropdown
+                        menu={{ items: exportMenuItems, onClick: handleExport }}
+                        trigger={['click']}
+                        placement="bottomRight"
+                    >
+                        <Tooltip title="Export model (OBJ / STL / GLB)">
+                            <Button
+                                type="primary"
+                                shape="circle"
+                                icon={<DownloadOutlined />}
+                                style={{ background: '#1890ff', borderColor: '#1890ff' }}
+                            />
+                        </Tooltip>
+                    </Dropdown>
                 </Space>
             }
         >
-            <div className="viewer-container">
-                <Canvas
-                    camera={{ position: [0, 2, 18], fov: 45 }}
-                    gl={{
-                        antialias: true,
-                        toneMapping: THREE.ACESFilmicToneMapping,
-                        toneMappingExposure: 1.15,
-                        powerPreference: 'high-performance',
-                    }}
-                    dpr={[1, 2]}
-                    style={{ background: 'radial-gradient(ellipse at center, #080c18 0%, #020305 100%)' }}
+            <div
+                className={`viewer-container${showReference && hovered !== null ? ' is-picking' : ''}`}
+                tabIndex={-1}
+                onKeyDown={handleTreeKey}
+            >
+                <GraphicsGuard
+                    recovery={graphics}
+                    onRetry={retry3d}
+                    fallback={(
+                        <VesselProjection
+                            vessels={vessels}
+                            indices={visibleIndices}
+                            colors={scheme.colors}
+                            background={background}
+                            selectedIndex={selected?.index ?? null}
+                            onSelect={selectIn2d}
+                            notice={[
+                                GRAPHICS_NOTICES[graphics.status] ?? '2D view',
+                                !showReference && 'patient meshes need 3D, showing the reference anatomy',
+                            ].filter(Boolean).join(' · ')}
+                            onRetry={retry3d}
+                        />
+                    )}
                 >
-                    <StudioLighting />
-                    <VascularSystem />
-                    <OrbitControls
-                        enablePan={true}
-                        enableZoom={true}
-                        enableRotate={true}
-                        autoRotate={true}
-                        autoRotateSpeed={0.5}
-                        minDistance={6}
-                        maxDistance={30}
-                        target={[0, 0, 0]}
+                    <Canvas
+                        key={graphics.canvasKey}
+                        camera={{ position: mountPose?.position ?? DEFAULT_CAMERA.position, fov: CAMERA_FOV }}
+                        // r3f's defaults: antialiased, high-performance GPU, ACES filmic tone mapping
+                        gl={(defaults) => createRenderer(defaults, { toneMappingExposure: 1.15 }, () => graphics.report('failed'))}
+                        dpr={quality.dpr}
+                        onCreated={({ gl, get }) => {
+                            gl.localClippingEnabled = true;
+                            threeRef.current = get;
+                        }}
+                        style={{ background: `radial-gradient(ellipse at center, ${background.inner} 0%, ${background.outer} 100%)` }}
+                    >
+                        <StudioLighting preset={settings.lighting} />
+                        {showReference && (
+                            <VascularSystem
+                                vessels={vessels}
+                                batches={vesselBatches.batches}
+                                material={quality.material}
+                                display={settings.display}
+                                sway={settings.sway}
+                                hovered={hovered}
+                                selected={selected}
+                                onHover={setHovered}
+                                onPick={handlePick}
+                                onDeselect={() => setSelected(null)}
+                            >
+                                <MeasureAnnotations measurements={caseMeasurements} pending={pending} tool={tool} />
+                                <AnnotationPins
+                                    pins={annotations.pins}
+                                    activeId={annotations.activeId}
+                                    draftPoint={annotations.draft?.point}
+                                    onSelect={focusPin}
+                                />
+                                {route && <VesselPathTrace route={route} />}
+                                {showFlow && <FlowParticles vessels={vessels} indices={visibleIndices} density={flowDensity} />}
+                                {lesions && <StenosisMarkers lesions={lesions} activeIndex={profileIndex} />}
+                                <ClipPlanes
+                                    planes={clipping.planes}
+                                    activeId={clipping.activePlane?.id}
+                                    size={12}
+                                    onActiveObject={clipping.setGizmoObject}
+                                />
+                            </VascularSystem>
+                        )}
+                        {!showReference && mesh && (
+                            <PatientMesh
+                                mesh={mesh}
+                                overlay={showOverlap ? overlay?.group : null}
+                                display={settings.display}
+                                sway={settings.sway}
+                                cursorMm={cursorMm}
+                                onPick={handlePick}
+                            >
+                                <MeasureAnnotations measurements={caseMeasurements} pending={pending} tool={tool} />
+                                <AnnotationPins
+                                    pins={annotations.pins}
+                                    activeId={annotations.activeId}
+                                    draftPoint={annotations.draft?.point}
+                                    onSelect={focusPin}
+                                />
+                                {lesions && <StenosisMarkers lesions={lesions} activeIndex={profileIndex} />}
+                                <ClipPlanes
+                                    planes={clipping.planes}
+                                    activeId={clipping.activePlane?.id}
+                                    size={14}
+                                    onActiveObject={clipping.setGizmoObject}
+                                />
+                            </PatientMesh>
+                        )}
+                        {clipping.activePlane && clipping.gizmoObject && (
+                            <ClipGizmo object={clipping.gizmoObject} mode={clipping.gizmoMode} onCommit={clipping.commitGizmo} />
+                        )}
+                        <CameraFlight focus={focus} onSettle={setCamera} />
+                        <CameraTracker onChange={setCamera} />
+                        <CameraLink link={cameraLink} onSettle={setCamera} />
+                        <LevelOfDetail lod={lod} onChange={setLod} />
+                        <ContextWatcher onStatus={graphics.report} />
+                        {qualityMode === 'auto' && (
+                            <PerformanceMonitor
+                                // Settle on a tier instead of bouncing between two
+                                flipflops={3}
+                                onDecline={() => setAutoTier(t => Math.max(0, t - 1))}
+                                onIncline={() => setAutoTier(t => Math.min(QUALITY_ORDER.length - 1, t + 1))}
+                            />
+                        )}
+                        <OrbitControls
+                            ref={controlsRef}
+                            makeDefault
+                            target={mountPose?.target ?? DEFAULT_CAMERA.target}
+                            enablePan={true}
+                            enableZoom={true}
+                            enableRotate={true}
+                            autoRotate={autoRotate}
+                            autoRotateSpeed={settings.rotateSpeed}
+                            minDistance={2}
+                            maxDistance={30}
+                        />
+
+                        {/* Post-processing */}
+                        {(bloomOn || vignetteOn) && (
+                            <EffectComposer>
+                                {bloomOn && (
+                                    <Bloom
+                                        intensity={settings.bloom}
+                                        luminanceThreshold={0.18}
+                                        luminanceSmoothing={0.92}
+                                        mipmapBlur
+                                        radius={0.75}
+                                    />
+                                )}
+                                {vignetteOn && <Vignette eskil={false} offset={0.1} darkness={0.85} />}
+                            </EffectComposer>
+                        )}
+                    </Canvas>
+                </GraphicsGuard>
+
+                {!showReference && !show2d && (
+                    <MeshStatusOverlay
+                        patientId={patientId}
+                        meshState={meshState}
+                        onShowReference={() => setSource('reference')}
                     />
+                )}
 
-                    {/* Post-processing */}
-                    <EffectComposer>
-                        <Bloom
-                            intensity={0.4}
-                            luminanceThreshold={0.18}
-                            luminanceSmoothing={0.92}
-                            mipmapBlur
-                            radius={0.75}
-                        />
-                        <Vignette eskil={false} offset={0.1} darkness={0.85} />
-                    </EffectComposer>
-                </Canvas>
+                {showReference && browserOpen && (
+                    <VesselBrowser
+                        vessels={vessels}
+                        hidden={hidden}
+                        onHiddenChange={setHidden}
+                        selectedIndex={selected?.index ?? null}
+                        onPick={flyToVessel}
+                        onResetCamera={() => setFocus({ ...HOME_VIEW })}
+                        graphName={customGraph?.name ?? null}
+                        onLoadGraph={loadVesselGraph}
+                        onResetGraph={() => switchVessels(null)}
+                        onClose={() => setBrowserOpen(false)}
+                    />
+                )}
+
+                {annotations.shown && (
+                    <AnnotationPanel
+                        pins={annotations.pins}
+                        loading={annotations.loading}
+                        error={annotations.error}
+                        activeId={annotations.activeId}
+                        onFocus={focusPin}
+                        onDelete={annotations.remove}
+                        otherCount={annotations.otherCount}
+                        otherLabel={showReference ? 'patient reconstruction' : 'reference anatomy'}
+                        placing={annotations.placing}
+                        onPlacingChange={annotations.setPlacing}
+                        draft={annotations.draft}
+                        saving={annotations.saving}
+                        onSave={annotations.save}
+                        onCancelDraft={annotations.cancelDraft}
+                        onClose={() => annotations.setOpen(false)}
+                    />
+                )}
+
+                {clipping.activePlane && clipping.sections && (
+                    <CrossSectionInset
+                        plane={clipping.activePlane}
+                        color={CLIP_COLORS[clipping.activeIndex]}
+                        sections={clipping.sections}
+                    />
+                )}
+
+                {showOverlap && (
+                    <OverlapPanel
+                        patientId={patientId}
+                        title={showDifference ? `${patientId} vs ${compareLabel}` : undefined}
+                        classes={overlapClasses}
+                        status={showDifference ? 'ready' : groundTruthState.status}
+                        error={groundTruthState.error}
+                        compareError={surfaces.error}
+                        stats={stats}
+                        reported={showDifference ? null : reported}
+                        mode={overlapMode}
+                        onModeChange={setOverlapMode}
+                        toleranceMm={toleranceMm}
+                        onToleranceChange={setToleranceMm}
+                        maxMm={maxMm}
+                        onMaxChange={setMaxMm}
+                        onClose={showDifference ? null : () => setOverlapOpen(false)}
+                    />
+                )}
 
                 <div className="viewer-overlay">
-                    <span className="viewer-hint">🖱️ Drag to rotate · Scroll to zoom</span>
+                    <span className="viewer-hint">
+                        {annotations.placing
+                            ? '📌 Click the model to place a pin · Esc to cancel'
+                            : tool
+                            ? `📏 ${MEASURE_TOOLS[tool].hint} (${pending.length}/${MEASURE_TOOLS[tool].clicks}) · Esc to cancel`
+                            : showReference && hovered !== null
+                            ? vessels[hovered].label
+                            : showReference && selected
+                            ? `${vessels[selected.index].label} · ↑ parent · ↓ branch · ← → siblings`
+                            : show2d
+                            ? 'Click a vessel to select it · hover for its name'
+                            : <>🖱️ Drag to rotate · Scroll to zoom{showReference ? ' · Click a vessel for details' : mesh && ' · Click to place cursor'}</>}
+                    </span>
                 </div>
-                <div className="viewer-legend">
-                    <span className="legend-title">Arteries</span>
-                    <span className="legend-item"><span className="legend-dot" style={{ background: '#9b1b30' }} />Aorta</span>
-                    <span className="legend-item"><span className="legend-dot" style={{ background: '#c0392b' }} />Major Artery</span>
-                    <span className="legend-item"><span className="legend-dot" style={{ background: '#e04040' }} />Medium Artery</span>
-                    <span className="legend-item"><span className="legend-dot" style={{ background: '#f5a090' }} />Capillary</span>
-                    <span className="legend-divider" />
-                    <span className="legend-title">Veins</span>
-                    <span className="legend-item"><span className="legend-dot" style={{ background: '#1a2d5a' }} />Vena Cava</span>
-                    <span className="legend-item"><span className="legend-dot" style={{ background: '#1e4a8a' }} />Major Vein</span>
-                    <span className="legend-item"><span className="legend-dot" style={{ background: '#2b6cb0' }} />Medium Vein</span>
-                    <span className="legend-item"><span className="legend-dot" style={{ background: '#7eb8e8' }} />Capillary</span>
+                {canMeasure && (
+                    <div className="viewer-tools">
+                        {Object.entries(MEASURE_TOOLS).map(([key, cfg]) => {
+                            const unavailable = cfg.needsCenterline && !showReference;
+                            const Icon = MEASURE_ICONS[key];
+                            return (
+                                <Tooltip
+                                    key={key}
+                                    placement="left"
+                                    title={unavailable ? `${cfg.label} needs vessel centerlines (reference anatomy only)` : cfg.label}
+                                >
+                                    <Button
+                                        size="small"
+                                        shape="circle"
+                                        icon={<Icon />}
+                                        type={tool === key ? 'primary' : 'default'}
+                                        disabled={unavailable}
+                                        onClick={() => chooseTool(key)}
+                                    />
+                                </Tooltip>
+                            );
+                        })}
+                    </div>
+                )}
+                <div className="viewer-source">
+                    {showReference ? (
+                        <>
+                            <Tag color="purple">
+                                {customGraph ? customGraph.name : 'Reference anatomy'}
+                                {source === 'patient' && ` — no reconstruction for ${patientId}`}
+                            </Tag>
+                            {vesselBatches.loaded < vesselBatches.total && (
+                                <Tag icon={<SyncOutlined spin />} color="processing">
+                                    Building vessels {vesselBatches.loaded}/{vesselBatches.total}
+                                </Tag>
+                            )}
+                        </>
+                    ) : mesh && (
+                        <Tag color="red">
+                            {patientId} · {mesh.info.format.toUpperCase()}
+                            {' · '}{mesh.boundsMm.map(v => Math.round(v)).join(' × ')} {mesh.info.units}
+                        </Tag>
+                    )}
                 </div>
+                {showFlow && (
+                    <div className="viewer-flow">
+                        <span className="viewer-flow-title">
+                            <span className="legend-dot" style={{ background: FLOW_COLORS.artery }} />
+                            <span className="legend-dot" style={{ background: FLOW_COLORS.vein }} />
+                            Blood flow
+                        </span>
+                        <span className="viewer-flow-label">Density</span>
+                        <Slider
+                            className="viewer-flow-slider"
+                            min={0.1}
+                            max={1}
+                            step={0.05}
+                            value={flowDensity}
+                            onChange={setFlowDensity}
+                            tooltip={{ formatter: (v) => `${Math.round(v * 100)}%` }}
+                        />
+                        <Button type="text" size="small" icon={<CloseOutlined />} onClick={() => setFlowOn(false)} />
+                    </div>
+                )}
+                {showReference && <ViewerLegend legend={scheme.legend} />}
             </div>
+
+            {analysisOpen && canMeasure && (
+                <CenterlinePanel
+                    profiles={profiles}
+                    lesions={lesions}
+                    profileIndex={profileIndex}
+                    onProfileChange={chooseProfile}
+                    threshold={threshold}
+                    onThresholdChange={setThreshold}
+                    emptyText={centerlines.loading
+                        ? 'Loading centerlines…'
+                        : `No centerlines available for ${patientId} — add ${patientId}_centerlines.json next to the mesh`}
+                />
+            )}
+
+            {showPath && (
+                <VesselPathPanel
+                    vessels={vessels}
+                    from={pathEnds.from}
+                    to={pathEnds.to}
+                    onChange={setPathEnds}
+                    route={route}
+                    selectedIndex={selected?.index ?? null}
+                    onFocus={flyToVessel}
+                />
+            )}
+
+            {clipping.shown && (
+                <ClippingPanel
+                    planes={clipping.planes}
+                    activeId={clipping.activePlane?.id}
+                    onActivate={clipping.activate}
+                    onAdd={clipping.add}
+                    onFlip={clipping.flip}
+                    onRemove={clipping.remove}
+                    gizmoMode={clipping.gizmoMode}
+                    onGizmoModeChange={clipping.setGizmoMode}
+                    sectionOn={clipping.sectionOn}
+                    onSectionChange={clipping.setSectionOn}
+                    sections={clipping.sections}
+                />
+            )}
+
+            <CaptureDialog
+                open={captureOpen}
+                onClose={() => setCaptureOpen(false)}
+                hasLegend={Boolean(captureLegend)}
+                onSnapshot={handleSnapshot}
+                onRecord={handleRecord}
+                onCancelRecording={() => recordingAbort.current?.abort()}
+                recording={recording}
+            />
+
+            {caseMeasurements.length > 0 && (
+                <MeasurementPanel
+                    measurements={caseMeasurements}
+                    onDelete={(id) => setMeasurements(prev => prev.filter(m => m.id !== id))}
+                    onClear={() => setMeasurements(prev => prev.filter(m => m.caseId !== caseId))}
+                    onExport={exportMeasurements}
+                />
+            )}
         </Card>
     );
 }
@@ -0,0 +1,166 @@
+import React, { useMemo, useState } from 'react';
+import { Input, Tree, Button, Tooltip, Dropdown, Upload, ConfigProvider, theme } from 'antd';
+import { AimOutlined, FilterOutlined, CloseOutlined, EyeOutlined, UploadOutlined, UndoOutlined } from '@ant-design/icons';
+import { ARTERY_COLORS, VEIN_COLORS, depthTierLabel } from '../viewer/vesselGeometry';
+
+const TYPE_GROUPS = [
+    { type: 'artery', label: 'Arteries', palette: ARTERY_COLORS },
+    { type: 'vein', label: 'Veins', palette: VEIN_COLORS },
+];
+
+// Bulk visibility changes: `visible(vessel, wasVisible)` decides the new state
+const BULK_ACTIONS = [
+    { key: 'hideVeins', label: 'Hide all veins', visible: (v, was) => was && v.type !== 'vein' },
+    { key: 'hideArteries', label: 'Hide all arteries', visible: (v, was) => was && v.type !== 'artery' },
+    { key: 'major', label: 'Major vessels only (depth ≤ 1)', visible: (v) => v.depth <= 1 },
+    { key: 'small', label: 'Depth ≥ 3 only', visible: (v) => v.depth >= 3 },
+];
+
+// type → depth tier → vessel tree, filtered by `query`; also returns the
+// vessel indices under every node so group checkboxes can toggle them
+function buildTree(vessels, query) {
+    const needle = query.trim().toLowerCase();
+    const leavesByNode = new Map();
+
+    const treeData = TYPE_GROUPS.map(({ type, label, palette }) => {
+        const tiers = new Map();
+        vessels.forEach((v, idx) => {
+            if (v.type !== type || (needle && !v.label.toLowerCase().includes(needle))) return;
+            if (!tiers.has(v.depth)) tiers.set(v.depth, []);
+            tiers.get(v.depth).push(idx);
+        });
+
+        const children = [...tiers.entries()].sort(([a], [b]) => a - b).map(([depth, indices]) => {
+            const key = `${type}-${depth}`;
+            leavesByNode.set(key, indices);
+            indices.forEach(idx => leavesByNode.set(`v-${idx}`, [idx]));
+            return {
+                key,
+                title: `${depthTierLabel(vessels[indices[0]])} (${indices.length})`,
+                children: indices.map(idx => ({
+                    key: `v-${idx}`,
+                    title: vessels[idx].label,
+                    vesselIndex: idx,
+                    color: palette[Math.min(vessels[idx].depth, palette.length - 1)].getStyle(),
+                    isLeaf: true,
+                })),
+            };
+        });
+        const all = children.flatMap(c => leavesByNode.get(c.key));
+        leavesByNode.set(type, all);
+        return { key: type, title: `${label} (${all.length})`, children };
+    }).filter(group => group.children.length > 0);
+
+    return { treeData, leavesByNode };
+}
+
+// ─── Vessel browser side panel ─────────────────────────────────────────────
+// `graphName` is the loaded vessel-graph file, null for the bundled anatomy
+function VesselBrowser({
+    vessels, hidden, onHiddenChange, selectedIndex, onPick, onResetCamera,
+    graphName, onLoadGraph, onResetGraph, onClose,
+}) {
+    const [query, setQuery] = useState('');
+    const [expandedKeys, setExpandedKeys] = useState(TYPE_GROUPS.map(g => g.type));
+
+    const isolate = (idx) => onHiddenChange(new Set(vessels.map((_, i) => i).filter(i => i !== idx)));
+
+    const { treeData, leavesByNode } = useMemo(() => buildTree(vessels, query), [vessels, query]);
+    const renderTitle = (node) => (!node.isLeaf ? node.title : (
+        <span className="vessel-browser-item">
+            <span className="legend-dot" style={{ background: node.color }} />
+            <span className="vessel-browser-label">{node.title}</span>
+            <Tooltip title="Isolate">
+                <Button
+                    type="text"
+                    size="small"
+                    icon={<AimOutlined />}
+                    onClick={(e) => { e.stopPropagation(); isolate(node.vesselIndex); }}
+                />
+            </Tooltip>
+        </span>
+    ));
+
+    const checkedKeys = vessels.map((_, i) => i).filter(i => !hidden.has(i)).map(i => `v-${i}`);
+    // While searching every matching group is open
+    const openKeys = query.trim() ? [...leavesByNode.keys()].filter(k => !k.startsWith('v-')) : expandedKeys;
+
+    const handleCheck = (_, { node, checked }) => {
+        const next = new Set(hidden);
+        leavesByNode.get(node.key).forEach(idx => (checked ? next.delete(idx) : next.add(idx)));
+        onHiddenChange(next);
+    };
+
+    const handleBulk = ({ key }) => {
+        const action = BULK_ACTIONS.find(a => a.key === key);
+        onHiddenChange(new Set(vessels.map((_, i) => i).filter(i => !action.visible(vessels[i], !hidden.has(i)))));
+    };
+
+    const visibleCount = vessels.length - hidden.size;
+
+    return (
+        <ConfigProvider theme={{ algorithm: theme.darkAlgorithm }}>
+            <div className="vessel-browser">
+                <div className="vessel-browser-header">
+                    <span className="vessel-browser-title">Vessels</span>
+                    <span className="vessel-browser-count">{visibleCount} / {vessels.length} shown</span>
+                    <Button type="text" size="small" icon={<CloseOutlined />} onClick={onClose} />
+                </div>
+                <Input.Search
+                    size="small"
+                    allowClear
+                    placeholder="Search vessels"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                <div className="vessel-browser-actions">
+                    <Dropdown menu={{ items: BULK_ACTIONS.map(({ key, label }) => ({ key, label })), onClick: handleBulk }} trigger={['click']}>
+                        <Button size="small" icon={<FilterOutlined />}>Visibility</Button>
+                    </Dropdown>
+                    <Button size="small" icon={<EyeOutlined />} disabled={hidden.size === 0} onClick={() => onHiddenChange(new Set())}>
+                        Show all
+                    </Button>
+                    <Button size="small" onClick={onResetCamera}>Reset view</Button>
+                </div>
+                <div className="vessel-browser-graph">
+                    <span className="vessel-browser-graph-name" title={graphName ?? undefined}>
+                        {graphName ?? 'Reference anatomy'}
+                    </span>
+                    <Upload
+                        accept=".json,application/json"
+                        showUploadList={false}
+                        beforeUpload={(file) => {
+                            onLoadGraph(file);
+                            return false;
+                        }}
+                    >
+                        <Tooltip title="Load a vessel-graph JSON file">
+                            <Button size="small" icon={<UploadOutlined />}>Load graph</Button>
+                        </Tooltip>
+                    </Upload>
+                    {graphName && (
+                        <Tooltip title="Back to the reference anatomy">
+                            <Button size="small" icon={<UndoOutlined />} onClick={onResetGraph} />
+                        </Tooltip>
+                    )}
+                </div>
+                <Tree
+                    checkable
+                    blockNode
+                    height={300}
+                    treeData={treeData}
+                    titleRender={renderTitle}
+                    checkedKeys={checkedKeys}
+                    onCheck={handleCheck}
+                    expandedKeys={openKeys}
+                    onExpand={(keys) => { if (!query.trim()) setExpandedKeys(keys); }}
+                    selectedKeys={selectedIndex === null ? [] : [`v-${selectedIndex}`]}
+                    onSelect={(_, { node }) => { if (node.isLeaf) onPick(node.vesselIndex); }}
+                />
+                {treeData.length === 0 && <div className="vessel-browser-empty">No vessels match “{query}”</div>}
+            </div>
+        </ConfigProvider>
+    );
+}
+
+export default VesselBrowser;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { Select, Button, Tooltip, Empty, Alert } from 'antd';
+import { SwapOutlined, AimOutlined, InfoCircleOutlined } from '@ant-design/icons';
+import { formatMm } from '../viewer/measurements';
+import { PATH_COLOR } from '../viewer/vesselPaths';
+
+// ─── One end of the path: a searchable vessel list ─────────────────────────
+function EndSelect({ label, value, onChange, options, selectedIndex }) {
+    return (
+        <span className="vessel-path-end">
+            <span className="vessel-path-end-label">{label}</span>
+            <Select
+                showSearch
+                allowClear
+                placeholder="Choose a vessel"
+                value={value}
+                onChange={(index) => onChange(index ?? null)}
+                options={options}
+                optionFilterProp="label"
+                style={{ width: 220 }}
+            />
+            <Tooltip title="Use the selected vessel">
+                <Button
+                    size="small"
+                    icon={<AimOutlined />}
+                    disabled={selectedIndex === null}
+                    onClick={() => onChange(selectedIndex)}
+                />
+            </Tooltip>
+        </span>
+    );
+}
+
+// ─── Route between two vessels: total length and the segments passed ──────
+function VesselPathPanel({ vessels, from, to, onChange, route, selectedIndex, onFocus }) {
+    const options = vessels
+        .map((v, index) => ({ label: v.label, value: index }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+    const endProps = { options, selectedIndex };
+    const bothChosen = from !== null && to !== null;
+
+    return (
+        <div className="vessel-path-panel">
+            <div className="centerline-header">
+                <span className="measure-panel-title">
+                    🧭 Path Tracing
+                    <Tooltip title="The shortest connected route between two vessels through the vessel tree. Lengths follow the centerlines and only count the stretch of each vessel the route runs along. With a vessel selected on the model, ↑ / ↓ move to its parent / widest branch and ← / → to its siblings.">
+                        <InfoCircleOutlined className="metrics-info-icon" />
+                    </Tooltip>
+                </span>
+                <div className="centerline-controls">
+                    <EndSelect label="From" value={from} onChange={(index) => onChange({ from: index, to })} {...endProps} />
+                    <Tooltip title="Swap ends">
+                        <Button size="small" icon={<SwapOutlined />} onClick={() => onChange({ from: to, to: from })} />
+                    </Tooltip>
+                    <EndSelect label="To" value={to} onChange={(index) => onChange({ from, to: index })} {...endProps} />
+                </div>
+            </div>
+
+            {!bothChosen && (
+                <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="Choose two vessels to trace the route between them" />
+            )}
+            {bothChosen && !route && (
+                <Alert
+                    type="info"
+                    showIcon
+                    message={`${vessels[from].label} and ${vessels[to].label} are not connected`}
+                    description={vessels[from].type !== vessels[to].type
+                        ? 'Arteries and veins only meet through the heart and the capillary beds, which the vessel graph does not model.'
+                        : 'No chain of touching vessels links them in this vessel graph.'}
+                />
+            )}
+            {bothChosen && route && (
+                <>
+                    <div className="vessel-path-summary">
+                        <span className="vessel-path-total" style={{ color: PATH_COLOR }}>{formatMm(route.lengthMm)}</span>
+                        <span className="vessel-path-note">
+                            along {route.segments.length} segment{route.segments.length === 1 ? '' : 's'}
+                        </span>
+                    </div>
+                    <ol className="vessel-path-steps">
+                        {route.segments.map(({ index, lengthMm }) => (
+                            <li
+                                key={index}
+                                className={`vessel-path-step${index === selectedIndex ? ' is-active' : ''}`}
+                                onClick={() => onFocus(index)}
+                            >
+                                <span className={`legend-dot vessel-popover-dot ${vessels[index].type}`} />
+                                <span className="vessel-path-step-label">{vessels[index].label}</span>
+                                <span className="vessel-path-step-length">{formatMm(lengthMm)}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default VesselPathPanel;
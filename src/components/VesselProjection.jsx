@@ -0,0 +1,58 @@
+import React, { useMemo, useState } from 'react';
+import { Segmented, Button } from 'antd';
+import { ReloadOutlined } from '@ant-design/icons';
+import * as THREE from 'three';
+import { CAMERA_PRESETS } from '../viewer/cameraViews';
+import { PROJECTION_VIEWS, projectVessels } from '../viewer/vesselProjection';
+
+// ─── 2D fallback: the vessel tree as an SVG projection ────────────────────
+// Drawn from the same centerlines as the 3D model, coloured like it (`colors`
+// is colorScheme()'s per-vessel RGB). Clicking a vessel selects it; `notice`
+// says why the 3D view is not shown and `onRetry` tries it again.
+function VesselProjection({ vessels, indices, colors, background, selectedIndex, onSelect, notice, onRetry }) {
+    const [view, setView] = useState('anterior');
+    const { viewBox, paths } = useMemo(() => projectVessels(vessels, indices, view), [vessels, indices, view]);
+    const stroke = useMemo(() => vessels.map((_, i) => (
+        `#${new THREE.Color(colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]).getHexString()}`
+    )), [vessels, colors]);
+    const selected = paths.find(p => p.index === selectedIndex);
+
+    return (
+        <div
+            className="vessel-projection"
+            style={{ background: `radial-gradient(ellipse at center, ${background.inner} 0%, ${background.outer} 100%)` }}
+        >
+            <svg viewBox={viewBox} preserveAspectRatio="xMidYMid meet" onClick={() => onSelect(null)}>
+                {paths.map(({ index, d, width }) => (
+                    <path
+                        key={index}
+                        d={d}
+                        stroke={stroke[index]}
+                        strokeWidth={width}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            onSelect(index === selectedIndex ? null : index);
+                        }}
+                    >
+                        <title>{vessels[index].label}</title>
+                    </path>
+                ))}
+                {selected && (
+                    <path className="vessel-projection-selected" d={selected.d} strokeWidth={selected.width + 0.08} />
+                )}
+            </svg>
+            <div className="vessel-projection-bar">
+                <span className="vessel-projection-notice">{notice}</span>
+                <Segmented
+                    size="small"
+                    value={view}
+                    onChange={setView}
+                    options={PROJECTION_VIEWS.map(key => ({ value: key, label: CAMERA_PRESETS[key].label }))}
+                />
+                <Button size="small" icon={<ReloadOutlined />} onClick={onRetry}>Try 3D</Button>
+            </div>
+        </div>
+    );
+}
+
+export default VesselProjection;
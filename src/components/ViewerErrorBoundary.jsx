@@ -0,0 +1,29 @@
+import React from 'react';
+
+// ─── Keeps a crash in the 3D scene from blanking the whole card ───────────
+// Renders `fallback(error)` instead of the children once they throw; a new
+// `resetKey` (e.g. after rebuilding the canvas) tries the children again.
+class ViewerErrorBoundary extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { error: null, resetKey: props.resetKey };
+    }
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    static getDerivedStateFromProps(props, state) {
+        return props.resetKey === state.resetKey ? null : { error: null, resetKey: props.resetKey };
+    }
+
+    componentDidCatch(error, info) {
+        this.props.onError?.(error, info);
+    }
+
+    render() {
+        return this.state.error ? this.props.fallback(this.state.error) : this.props.children;
+    }
+}
+
+export default ViewerErrorBoundary;
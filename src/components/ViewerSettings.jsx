@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { Drawer, Switch, Slider, Segmented, ColorPicker, Button, Tooltip } from 'antd';
+import { UndoOutlined, InfoCircleOutlined, SettingOutlined } from '@ant-design/icons';
+import {
+    LIGHTING_PRESETS, DISPLAY_MODES, ROTATE_SPEED_RANGE, BLOOM_RANGE, DEFAULT_VIEWER_SETTINGS,
+} from '../viewer/viewerSettings';
+
+const BACKGROUND_PRESETS = [{
+    label: 'Backgrounds',
+    colors: [DEFAULT_VIEWER_SETTINGS.background, '#000000', '#1f1f1f', '#10233f', '#2b2b3a', '#f0f2f5'],
+}];
+
+// ─── One labelled row; `note` explains why a control has no effect ─────────
+function SettingRow({ label, note, children }) {
+    return (
+        <div className="viewer-settings-row">
+            <span className="viewer-settings-label">
+                {label}
+                {note && (
+                    <Tooltip title={note}>
+                        <InfoCircleOutlined className="metrics-info-icon" />
+                    </Tooltip>
+                )}
+            </span>
+            {children}
+        </div>
+    );
+}
+
+// ─── Per-user viewer preferences (see useViewerSettings) ──────────────────
+// The toolbar button and its drawer. `preferences` is useViewerSettings()'s
+// result; `effects` says which post-processing passes the render quality tier
+// draws; `onAutoRotateChange` runs before the auto-rotate setting is switched
+// or reset (see useAutoRotate)
+function ViewerSettings({ preferences, effects, onAutoRotateChange }) {
+    const { settings, changed, reducedMotion } = preferences;
+    const [open, setOpen] = useState(false);
+
+    const onChange = (patch) => {
+        if ('autoRotate' in patch) onAutoRotateChange();
+        preferences.update(patch);
+    };
+    const onReset = () => {
+        onAutoRotateChange();
+        preferences.reset();
+    };
+
+    const motionNote = reducedMotion && !changed.includes('autoRotate') && !changed.includes('sway')
+        ? 'Off by default because your system asks for reduced motion'
+        : null;
+    const effectNote = (on) => (on ? null : 'Not drawn at the current render quality');
+
+    return (
+        // One toolbar item; the drawer itself renders into the page body
+        <span>
+            <Tooltip title="Viewer settings">
+                <Button
+                    shape="circle"
+                    icon={<SettingOutlined />}
+                    type={open ? 'primary' : 'default'}
+                    onClick={() => setOpen(o => !o)}
+                />
+            </Tooltip>
+            <Drawer
+                title="Viewer settings"
+                open={open}
+                onClose={() => setOpen(false)}
+                size={320}
+                // Leave the model in view so changes can be judged as they apply
+                mask={false}
+                className="viewer-settings"
+                extra={(
+                    <Tooltip title="Back to the defaults">
+                        <Button size="small" icon={<UndoOutlined />} disabled={!changed.length} onClick={onReset}>
+                            Reset
+                        </Button>
+                    </Tooltip>
+                )}
+            >
+                <div className="viewer-settings-section">Motion</div>
+                <SettingRow label="Auto-rotate" note={motionNote}>
+                    <Switch size="small" checked={settings.autoRotate} onChange={(autoRotate) => onChange({ autoRotate })} />
+                </SettingRow>
+                <SettingRow label="Rotation speed">
+                    <Slider
+                        className="viewer-settings-slider"
+                        {...ROTATE_SPEED_RANGE}
+                        step={0.1}
+                        value={settings.rotateSpeed}
+                        disabled={!settings.autoRotate}
+                        onChange={(rotateSpeed) => onChange({ rotateSpeed })}
+                        tooltip={{ formatter: (v) => `${Math.round(60 / v)} s per turn` }}
+                    />
+                </SettingRow>
+                <SettingRow label="Gentle sway" note={motionNote}>
+                    <Switch size="small" checked={settings.sway} onChange={(sway) => onChange({ sway })} />
+                </SettingRow>
+
+                <div className="viewer-settings-section">Effects</div>
+                <SettingRow label="Bloom" note={effectNote(effects.bloom)}>
+                    <Slider
+                        className="viewer-settings-slider"
+                        {...BLOOM_RANGE}
+                        step={0.05}
+                        value={settings.bloom}
+                        onChange={(bloom) => onChange({ bloom })}
+                        tooltip={{ formatter: (v) => (v === 0 ? 'Off' : v.toFixed(2)) }}
+                    />
+                </SettingRow>
+                <SettingRow label="Vignette" note={effectNote(effects.vignette)}>
+                    <Switch size="small" checked={settings.vignette} onChange={(vignette) => onChange({ vignette })} />
+                </SettingRow>
+
+                <div className="viewer-settings-section">Scene</div>
+                <SettingRow label="Background">
+                    <ColorPicker
+                        size="small"
+                        disabledAlpha
+                        value={settings.background}
+                        presets={BACKGROUND_PRESETS}
+                        onChangeComplete={(color) => onChange({ background: color.toHexString() })}
+                    />
+                </SettingRow>
+                <SettingRow label="Lighting">
+                    <Segmented
+                        size="small"
+                        value={settings.lighting}
+                        onChange={(lighting) => onChange({ lighting })}
+                        options={Object.entries(LIGHTING_PRESETS).map(([value, { label, description }]) => ({
+                            value,
+                            label: <Tooltip title={description}>{label}</Tooltip>,
+                        }))}
+                    />
+                </SettingRow>
+                <SettingRow label="Surfaces">
+                    <Segmented
+                        size="small"
+                        value={settings.display}
+                        onChange={(display) => onChange({ display })}
+                        options={Object.entries(DISPLAY_MODES).map(([value, { label }]) => ({ value, label }))}
+                    />
+                </SettingRow>
+
+                <div className="viewer-settings-note">
+                    Saved for your account on this browser and used by every viewer.
+                </div>
+            </Drawer>
+        </span>
+    );
+}
+
+export default ViewerSettings;
@@ -0,0 +1,7 @@
+// Signed-in user shown in the header and recorded as the author of findings.
+// There is no login yet, so this is a fixed placeholder.
+export const CURRENT_USER = {
+    id: 'dr-smith',
+    name: 'Dr. Smith',
+    role: 'Radiologist',
+};
@@ -68,13 +68,35 @@ export const metricsData = {
 // Model average across all completed patients (ImageCAS dataset benchmark)
 export const modelAverage = { clDice: 0.879, dice: 0.842, iou: 0.781 };
 
-export const processingStatus = {
-  patientId: 'Patient_003',
-  patientName: 'Robert Chen',
-  progress: 80,
-  stage: 'Vessel Segmentation',
-  message: 'Processing Patient_003... 80%',
-};
+// Jobs currently in the reconstruction pipeline (eta in seconds)
+export const processingJobs = [
+  {
+    jobId: 'Patient_003-0',
+    patientId: 'Patient_003',
+    patientName: 'Robert Chen',
+    status: 'running',
+    stage: 'Vessel Segmentation',
+    progress: 55,
+    eta: 135,
+  },
+  {
+    jobId: 'Patient_006-0',
+    patientId: 'Patient_006',
+    patientName: 'Sarah Wilson',
+    status: 'running',
+    stage: 'Preprocessing',
+    progress: 5,
+    eta: 340,
+  },
+];
+
+// Stage boundaries (cumulative %) of the reconstruction pipeline
+export const pipelineStages = [
+  { name: 'Preprocessing', until: 15 },
+  { name: 'Vessel Segmentation', until: 60 },
+  { name: 'Centerline Extraction', until: 80 },
+  { name: '3D Reconstruction', until: 100 },
+];
 
 export const systemLogs = [
   { time: '03:45:12', level: 'INFO', message: 'Patient_001 reconstruction completed successfully' },
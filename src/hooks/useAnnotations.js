@@ -0,0 +1,106 @@
+import { useState, useEffect, useMemo } from 'react';
+import { App as AntApp } from 'antd';
+import { usePatientAnnotations } from './useApi';
+import { createAnnotation, deleteAnnotation, describeError } from '../api/client';
+import { annotationModel, localToPin, pinToLocal } from '../viewer/annotations';
+
+/**
+ * Annotation pins of `patientId` on the model on screen (see annotations.js),
+ * with the pin being placed and the one in focus.
+ *
+ * available: the current model takes pins; `shown` is false otherwise
+ * reference: pins go on the reference anatomy rather than `mesh`, the
+ * patient reconstruction
+ * onPlacingStart: runs when placing starts (other click tools stop)
+ *
+ * pins: this model's pins, each with `local` (model group frame) added
+ * otherCount: pins stored for the other model
+ * placing: the next surface click places a pin via place(point, vessel);
+ * Esc cancels
+ * draft: the placed pin waiting for its note, saved with save(fields)
+ */
+export function useAnnotations(patientId, caseId, { available, reference, mesh, onPlacingStart }) {
+    const { message } = AntApp.useApp();
+    const [open, setOpen] = useState(false);
+    const [placingRaw, setPlacingRaw] = useState(false);
+    const [draftRaw, setDraft] = useState(null);
+    const [activeId, setActiveId] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const stored = usePatientAnnotations(patientId);
+    const shown = open && available;
+    const placing = shown && placingRaw;
+    const draft = shown && draftRaw?.caseId === caseId ? draftRaw : null;
+    const model = annotationModel(reference);
+    const frame = reference ? null : mesh;
+    const pins = useMemo(() => (stored.data ?? [])
+        .filter(pin => pin.model === model)
+        .map(pin => ({ ...pin, local: pinToLocal(pin.position, frame) })),
+    [stored.data, model, frame]);
+
+    useEffect(() => {
+        if (!placing) return undefined;
+        const onKey = (e) => {
+            if (e.key === 'Escape') setPlacingRaw(false);
+        };
+        window.addEventListener('keydown', onKey);
+        return () => window.removeEventListener('keydown', onKey);
+    }, [placing]);
+
+    const setPlacing = (on) => {
+        setPlacingRaw(on);
+        if (on) onPlacingStart?.();
+    };
+
+    const place = (point, vessel) => {
+        setPlacingRaw(false);
+        setDraft({ id: Date.now(), caseId, point, vessel });
+    };
+
+    const save = async (fields) => {
+        setSaving(true);
+        try {
+            const created = await createAnnotation(patientId, {
+                model,
+                position: localToPin(draft.point, frame),
+                vessel: draft.vessel,
+                ...fields,
+            });
+            setDraft(null);
+            setActiveId(created.id);
+            stored.reload();
+        } catch (err) {
+            message.error(`Could not save the pin: ${describeError(err)}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const remove = async (pin) => {
+        try {
+            await deleteAnnotation(patientId, pin.id);
+            stored.reload();
+        } catch (err) {
+            message.error(`Could not delete the pin: ${describeError(err)}`);
+        }
+    };
+
+    return {
+        open,
+        setOpen,
+        shown,
+        loading: stored.loading,
+        error: stored.error,
+        pins,
+        otherCount: (stored.data?.length ?? 0) - pins.length,
+        activeId,
+        setActiveId,
+        placing,
+        setPlacing,
+        place,
+        draft,
+        cancelDraft: () => setDraft(null),
+        saving,
+        save,
+        remove,
+    };
+}
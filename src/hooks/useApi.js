@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+    fetchPatients,
+    fetchMetrics,
+    fetchModelAverage,
+    fetchSystemLogs,
+    fetchCenterlines,
+    fetchVesselScalars,
+    fetchAnnotations,
+} from '../api/client';
+
+// reload() of every mounted useApiResource, per fetcher (see refreshResource)
+const reloaders = new Map();
+
+/**
+ * Generic fetch-on-mount hook.
+ *
+ * `fetcher` must be a stable (module-level) function; it is called with `key`
+ * and re-run whenever `key` changes or `reload()` is called. Data from a
+ * previous key is never returned, so switching patients shows a loading state
+ * instead of the old patient's numbers. Nothing is fetched while `enabled` is
+ * false.
+ */
+export function useApiResource(fetcher, key = null, enabled = true) {
+    const [reloadCount, setReloadCount] = useState(0);
+    const [state, setState] = useState({ key: undefined, token: undefined, data: null, error: null });
+    const token = enabled ? `${key}:${reloadCount}` : null;
+
+    useEffect(() => {
+        if (!token) return undefined;
+        let cancelled = false;
+        fetcher(key)
+            .then(data => {
+                if (!cancelled) setState({ key, token, data, error: null });
+            })
+            .catch(error => {
+                if (!cancelled) setState({ key, token, data: null, error });
+            });
+        return () => { cancelled = true; };
+    }, [fetcher, key, token]);
+
+    const reload = useCallback(() => setReloadCount(c => c + 1), []);
+
+    useEffect(() => {
+        if (!reloaders.has(fetcher)) reloaders.set(fetcher, new Set());
+        const group = reloaders.get(fetcher);
+        group.add(reload);
+        return () => group.delete(reload);
+    }, [fetcher, reload]);
+
+    if (!token) return { data: null, error: null, loading: false, reload };
+    const sameKey = state.key === key;
+    return {
+        data: sameKey ? state.data : null,
+        error: sameKey ? state.error : null,
+        loading: state.token !== token,
+        reload,
+    };
+}
+
+// Re-fetch `fetcher` in every component using it, e.g. after a change made
+// from one page that the sider and other cards also show
+export function refreshResource(fetcher) {
+    reloaders.get(fetcher)?.forEach(reload => reload());
+}
+
+export const usePatients = () => useApiResource(fetchPatients);
+export const refreshPatients = () => refreshResource(fetchPatients);
+export const usePatientMetrics = (patientId, enabled = true) => useApiResource(fetchMetrics, patientId, enabled);
+export const useModelAverage = () => useApiResource(fetchModelAverage);
+export const useSystemLogs = () => useApiResource(fetchSystemLogs);
+export const usePatientCenterlines = (patientId) => useApiResource(fetchCenterlines, patientId);
+export const usePatientAnnotations = (patientId) => useApiResource(fetchAnnotations, patientId);
+export const useVesselScalars = (patientId, enabled = true) => useApiResource(fetchVesselScalars, patientId, enabled);
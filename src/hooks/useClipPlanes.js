@@ -0,0 +1,74 @@
+import { useState, useMemo } from 'react';
+import { createClipPlane, flipClipPlane, crossSection, MAX_CLIP_PLANES } from '../viewer/clipping';
+
+/**
+ * Clipping planes of the case `caseId`, kept per case in the model's group
+ * frame, with the transform gizmo and cross-section that go with them.
+ *
+ * available: the current model can be clipped; `shown` is false otherwise
+ * center: where a new plane starts (the middle of the model)
+ * model: what the cross-section cuts, `{ vessels, indices }` or `{ mesh }`
+ *
+ * planes / activePlane / activeIndex: the planes in use (none while hidden)
+ * gizmoObject: the active plane's helper, set by <ClipPlanes onActiveObject>;
+ * commitGizmo() stores its pose at the end of a drag
+ * sections: lumens cut by the active plane, or null when off
+ */
+export function useClipPlanes(caseId, { available, center, model }) {
+    const [open, setOpen] = useState(false);
+    const [state, setState] = useState({ caseId: null, planes: [], activeId: null });
+    const [gizmoMode, setGizmoMode] = useState('translate');
+    const [sectionOn, setSectionOn] = useState(true);
+    const [gizmoObject, setGizmoObject] = useState(null);
+    const shown = open && available;
+    const planes = shown && state.caseId === caseId ? state.planes : [];
+    const activePlane = planes.find(p => p.id === state.activeId) ?? planes[0] ?? null;
+
+    const updatePlanes = (update, activeId) => setState(prev => ({
+        caseId,
+        planes: update(prev.caseId === caseId ? prev.planes : []),
+        activeId: activeId ?? prev.activeId,
+    }));
+    const changePlane = (id, change) => updatePlanes(list => list.map(p => (p.id === id ? change(p) : p)));
+
+    const add = (axis) => {
+        const plane = createClipPlane(axis, center);
+        updatePlanes(list => [...list, plane].slice(0, MAX_CLIP_PLANES), plane.id);
+    };
+    // End of a gizmo drag: the helper object holds the new pose
+    const commitGizmo = () => {
+        if (!activePlane || !gizmoObject) return;
+        changePlane(activePlane.id, p => ({
+            ...p,
+            position: gizmoObject.position.toArray(),
+            quaternion: gizmoObject.quaternion.toArray(),
+        }));
+    };
+
+    const { vessels, indices, mesh } = model;
+    const sections = useMemo(() => {
+        if (!activePlane || !sectionOn) return null;
+        return crossSection(activePlane, mesh ? { mesh } : { vessels, indices });
+    }, [activePlane, sectionOn, vessels, indices, mesh]);
+
+    return {
+        open,
+        setOpen,
+        shown,
+        planes,
+        activePlane,
+        activeIndex: planes.indexOf(activePlane),
+        activate: (id) => setState(prev => ({ ...prev, activeId: id })),
+        add,
+        flip: (id) => changePlane(id, flipClipPlane),
+        remove: (id) => updatePlanes(list => list.filter(p => p.id !== id)),
+        gizmoMode,
+        setGizmoMode,
+        gizmoObject,
+        setGizmoObject,
+        commitGizmo,
+        sectionOn,
+        setSectionOn,
+        sections,
+    };
+}
@@ -0,0 +1,74 @@
+import { useState, useEffect, useRef } from 'react';
+import { subscribeJobProgress } from '../api/stream';
+
+// Finished jobs stay on screen this long before dropping off the list
+const FINISHED_JOB_TTL = 30000;
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+/**
+ * Live processing jobs from the backend progress stream.
+ *
+ * Returns `{ jobs, connection }` where `jobs` is sorted running-first and
+ * `connection` is `{ status, retryIn }` from the underlying event stream.
+ * `onJobFinished(job)` fires once when a job completes or fails.
+ */
+export function useJobProgress({ onJobFinished } = {}) {
+    const [jobsById, setJobsById] = useState({});
+    const [connection, setConnection] = useState({ status: 'connecting', retryIn: null });
+    const onFinishedRef = useRef(onJobFinished);
+    const seenFinishedRef = useRef(new Set());
+
+    useEffect(() => {
+        onFinishedRef.current = onJobFinished;
+    });
+
+    useEffect(() => {
+        const notifyFinished = (job) => {
+            if (!isFinished(job) || seenFinishedRef.current.has(job.jobId)) return;
+            seenFinishedRef.current.add(job.jobId);
+            onFinishedRef.current?.(job);
+        };
+
+        return subscribeJobProgress({
+            onSnapshot: (jobs) => {
+                // A snapshot already-finished job was not watched finishing
+                jobs.filter(isFinished).forEach(job => seenFinishedRef.current.add(job.jobId));
+                setJobsById(Object.fromEntries(jobs.map(job => [job.jobId, job])));
+            },
+            onProgress: (job) => {
+                setJobsById(prev => {
+                    // A new run of the same patient replaces the previous one
+                    const next = Object.fromEntries(
+                        Object.entries(prev).filter(([, j]) => j.patientId !== job.patientId)
+                    );
+                    next[job.jobId] = job;
+                    return next;
+                });
+                notifyFinished(job);
+            },
+            onStatusChange: setConnection,
+        });
+    }, []);
+
+    // Drop finished jobs once they've been visible for a while
+    useEffect(() => {
+        const timer = setInterval(() => {
+            const cutoff = Date.now() - FINISHED_JOB_TTL;
+            setJobsById(prev => {
+                const stale = Object.values(prev).filter(j => isFinished(j) && j.receivedAt < cutoff);
+                if (stale.length === 0) return prev;
+                const next = { ...prev };
+                stale.forEach(j => delete next[j.jobId]);
+                return next;
+            });
+        }, 5000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const jobs = Object.values(jobsById).sort((a, b) =>
+        Number(isFinished(a)) - Number(isFinished(b)) || a.patientId.localeCompare(b.patientId)
+    );
+
+    return { jobs, connection };
+}
@@ -0,0 +1,93 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { subscribeSystemLogs } from '../api/stream';
+
+// Max entries kept in memory; older ones fall off the end
+export const LOG_BUFFER_SIZE = 500;
+
+// Prepend `incoming` (newest first) to `existing`, skipping ids already present
+function mergeNewest(existing, incoming, limit, skip) {
+    const ids = new Set(existing.map(e => e.id));
+    const fresh = incoming.filter(e => !ids.has(e.id) && !skip.has(e.id));
+    if (fresh.length === 0) return existing;
+    return [...fresh, ...existing].slice(0, limit);
+}
+
+/**
+ * Live tail of the system log.
+ *
+ * `entries` is newest first and never grows past `limit`. While paused, new
+ * entries are held in a (equally bounded) pending buffer and merged in on
+ * `resume()`, so the visible list stays still while someone is reading it.
+ *
+ * `error` is set while the stream cannot connect before the first snapshot
+ * (once entries are shown, `connection` reports the outage instead);
+ * `reconnect()` opens a fresh stream right away instead of waiting for the
+ * backoff.
+ */
+export function useLogTail({ limit = LOG_BUFFER_SIZE } = {}) {
+    const [buffer, setBuffer] = useState({ entries: [], pending: [], loaded: false });
+    const [paused, setPaused] = useState(false);
+    const [connection, setConnection] = useState({ status: 'connecting', retryIn: null });
+    const [reconnectCount, setReconnectCount] = useState(0);
+    const pausedRef = useRef(false);
+    const clearedIdsRef = useRef(new Set());
+
+    useEffect(() => subscribeSystemLogs({
+        onSnapshot: (snapshot) => setBuffer(prev => {
+            const cleared = clearedIdsRef.current;
+            if (pausedRef.current) {
+                const skip = new Set([...cleared, ...prev.entries.map(e => e.id)]);
+                return { ...prev, loaded: true, pending: mergeNewest(prev.pending, snapshot, limit, skip) };
+            }
+            return { ...prev, loaded: true, entries: mergeNewest(prev.entries, snapshot, limit, cleared) };
+        }),
+        onEntry: (entry) => setBuffer(prev => (
+            pausedRef.current
+                ? { ...prev, pending: mergeNewest(prev.pending, [entry], limit, clearedIdsRef.current) }
+                : { ...prev, entries: mergeNewest(prev.entries, [entry], limit, clearedIdsRef.current) }
+        )),
+        onStatusChange: setConnection,
+    }), [limit, reconnectCount]);
+
+    const reconnect = useCallback(() => setReconnectCount(c => c + 1), []);
+
+    const pause = useCallback(() => {
+        pausedRef.current = true;
+        setPaused(true);
+    }, []);
+
+    const resume = useCallback(() => {
+        pausedRef.current = false;
+        setPaused(false);
+        setBuffer(prev => ({
+            ...prev,
+            entries: mergeNewest(prev.entries, prev.pending, limit, clearedIdsRef.current),
+            pending: [],
+        }));
+    }, [limit]);
+
+    // Clear what is on screen; a reconnect snapshot won't bring it back
+    const clear = useCallback(() => {
+        setBuffer(prev => {
+            const ids = [...prev.entries, ...prev.pending].map(e => e.id);
+            clearedIdsRef.current = new Set([...ids, ...clearedIdsRef.current].slice(0, limit * 2));
+            return { ...prev, entries: [], pending: [] };
+        });
+    }, [limit]);
+
+    const unreachable = !buffer.loaded && connection.status === 'reconnecting';
+    return {
+        entries: buffer.entries,
+        pendingCount: buffer.pending.length,
+        loading: !buffer.loaded && !unreachable,
+        error: unreachable
+            ? new Error(`Cannot reach the log stream${connection.retryIn ? ` — retrying in ${Math.ceil(connection.retryIn / 1000)} s` : ''}`)
+            : null,
+        reconnect,
+        paused,
+        pause,
+        resume,
+        clear,
+        connection,
+    };
+}
@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchMeshInfo, downloadBinary } from '../api/client';
+import { parseMesh, disposeObject } from '../viewer/meshLoader';
+
+/**
+ * Load the reconstructed mesh for `patientId`.
+ *
+ * status: 'idle' | 'loading' | 'ready' | 'missing' | 'error'
+ * progress: download percentage (null when the size is unknown)
+ * mesh: `{ object, unitsPerMm, boundsMm, centerMm, info }` once ready
+ *
+ * The previous patient's mesh is disposed as soon as another one is requested.
+ */
+export function usePatientMesh(patientId, enabled = true) {
+    const [reloadCount, setReloadCount] = useState(0);
+    const [state, setState] = useState({ token: null, status: 'idle', progress: null, mesh: null, error: null });
+    const token = enabled && patientId ? `${patientId}:${reloadCount}` : null;
+
+    useEffect(() => {
+        if (!token) return undefined;
+        const controller = new AbortController();
+        let loaded = null;
+        const update = (patch) => {
+            if (controller.signal.aborted) return;
+            setState(prev => (prev.token === token
+                ? { ...prev, ...patch }
+                : { token, status: 'loading', progress: null, mesh: null, error: null, ...patch }));
+        };
+
+        (async () => {
+            try {
+                const info = await fetchMeshInfo(patientId);
+                if (!info) {
+                    update({ status: 'missing', progress: null });
+                    return;
+                }
+                const buffer = await downloadBinary(info.url, {
+                    signal: controller.signal,
+                    onProgress: (progress) => update({ progress }),
+                });
+                const parsed = await parseMesh(buffer, info.format);
+                if (controller.signal.aborted) {
+                    disposeObject(parsed.object);
+                    return;
+                }
+                loaded = parsed.object;
+                update({ status: 'ready', progress: 100, mesh: { ...parsed, info } });
+            } catch (error) {
+                if (error?.name === 'CanceledError' || controller.signal.aborted) return;
+                update({ status: 'error', error });
+            }
+        })();
+
+        return () => {
+            controller.abort();
+            disposeObject(loaded);
+        };
+    }, [patientId, token]);
+
+    const reload = useCallback(() => setReloadCount(c => c + 1), []);
+
+    if (!token) return { status: 'idle', progress: null, mesh: null, error: null, reload };
+    if (state.token !== token) return { status: 'loading', progress: 0, mesh: null, error: null, reload };
+    return { status: state.status, progress: state.progress, mesh: state.mesh, error: state.error, reload };
+}
+
+/**
+ * Load the ground-truth surface that belongs to a loaded patient `mesh`,
+ * placed in the same frame so it overlays the prediction.
+ *
+ * status: 'idle' | 'loading' | 'ready' | 'missing' | 'error'
+ * ('missing' when the mesh has no ground truth on the server)
+ * groundTruth: `{ object, unitsPerMm, boundsMm, centerMm }` once ready
+ */
+export function useGroundTruthMesh(mesh, enabled = true) {
+    const [state, setState] = useState({ mesh: null, status: 'idle', groundTruth: null, error: null });
+    // Once loaded it is kept until the mesh changes, so toggling the overlay is instant
+    const source = mesh?.info.groundTruth && (enabled || state.mesh === mesh) ? mesh : null;
+
+    useEffect(() => {
+        if (!source) return undefined;
+        const controller = new AbortController();
+        let loaded = null;
+
+        (async () => {
+            try {
+                const { url, format } = source.info.groundTruth;
+                const buffer = await downloadBinary(url, { signal: controller.signal });
+                const parsed = await parseMesh(buffer, format, source);
+                if (controller.signal.aborted) {
+                    disposeObject(parsed.object);
+                    return;
+                }
+                loaded = parsed.object;
+                setState({ mesh: source, status: 'ready', groundTruth: parsed, error: null });
+            } catch (error) {
+                if (error?.name === 'CanceledError' || controller.signal.aborted) return;
+                setState({ mesh: source, status: 'error', groundTruth: null, error });
+            }
+        })();
+
+        return () => {
+            controller.abort();
+            disposeObject(loaded);
+        };
+    }, [source]);
+
+    if (!enabled || !mesh) return { status: 'idle', groundTruth: null, error: null };
+    if (!mesh.info.groundTruth) return { status: 'missing', groundTruth: null, error: null };
+    if (state.mesh !== mesh) return { status: 'loading', groundTruth: null, error: null };
+    return { status: state.status, groundTruth: state.groundTruth, error: state.error };
+}
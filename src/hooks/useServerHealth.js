@@ -0,0 +1,41 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Backend health as polled by <ServerHealthProvider>.
+ *
+ * status: 'checking' | 'online' | 'degraded' | 'offline'
+ * latency: last round trip in ms (null while offline)
+ * lastSeen: timestamp (ms) of the last successful reply
+ * server: last known /api/server payload (kept while offline)
+ * canSubmitJobs: false while the backend cannot accept new work
+ */
+export const ServerHealthContext = createContext({
+    status: 'checking',
+    latency: null,
+    lastSeen: null,
+    lastChecked: null,
+    server: null,
+    error: null,
+    canSubmitJobs: false,
+    recheck: () => {},
+});
+
+export const useServerHealth = () => useContext(ServerHealthContext);
+
+// Badge status / label / color per health state, shared by sider, footer and pages
+export const HEALTH_STATUS = {
+    online: { badge: 'success', label: 'Server Online', short: 'Online', color: '#52c41a' },
+    degraded: { badge: 'warning', label: 'Server Degraded', short: 'Degraded', color: '#faad14' },
+    offline: { badge: 'error', label: 'Server Offline', short: 'Offline', color: '#ff4d4f' },
+    checking: { badge: 'processing', label: 'Checking Server…', short: 'Checking…', color: '#1890ff' },
+};
+
+// "14:02:11 (3 min ago)"
+export function formatLastSeen(timestamp, now = Date.now()) {
+    if (!timestamp) return 'never';
+    const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+    const ago = seconds < 60 ? `${seconds}s ago`
+        : seconds < 3600 ? `${Math.floor(seconds / 60)} min ago`
+            : `${Math.floor(seconds / 3600)} h ago`;
+    return `${new Date(timestamp).toLocaleTimeString()} (${ago})`;
+}
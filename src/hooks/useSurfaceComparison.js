@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+import { comparisonInput, withDistances } from '../viewer/surfaceCompare';
+
+/**
+ * Surface comparison of `prediction` with `groundTruth` (parsed meshes in the
+ * same frame; either null for none), computed in a Web Worker so large
+ * surfaces never block the page. A comparison still running when the meshes
+ * change is abandoned.
+ *
+ * status: 'idle' | 'computing' | 'ready' | 'error'
+ * comparison: as from withDistances() once ready
+ */
+export function useSurfaceComparison(prediction, groundTruth) {
+    const [state, setState] = useState({ prediction: null, groundTruth: null, comparison: null, error: null });
+
+    useEffect(() => {
+        if (!prediction || !groundTruth) return undefined;
+        const worker = new Worker(new URL('../viewer/surfaceCompare.worker.js', import.meta.url), { type: 'module' });
+        const input = comparisonInput(prediction, groundTruth);
+        const settle = (comparison, error) => setState({ prediction, groundTruth, comparison, error });
+
+        worker.onmessage = ({ data }) => {
+            if (data.error) settle(null, new Error(data.error));
+            else settle(withDistances(input, data), null);
+        };
+        worker.onerror = (e) => settle(null, new Error(e.message || 'The surface comparison stopped unexpectedly'));
+
+        const positions = (parts) => parts.map(p => p.positions);
+        worker.postMessage(
+            { pred: positions(input.pred), gt: positions(input.gt), unitsPerMm: input.unitsPerMm },
+            [...positions(input.pred), ...positions(input.gt)].map(a => a.buffer),
+        );
+        return () => worker.terminate();
+    }, [prediction, groundTruth]);
+
+    if (!prediction || !groundTruth) return { status: 'idle', comparison: null, error: null };
+    if (state.prediction !== prediction || state.groundTruth !== groundTruth) {
+        return { status: 'computing', comparison: null, error: null };
+    }
+    return { status: state.error ? 'error' : 'ready', comparison: state.comparison, error: state.error };
+}
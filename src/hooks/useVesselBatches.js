@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from 'react';
+import { packVessels, buffersToGeometry, paintBatches } from '../viewer/vesselGeometry';
+
+const NO_BATCHES = [];
+let nextBuildId = 1;
+
+/**
+ * Merged render batches for the reference `vessels`, built in a Web Worker
+ * so tube generation never blocks the page. Major vessels arrive first and
+ * finer tiers stream in after; hiding vessels only re-merges in the worker.
+ * `detail` is the tube resolution factor (see renderQuality.js); each level is
+ * built once and cached in the worker. `colors` (one RGB triple per vessel,
+ * see colorModes.js) recolours the batches without rebuilding them; without
+ * it they keep the depth-tier colours they were built with.
+ *
+ * Returns `{ batches, loaded, total }`: batches are `{ key, geometry }` as
+ * from buildBatches, `loaded` of `total` vessels are built so far. Replaced
+ * batches are disposed here.
+ */
+export function useVesselBatches(vessels, visibleIndices, detail = 1, colors = null) {
+    const workerRef = useRef(null);
+    // Read when batches arrive, so they are painted before their first frame
+    const colorsRef = useRef(colors);
+    const [state, setState] = useState({ vessels: null, batches: NO_BATCHES, loaded: 0, total: 0 });
+
+    useEffect(() => {
+        const worker = new Worker(new URL('../viewer/vesselGeometry.worker.js', import.meta.url), { type: 'module' });
+        workerRef.current = worker;
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+        };
+    }, []);
+
+    // Posted before 'build' when both change, so the first batches already respect it
+    useEffect(() => {
+        workerRef.current.postMessage({ type: 'view', indices: visibleIndices, detail });
+    }, [visibleIndices, detail]);
+
+    useEffect(() => {
+        const worker = workerRef.current;
+        const id = nextBuildId++;
+        worker.onmessage = ({ data }) => {
+            if (data.id !== id) return;
+            const batches = data.batches.map(b => ({ key: b.key, geometry: buffersToGeometry(b) }));
+            if (colorsRef.current?.length === vessels.length * 3) paintBatches(batches, colorsRef.current);
+            setState({
+                vessels,
+                batches,
+                loaded: data.loaded,
+                total: data.total,
+            });
+        };
+        worker.postMessage({ type: 'build', id, vessels: packVessels(vessels) });
+        return () => { worker.onmessage = null; };
+    }, [vessels]);
+
+    useEffect(() => () => state.batches.forEach(b => b.geometry.dispose()), [state.batches]);
+
+    // Colours or batches for another vessel set would index the wrong vessels
+    const currentColors = colors?.length === vessels.length * 3 ? colors : null;
+    const current = state.vessels === vessels;
+    const batches = current ? state.batches : NO_BATCHES;
+    useEffect(() => {
+        colorsRef.current = currentColors;
+        if (currentColors) paintBatches(batches, currentColors);
+    }, [currentColors, batches]);
+
+    if (!current) return { batches, loaded: 0, total: vessels.length };
+    return { batches, loaded: state.loaded, total: state.total };
+}
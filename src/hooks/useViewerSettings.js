@@ -0,0 +1,48 @@
+import { useSyncExternalStore, useCallback, useState } from 'react';
+import {
+    defaultViewerSettings, storedViewerSettings, saveViewerSettings, resetViewerSettings,
+    subscribeViewerSettings, prefersReducedMotion, subscribeReducedMotion,
+} from '../viewer/viewerSettings';
+
+/**
+ * Viewer preferences for `userId` (see viewerSettings.js).
+ *
+ * settings: the effective values — stored choices over this browser's defaults
+ * changed: keys the user set explicitly (kept across sessions)
+ * reducedMotion: the OS asks for reduced motion (follows changes live)
+ * update(patch) stores choices; reset() goes back to the defaults
+ *
+ * Every viewer on the page shares the same stored choices.
+ */
+export function useViewerSettings(userId) {
+    const stored = useSyncExternalStore(subscribeViewerSettings, () => storedViewerSettings(userId));
+    const reducedMotion = useSyncExternalStore(subscribeReducedMotion, prefersReducedMotion);
+
+    const update = useCallback((patch) => saveViewerSettings(userId, patch), [userId]);
+    const reset = useCallback(() => resetViewerSettings(userId), [userId]);
+
+    return {
+        settings: { ...defaultViewerSettings(reducedMotion), ...stored },
+        changed: Object.keys(stored),
+        reducedMotion,
+        update,
+        reset,
+    };
+}
+
+/**
+ * Auto-rotate for one viewer: follows the `setting` until switched for this
+ * session with setAutoRotate(). Starts off when `heldStill` (opened at a saved
+ * pose or linked to other viewers). followSetting() goes back to the setting,
+ * except in a `linked` view, where auto-rotate would drift away from (or fight)
+ * the other viewers' cameras.
+ */
+export function useAutoRotate(setting, { heldStill, linked }) {
+    const [override, setAutoRotate] = useState(heldStill ? false : null);
+
+    const followSetting = useCallback(() => {
+        if (!linked) setAutoRotate(null);
+    }, [linked]);
+
+    return { autoRotate: override ?? setting, setAutoRotate, followSetting };
+}
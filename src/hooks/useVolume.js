@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchVolumeInfo, downloadBinary } from '../api/client';
+import { parseNifti } from '../viewer/nifti';
+
+const emptyState = (token) => ({
+    token,
+    status: 'loading',
+    progress: null,
+    image: null,
+    mask: null,
+    error: null,
+    maskError: null,
+    // Kinds replaced by a local file; backend results no longer overwrite them
+    local: {},
+});
+
+/**
+ * Load the source CT (`image`) and segmentation (`mask`) NIfTI volumes for
+ * `patientId`. Either can be replaced by a local .nii / .nii.gz via `openFile`.
+ *
+ * status: 'idle' | 'loading' | 'ready' | 'missing' | 'error'
+ * A missing or unreadable mask leaves the image usable (see `maskError`).
+ */
+export function useVolume(patientId) {
+    const [reloadCount, setReloadCount] = useState(0);
+    const [state, setState] = useState(() => emptyState(null));
+    const token = patientId ? `${patientId}:${reloadCount}` : null;
+
+    useEffect(() => {
+        if (!token) return undefined;
+        const controller = new AbortController();
+        const update = (patch) => {
+            if (controller.signal.aborted) return;
+            setState((prev) => {
+                const base = prev.token === token ? prev : emptyState(token);
+                const next = { ...base, ...patch };
+                Object.keys(base.local).forEach((kind) => { next[kind] = base[kind]; });
+                if (next.image && next.status !== 'ready') next.status = 'ready';
+                return next;
+            });
+        };
+        const load = async (url, onProgress) => parseNifti(await downloadBinary(url, {
+            signal: controller.signal,
+            onProgress,
+        }));
+
+        (async () => {
+            try {
+                const info = await fetchVolumeInfo(patientId);
+                if (!info) {
+                    update({ status: 'missing' });
+                    return;
+                }
+                const image = await load(info.image.url, (progress) => update({ progress }));
+                update({ status: 'ready', progress: 100, image });
+
+                if (info.mask) {
+                    try {
+                        update({ mask: await load(info.mask.url) });
+                    } catch (error) {
+                        if (error?.name !== 'CanceledError') update({ maskError: error });
+                    }
+                }
+            } catch (error) {
+                if (error?.name === 'CanceledError' || controller.signal.aborted) return;
+                update({ status: 'error', error });
+            }
+        })();
+
+        return () => controller.abort();
+    }, [patientId, token]);
+
+    const openFile = useCallback(async (kind, file) => {
+        const volume = await parseNifti(await file.arrayBuffer());
+        setState((prev) => {
+            const base = prev.token === token ? prev : emptyState(token);
+            return {
+                ...base,
+                [kind]: volume,
+                ...(kind === 'mask' ? { maskError: null } : { status: 'ready', error: null }),
+                local: { ...base.local, [kind]: file.name },
+            };
+        });
+        return volume;
+    }, [token]);
+
+    const reload = useCallback(() => setReloadCount(c => c + 1), []);
+
+    const current = state.token === token ? state : emptyState(token);
+    return {
+        status: token ? current.status : 'idle',
+        progress: current.progress,
+        image: current.image,
+        mask: current.mask,
+        error: current.error,
+        maskError: current.maskError,
+        local: current.local,
+        openFile,
+        reload,
+    };
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from 'react';
+import { webglAvailable, RESTORE_TIMEOUT_MS, MAX_RESTORE_ATTEMPTS, STABLE_CONTEXT_MS } from '../viewer/webgl';
+
+/**
+ * WebGL health for one viewer canvas, and whether the 2D fallback replaces it.
+ *
+ * status: 'ready' | 'lost' (waiting for the context) | 'crashed' (the scene
+ * threw) | 'failed' (could not be started or restored) | 'unsupported' (no
+ * WebGL at all)
+ * canvasKey / mountPose: key and starting camera pose for the canvas; a new key
+ * rebuilds it with a fresh context at the pose `camera` had at the time
+ * (`initialPose` for the first canvas)
+ * report(status): from the canvas (context lost / restored, scene crashed)
+ * retry(): back to 3D; false when WebGL is still unavailable
+ */
+export function useWebglRecovery(camera, initialPose) {
+    const [status, setStatus] = useState(() => (webglAvailable() ? 'ready' : 'unsupported'));
+    const [canvasKey, setCanvasKey] = useState(0);
+    const [mountPose, setMountPose] = useState(initialPose);
+    const [restoreAttempts, setRestoreAttempts] = useState(0);
+    const [show2dRaw, setShow2d] = useState(false);
+    const show2d = show2dRaw || status === 'unsupported' || status === 'failed';
+
+    // A context the browser doesn't hand back in time is replaced by a new canvas
+    useEffect(() => {
+        if (status !== 'lost') return undefined;
+        const timer = setTimeout(() => {
+            if (restoreAttempts >= MAX_RESTORE_ATTEMPTS) {
+                setStatus('failed');
+                return;
+            }
+            setRestoreAttempts(n => n + 1);
+            setMountPose(camera);
+            setCanvasKey(k => k + 1);
+            setStatus('ready');
+        }, RESTORE_TIMEOUT_MS);
+        return () => clearTimeout(timer);
+    }, [status, restoreAttempts, camera]);
+
+    // Only back-to-back losses count towards giving up
+    useEffect(() => {
+        if (status !== 'ready' || !restoreAttempts) return undefined;
+        const timer = setTimeout(() => setRestoreAttempts(0), STABLE_CONTEXT_MS);
+        return () => clearTimeout(timer);
+    }, [status, restoreAttempts]);
+
+    const retry = () => {
+        if (!webglAvailable()) return false;
+        setShow2d(false);
+        setRestoreAttempts(0);
+        setMountPose(camera);
+        setCanvasKey(k => k + 1);
+        setStatus('ready');
+        return true;
+    };
+
+    const showFallback = useCallback(() => setShow2d(true), []);
+
+    return {
+        status,
+        show2d,
+        canRender3d: !show2d && status === 'ready',
+        canvasKey,
+        mountPose,
+        report: setStatus,
+        retry,
+        showFallback,
+    };
+}
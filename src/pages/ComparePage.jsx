@@ -0,0 +1,128 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Typography, Select, Switch, Button, Tooltip } from 'antd';
+import { SwapOutlined, LinkOutlined, DiffOutlined } from '@ant-design/icons';
+import VascularViewer from '../components/VascularViewer';
+import MetricsReport from '../components/MetricsReport';
+import { usePatients } from '../hooks/useApi';
+import { createCameraLink } from '../viewer/cameraLink';
+
+const { Text, Title } = Typography;
+
+// A good and a failed reconstruction, as a starting point
+const DEFAULT_CASES = { left: 'Patient_005', right: 'Patient_004' };
+const PANES = ['left', 'right'];
+const OTHER_PANE = { left: 'right', right: 'left' };
+
+// ─── Case picker shown as a pane's title ───────────────────────────────────
+function CaseSelect({ value, onChange, patients }) {
+    return (
+        <Select
+            value={value}
+            onChange={onChange}
+            loading={patients.loading}
+            style={{ width: 190 }}
+            options={(patients.data ?? []).map(p => ({
+                label: (
+                    <span style={{ fontSize: 13 }}>
+                        {p.id}
+                        <Text type="secondary" style={{ fontSize: 11, marginLeft: 6 }}>
+                            {p.name.split(' ')[0]}
+                        </Text>
+                    </span>
+                ),
+                value: p.id,
+            }))}
+        />
+    );
+}
+
+function ComparePage() {
+    // Both cases live in the URL (?left=…&right=…); each pane keeps its own
+    // view state under a `left.` / `right.` prefix
+    const [searchParams, setSearchParams] = useSearchParams();
+    const cases = {
+        left: searchParams.get('left') || DEFAULT_CASES.left,
+        right: searchParams.get('right') || DEFAULT_CASES.right,
+    };
+    const setCases = useCallback((update) => {
+        setSearchParams(prev => {
+            const next = new URLSearchParams(prev);
+            Object.entries(update).forEach(([pane, patientId]) => next.set(pane, patientId));
+            return next;
+        });
+    }, [setSearchParams]);
+    const patients = usePatients();
+
+    const [linked, setLinked] = useState(true);
+    const cameraLink = useMemo(() => createCameraLink(), []);
+    const [difference, setDifference] = useState(false);
+
+    // Meshes the panes have loaded, for the difference overlay
+    const [meshes, setMeshes] = useState({ left: null, right: null });
+    const meshHandlers = useMemo(() => Object.fromEntries(PANES.map(pane => [
+        pane,
+        (mesh) => setMeshes(prev => (prev[pane] === mesh ? prev : { ...prev, [pane]: mesh })),
+    ])), []);
+    const canDiff = Boolean(meshes.left && meshes.right);
+
+    return (
+        <div className="content-wrapper cmp-page">
+            {/* Page Header */}
+            <div className="cmp-page-header">
+                <div>
+                    <Title level={4} className="cmp-page-title">🔀 Compare Cases</Title>
+                    <Text type="secondary">Two reconstructions side by side with synchronized cameras</Text>
+                </div>
+                <div className="cmp-toolbar">
+                    <span className="cmp-toolbar-item">
+                        <LinkOutlined />
+                        <Text>Link cameras</Text>
+                        <Switch size="small" checked={linked} onChange={setLinked} />
+                    </span>
+                    <Tooltip title={canDiff ? 'Colour each reconstruction by its distance to the other' : 'Needs a patient reconstruction in both panes'}>
+                        <span className="cmp-toolbar-item">
+                            <DiffOutlined />
+                            <Text>Difference overlay</Text>
+                            <Switch size="small" checked={difference && canDiff} disabled={!canDiff} onChange={setDifference} />
+                        </span>
+                    </Tooltip>
+                    <Button icon={<SwapOutlined />} onClick={() => setCases({ left: cases.right, right: cases.left })}>
+                        Swap
+                    </Button>
+                </div>
+            </div>
+
+            <div className="cmp-panes">
+                {PANES.map((pane) => {
+                    const other = OTHER_PANE[pane];
+                    return (
+                        <div key={pane} className="cmp-pane">
+                            <VascularViewer
+                                patientId={cases[pane]}
+                                title={(
+                                    <CaseSelect
+                                        value={cases[pane]}
+                                        onChange={(patientId) => setCases({ [pane]: patientId })}
+                                        patients={patients}
+                                    />
+                                )}
+                                viewParamPrefix={`${pane}.`}
+                                cameraLink={linked ? cameraLink : null}
+                                onMeshChange={meshHandlers[pane]}
+                                compareMesh={difference && canDiff ? meshes[other] : null}
+                                compareLabel={cases[other]}
+                            />
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="cmp-metrics">
+                <MetricsReport selectedPatient={cases.left} comparePatient={cases.right} />
+            </div>
+        </div>
+    );
+}
+
+export default ComparePage;
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import VascularViewer from '../components/VascularViewer';
 import MetricsReport from '../components/MetricsReport';
+import SliceViewer from '../components/SliceViewer';
 import SystemStatus from '../components/SystemStatus';
 
 // Section definitions for scroll spy
@@ -11,8 +13,23 @@ const SECTIONS = [
     { id: 'system-logs', label: 'System Logs' },
 ];
 
+const DEFAULT_PATIENT = 'Patient_001';
+
 function DashboardPage({ onActiveSectionChange }) {
-    const [selectedPatient, setSelectedPatient] = useState('Patient_001');
+    // The selected patient lives in the URL (?patient=…) so links open the same case
+    const [searchParams, setSearchParams] = useSearchParams();
+    const selectedPatient = searchParams.get('patient') || DEFAULT_PATIENT;
+    const setSelectedPatient = useCallback((patientId) => {
+        setSearchParams(prev => {
+            const next = new URLSearchParams(prev);
+            next.set('patient', patientId);
+            return next;
+        });
+    }, [setSearchParams]);
+    // Shared 3D cursor (world mm) linking the slice crosshair and the 3D model
+    const [cursor, setCursor] = useState({ patientId: null, mm: null });
+    const cursorMm = cursor.patientId === selectedPatient ? cursor.mm : null;
+    const handleCursorChange = useCallback((mm) => setCursor({ patientId: selectedPatient, mm }), [selectedPatient]);
     const contentRef = useRef(null);
 
     // Scroll spy: track which section is currently visible
@@ -54,7 +71,11 @@ function DashboardPage({ onActiveSectionChange }) {
             <section id="model-viewer" className="dashboard-section">
                 <div className="top-section">
                     <div className="viewer-section">
-                        <VascularViewer />
+                        <VascularViewer
+                            patientId={selectedPatient}
+                            cursorMm={cursorMm}
+                            onCursorChange={handleCursorChange}
+                        />
                     </div>
                     <div className="metrics-section">
                         <MetricsReport
@@ -63,6 +84,13 @@ function DashboardPage({ onActiveSectionChange }) {
                         />
                     </div>
                 </div>
+                <div className="slice-section">
+                    <SliceViewer
+                        patientId={selectedPatient}
+                        cursorMm={cursorMm}
+                        onCursorChange={handleCursorChange}
+                    />
+                </div>
             </section>
 
             {/* Section 2: System Status & Logs (SystemStatus has 3 cards internally) */}
@@ -1,7 +1,7 @@
 import React, { useState, useMemo } from 'react';
 import {
     Card, Table, Tag, Input, Typography, Badge, Avatar, Space,
-    Select, Button, Dropdown, Progress, Tooltip,
+    Select, Button, Dropdown, Progress, Tooltip, App as AntApp,
 } from 'antd';
 import {
     SearchOutlined,
@@ -18,8 +18,12 @@ import {
     ThunderboltOutlined,
     WarningOutlined,
     FileTextOutlined,
+    RedoOutlined,
 } from '@ant-design/icons';
-import { patients } from '../data/mockData';
+import CardState from '../components/CardState';
+import { reprocessPatient, describeError } from '../api/client';
+import { usePatients, refreshPatients } from '../hooks/useApi';
+import { useServerHealth } from '../hooks/useServerHealth';
 
 const { Text, Title } = Typography;
 const { Option } = Select;
@@ -41,18 +45,31 @@ const statCards = [
 ];
 
 // ─── Action dropdown menu ──────────────────────────────────────────────────
-const getActionItems = (record) => ({
+const getActionItems = (record, canSubmitJobs, onAction) => ({
     items: [
         { key: 'view', icon: <EyeOutlined />, label: 'View Details' },
         { key: 'download', icon: <DownloadOutlined />, label: 'Download Report' },
         { key: 'log', icon: <FileTextOutlined />, label: 'View Logs' },
+        { type: 'divider' },
+        {
+            key: 'reprocess',
+            icon: <RedoOutlined />,
+            // Submitting work needs a reachable backend
+            disabled: !canSubmitJobs || record.status === 'processing',
+            label: canSubmitJobs ? 'Re-run Reconstruction' : 'Re-run Reconstruction (server offline)',
+        },
     ],
+    onClick: ({ key }) => onAction(key, record),
 });
 
 
 function PatientQueuePage() {
     const [searchText, setSearchText] = useState('');
     const [statusFilter, setStatusFilter] = useState('all');
+    const { data, loading, error, reload } = usePatients();
+    const { canSubmitJobs } = useServerHealth();
+    const { message } = AntApp.useApp();
+    const patients = useMemo(() => data ?? [], [data]);
 
     // Compute stats
     const stats = useMemo(() => ({
@@ -60,7 +77,7 @@ function PatientQueuePage() {
         success: patients.filter(p => p.result === 'Success').length,
         failed: patients.filter(p => p.result === 'Failed').length,
         processing: patients.filter(p => p.result === 'Processing').length,
-    }), []);
+    }), [patients]);
 
     // Filtered data
     const filteredData = useMemo(() => {
@@ -71,7 +88,19 @@ function PatientQueuePage() {
             const matchesFilter = statusFilter === 'all' || p.result === statusFilter;
             return matchesSearch && matchesFilter;
         });
-    }, [searchText, statusFilter]);
+    }, [patients, searchText, statusFilter]);
+
+    const handleAction = async (key, record) => {
+        if (key !== 'reprocess') return;
+        try {
+            await reprocessPatient(record.id);
+            message.success(`${record.id} queued for reconstruction`);
+            // The sider's counts and badges show the same list
+            refreshPatients();
+        } catch (err) {
+            message.error(`Could not queue ${record.id}: ${describeError(err)}`);
+        }
+    };
 
     // Table columns
     const columns = [
@@ -153,7 +182,7 @@ function PatientQueuePage() {
             key: 'actions',
             width: 48,
             render: (_, record) => (
-                <Dropdown menu={getActionItems(record)} trigger={['click']} placement="bottomRight">
+                <Dropdown menu={getActionItems(record, canSubmitJobs, handleAction)} trigger={['click']} placement="bottomRight">
                     <Button
                         type="text"
                         icon={<MoreOutlined />}
@@ -233,15 +262,18 @@ function PatientQueuePage() {
                     </div>
                 </div>
 
-                <Table
-                    columns={columns}
-                    dataSource={filteredData}
-                    rowKey="id"
-                    pagination={{ pageSize: 10, showSizeChanger: true, showTotal: (t) => `${t} patients` }}
-                    size="middle"
-                    className="pq-table"
-                    rowClassName="pq-table-row"
-                />
+                <CardState error={error} onRetry={reload}>
+                    <Table
+                        columns={columns}
+                        dataSource={filteredData}
+                        loading={loading}
+                        rowKey="id"
+                        pagination={{ pageSize: 10, showSizeChanger: true, showTotal: (t) => `${t} patients` }}
+                        size="middle"
+                        className="pq-table"
+                        rowClassName="pq-table-row"
+                    />
+                </CardState>
             </Card>
         </div>
     );
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import {
     Card, Tag, Typography, Badge, Button, Input, Select, Tooltip, Space, Switch,
 } from 'antd';
@@ -16,8 +16,13 @@ import {
     SearchOutlined,
     FilterOutlined,
     BulbOutlined,
+    PauseOutlined,
+    CaretRightOutlined,
+    VerticalAlignTopOutlined,
 } from '@ant-design/icons';
-import { systemLogs, serverStatus } from '../data/mockData';
+import CardState from '../components/CardState';
+import { useServerHealth, HEALTH_STATUS, formatLastSeen } from '../hooks/useServerHealth';
+import { useLogTail, LOG_BUFFER_SIZE } from '../hooks/useLogTail';
 
 const { Text, Title } = Typography;
 const { Option } = Select;
@@ -53,26 +58,27 @@ const serverCards = [
         key: 'status',
         label: 'Server Status',
         icon: <CloudServerOutlined />,
-        getValue: () => serverStatus.online ? 'Online' : 'Offline',
+        getValue: (health) => HEALTH_STATUS[health.status].short
+            + (health.latency !== null ? ` · ${health.latency} ms` : ''),
         isPulse: true,
     },
     {
         key: 'version',
         label: 'Version',
         icon: <ApiOutlined />,
-        getValue: () => serverStatus.version,
+        getValue: (health) => health.server?.version,
     },
     {
         key: 'gpu',
         label: 'GPU',
         icon: <ThunderboltOutlined />,
-        getValue: () => serverStatus.gpu,
+        getValue: (health) => health.server?.gpu,
     },
     {
         key: 'model',
         label: 'Model',
         icon: <RocketOutlined />,
-        getValue: () => serverStatus.modelVersion,
+        getValue: (health) => health.server?.modelVersion,
     },
 ];
 
@@ -81,6 +87,11 @@ function SystemLogsPage() {
     const [levelFilter, setLevelFilter] = useState('all');
     const [searchText, setSearchText] = useState('');
     const [darkMode, setDarkMode] = useState(true);
+    const [autoScroll, setAutoScroll] = useState(true);
+    const tail = useLogTail();
+    const health = useServerHealth();
+    const systemLogs = tail.entries;
+    const timelineRef = useRef(null);
 
     // Filtered logs
     const filteredLogs = useMemo(() => {
@@ -90,7 +101,7 @@ function SystemLogsPage() {
                 || log.message.toLowerCase().includes(searchText.toLowerCase());
             return matchLevel && matchSearch;
         });
-    }, [levelFilter, searchText]);
+    }, [systemLogs, levelFilter, searchText]);
 
     // Stats
     const logStats = useMemo(() => ({
@@ -98,7 +109,14 @@ function SystemLogsPage() {
         info: systemLogs.filter(l => l.level === 'INFO').length,
         warning: systemLogs.filter(l => l.level === 'WARNING').length,
         error: systemLogs.filter(l => l.level === 'ERROR').length,
-    }), []);
+    }), [systemLogs]);
+
+    // Newest entries are at the top — keep them in view as they arrive
+    useEffect(() => {
+        if (autoScroll && timelineRef.current) {
+            timelineRef.current.scrollTop = 0;
+        }
+    }, [autoScroll, filteredLogs]);
 
     const handleExport = () => {
         const csv = ['Time,Level,Message', ...systemLogs.map(l => `${l.time},${l.level},"${l.message}"`)].join('\n');
@@ -130,11 +148,18 @@ function SystemLogsPage() {
                         <div className="sl-glass-body">
                             <Text type="secondary" className="sl-glass-label">{card.label}</Text>
                             <div className="sl-glass-value">
-                                {card.isPulse && serverStatus.online && (
+                                {card.isPulse && health.status === 'online' && (
                                     <span className="sl-pulse-dot" />
                                 )}
-                                <Text strong>{card.getValue()}</Text>
+                                <Text strong style={card.isPulse ? { color: HEALTH_STATUS[health.status].color } : undefined}>
+                                    {card.getValue(health) || '—'}
+                                </Text>
                             </div>
+                            {card.isPulse && health.status === 'offline' && (
+                                <Text type="secondary" className="sl-glass-label">
+                                    Last seen {formatLastSeen(health.lastSeen, health.lastChecked)}
+                                </Text>
+                            )}
                         </div>
                     </div>
                 ))}
@@ -145,7 +170,10 @@ function SystemLogsPage() {
                 <Tag color="green" className="sl-log-stat-tag">{logStats.info} INFO</Tag>
                 <Tag color="orange" className="sl-log-stat-tag">{logStats.warning} WARNING</Tag>
                 <Tag color="red" className="sl-log-stat-tag">{logStats.error} ERROR</Tag>
-                <Text type="secondary" style={{ fontSize: 12, marginLeft: 8 }}>Total: {logStats.total} entries</Text>
+                <Text type="secondary" style={{ fontSize: 12, marginLeft: 8 }}>
+                    Total: {logStats.total} entries
+                    {logStats.total >= LOG_BUFFER_SIZE && ` (latest ${LOG_BUFFER_SIZE} kept)`}
+                </Text>
             </div>
 
             {/* Activity Log Card */}
@@ -154,7 +182,23 @@ function SystemLogsPage() {
                 title={
                     <div className="sl-log-card-header">
                         <span className="sl-log-card-title">📜 Activity Log</span>
+                        <Tag
+                            color={tail.paused ? 'default' : tail.connection.status === 'open' ? 'green' : 'orange'}
+                            className="sl-live-tag"
+                        >
+                            {tail.paused ? 'Paused' : tail.connection.status === 'open' ? '● Live' : 'Reconnecting…'}
+                        </Tag>
                         <div className="sl-log-card-controls">
+                            <Tooltip title="Keep the newest entry in view">
+                                <div className="sl-theme-toggle">
+                                    <VerticalAlignTopOutlined style={{ fontSize: 13, color: autoScroll ? '#52c41a' : '#8c8c8c' }} />
+                                    <Switch
+                                        size="small"
+                                        checked={autoScroll}
+                                        onChange={setAutoScroll}
+                                    />
+                                </div>
+                            </Tooltip>
                             <Tooltip title="Toggle terminal theme">
                                 <div className="sl-theme-toggle">
                                     <BulbOutlined style={{ fontSize: 13, color: darkMode ? '#fadb14' : '#8c8c8c' }} />
@@ -170,6 +214,18 @@ function SystemLogsPage() {
                 }
                 extra={
                     <Space size={6}>
+                        <Tooltip title={tail.paused ? 'Resume live tail' : 'Pause live tail'}>
+                            <Badge count={tail.paused ? tail.pendingCount : 0} size="small" overflowCount={99}>
+                                <Button
+                                    size="small"
+                                    icon={tail.paused ? <CaretRightOutlined /> : <PauseOutlined />}
+                                    onClick={tail.paused ? tail.resume : tail.pause}
+                                    className="sl-header-btn"
+                                >
+                                    {tail.paused ? 'Resume' : 'Pause'}
+                                </Button>
+                            </Badge>
+                        </Tooltip>
                         <Tooltip title="Export as CSV">
                             <Button
                                 size="small"
@@ -185,6 +241,7 @@ function SystemLogsPage() {
                                 size="small"
                                 icon={<DeleteOutlined />}
                                 danger
+                                onClick={tail.clear}
                                 className="sl-header-btn"
                             />
                         </Tooltip>
@@ -217,47 +274,51 @@ function SystemLogsPage() {
                 </div>
 
                 {/* Timeline Log Entries */}
-                <div className={`sl-timeline ${darkMode ? 'sl-timeline-dark' : ''}`}>
-                    {filteredLogs.map((log, idx) => {
-                        const cfg = logConfig[log.level] || logConfig.INFO;
-                        return (
-                            <div
-                                key={idx}
-                                className={`sl-timeline-entry ${log.level === 'ERROR' ? 'sl-entry-error' : ''}`}
-                            >
-                                {/* Timeline connector */}
-                                <div className="sl-timeline-rail">
-                                    <div className="sl-timeline-dot" style={{ background: cfg.dotColor, boxShadow: `0 0 8px ${cfg.dotColor}60` }} />
-                                    {idx < filteredLogs.length - 1 && <div className="sl-timeline-line" />}
-                                </div>
+                <div ref={timelineRef} className={`sl-timeline ${darkMode ? 'sl-timeline-dark' : ''}`}>
+                    <CardState loading={tail.loading} error={tail.error} onRetry={tail.reconnect} rows={4}>
+                        <>
+                            {filteredLogs.map((log, idx) => {
+                                const cfg = logConfig[log.level] || logConfig.INFO;
+                                return (
+                                    <div
+                                        key={log.id}
+                                        className={`sl-timeline-entry ${log.level === 'ERROR' ? 'sl-entry-error' : ''}`}
+                                    >
+                                        {/* Timeline connector */}
+                                        <div className="sl-timeline-rail">
+                                            <div className="sl-timeline-dot" style={{ background: cfg.dotColor, boxShadow: `0 0 8px ${cfg.dotColor}60` }} />
+                                            {idx < filteredLogs.length - 1 && <div className="sl-timeline-line" />}
+                                        </div>
 
-                                {/* Content */}
-                                <div className="sl-timeline-content">
-                                    <div className="sl-timeline-meta">
-                                        <code className="sl-timestamp">{log.time}</code>
-                                        <Tag
-                                            className="sl-level-tag"
-                                            style={{
-                                                background: cfg.bg,
-                                                color: cfg.color,
-                                                border: `1px solid ${cfg.border}`,
-                                            }}
-                                        >
-                                            {cfg.icon}
-                                            <span style={{ marginLeft: 4 }}>{log.level}</span>
-                                        </Tag>
+                                        {/* Content */}
+                                        <div className="sl-timeline-content">
+                                            <div className="sl-timeline-meta">
+                                                <code className="sl-timestamp">{log.time}</code>
+                                                <Tag
+                                                    className="sl-level-tag"
+                                                    style={{
+                                                        background: cfg.bg,
+                                                        color: cfg.color,
+                                                        border: `1px solid ${cfg.border}`,
+                                                    }}
+                                                >
+                                                    {cfg.icon}
+                                                    <span style={{ marginLeft: 4 }}>{log.level}</span>
+                                                </Tag>
+                                            </div>
+                                            <div className="sl-timeline-message">{log.message}</div>
+                                        </div>
                                     </div>
-                                    <div className="sl-timeline-message">{log.message}</div>
-                                </div>
-                            </div>
-                        );
-                    })}
+                                );
+                            })}
 
-                    {filteredLogs.length === 0 && (
-                        <div className="sl-empty">
-                            <Text type="secondary">No logs match your filter criteria</Text>
-                        </div>
-                    )}
+                            {filteredLogs.length === 0 && (
+                                <div className="sl-empty">
+                                    <Text type="secondary">{systemLogs.length === 0 ? 'No log entries yet' : 'No logs match your filter criteria'}</Text>
+                                </div>
+                            )}
+                        </>
+                    </CardState>
                 </div>
             </Card>
         </div>
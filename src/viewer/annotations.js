@@ -0,0 +1,25 @@
+// Annotation pins: a note, severity and author at a point on the model.
+// Positions are stored in the model's own coordinates so they survive the
+// viewer's fit-to-view transform: mesh file units for a patient
+// reconstruction (like the 3D cursor), body units for the reference anatomy.
+
+export const ANNOTATION_SEVERITIES = {
+    note: { label: 'Note', color: '#1890ff' },
+    mild: { label: 'Mild', color: '#fadb14' },
+    moderate: { label: 'Moderate', color: '#fa8c16' },
+    severe: { label: 'Severe', color: '#f5222d' },
+};
+
+export const MAX_NOTE_LENGTH = 280;
+
+// Which stored pins belong to the model on screen
+export const annotationModel = (showReference) => (showReference ? 'reference' : 'patient');
+
+// Model group's local frame → stored position (`mesh` null for the reference)
+export function localToPin(point, mesh) {
+    return mesh ? point.map((v, i) => v / mesh.unitsPerMm + mesh.centerMm[i]) : [...point];
+}
+
+export function pinToLocal(position, mesh) {
+    return mesh ? position.map((v, i) => (v - mesh.centerMm[i]) * mesh.unitsPerMm) : position;
+}
@@ -0,0 +1,125 @@
+// Blood-flow particles for the reference anatomy: points gliding along each
+// vessel's centerline, away from the heart in arteries and towards it in
+// veins. Tracks and seeds are built once per vessel set; per frame only the
+// positions buffer is rewritten (see writeFlowPositions).
+import * as THREE from 'three';
+import { BODY_LANDMARKS } from '../data/vascularAnatomy';
+
+// Particles per body unit of centerline at density 1 (the slider's maximum)
+export const FLOW_DENSITY_MAX = 12;
+export const DEFAULT_FLOW_DENSITY = 0.5;
+// Keeps the per-frame update cheap however dense the slider is set
+const MAX_FLOW_PARTICLES = 6000;
+// Samples per track; positions are looked up by arc fraction, no search
+const TRACK_SAMPLES = 24;
+
+export const FLOW_COLORS = { artery: '#ff7875', vein: '#69b1ff' };
+
+// Body units per second: wide vessels (the aorta, venae cavae) flow fastest
+export function flowSpeed(vessel) {
+    return 0.35 + vessel.radius * 7;
+}
+
+// Squared distance from `p` to the nearest centerline point of `vessel`
+function nearestSq(vessel, p) {
+    return vessel.points.reduce((best, c) => Math.min(best, c.distanceToSquared(p)), Infinity);
+}
+
+// True when points[0] is the end nearer the heart along the tree: the end
+// touching the parent vessel, or for roots the end closer to the heart itself
+function startsProximal(vessels, vessel) {
+    const first = vessel.points[0];
+    const last = vessel.points[vessel.points.length - 1];
+    if (vessel.parent !== null) {
+        const parent = vessels[vessel.parent];
+        return nearestSq(parent, first) <= nearestSq(parent, last);
+    }
+    const heart = new THREE.Vector3(...BODY_LANDMARKS.heart);
+    return first.distanceToSquared(heart) <= last.distanceToSquared(heart);
+}
+
+// Centerline resampled at even arc steps, ordered in the direction of flow
+function flowTrack(vessels, vessel) {
+    const points = startsProximal(vessels, vessel) === (vessel.type === 'artery')
+        ? vessel.points
+        : [...vessel.points].reverse();
+    const arc = [0];
+    for (let i = 1; i < points.length; i++) arc.push(arc[i - 1] + points[i].distanceTo(points[i - 1]));
+    const length = arc[arc.length - 1];
+
+    const samples = new Float32Array(TRACK_SAMPLES * 3);
+    let k = 1;
+    for (let j = 0; j < TRACK_SAMPLES; j++) {
+        const s = (j / (TRACK_SAMPLES - 1)) * length;
+        while (k < points.length - 1 && arc[k] < s) k++;
+        const t = (s - arc[k - 1]) / ((arc[k] - arc[k - 1]) || 1);
+        const p = points[k - 1].clone().lerp(points[k], Math.min(1, t));
+        samples.set([p.x, p.y, p.z], j * 3);
+    }
+    return { samples, length };
+}
+
+/**
+ * Seed particles on the vessels `indices` at `density` (0–1). Returns
+ * `{ count, positions, colors, tracks, track, phase, rate }`: `track` is the
+ * particle's index into `tracks`, `phase` its starting arc fraction and `rate`
+ * its speed in arc fractions per second.
+ */
+export function seedFlowParticles(vessels, indices, density) {
+    const tracks = indices.map(i => flowTrack(vessels, vessels[i]));
+    const wanted = tracks.map(t => Math.max(1, Math.round(t.length * density * FLOW_DENSITY_MAX)));
+    const total = wanted.reduce((sum, n) => sum + n, 0);
+    const scale = Math.min(1, MAX_FLOW_PARTICLES / total);
+    const perTrack = wanted.map(n => Math.max(1, Math.round(n * scale)));
+    const count = perTrack.reduce((sum, n) => sum + n, 0);
+
+    const track = new Uint16Array(count);
+    const phase = new Float32Array(count);
+    const rate = new Float32Array(count);
+    const colors = new Float32Array(count * 3);
+    const color = new THREE.Color();
+    let n = 0;
+    perTrack.forEach((k, t) => {
+        const vessel = vessels[indices[t]];
+        color.set(FLOW_COLORS[vessel.type]);
+        const speed = flowSpeed(vessel) / Math.max(tracks[t].length, 1e-3);
+        for (let j = 0; j < k; j++, n++) {
+            track[n] = t;
+            // Evenly spaced with a little jitter so the stream doesn't look like beads on a wire
+            phase[n] = (j + Math.random() * 0.6) / k;
+            rate[n] = speed * (0.85 + Math.random() * 0.3);
+            colors.set([color.r, color.g, color.b], n * 3);
+        }
+    });
+    return { count, positions: new Float32Array(count * 3), colors, tracks, track, phase, rate };
+}
+
+// Move every particle to where it is at `time` (seconds), in place
+export function writeFlowPositions(particles, time) {
+    const { count, positions, tracks, track, phase, rate } = particles;
+    const last = TRACK_SAMPLES - 1;
+    for (let n = 0; n < count; n++) {
+        const f = ((phase[n] + rate[n] * time) % 1) * last;
+        const j = Math.min(Math.floor(f), last - 1);
+        const t = f - j;
+        const s = tracks[track[n]].samples;
+        for (let c = 0; c < 3; c++) {
+            positions[n * 3 + c] = s[j * 3 + c] + (s[(j + 1) * 3 + c] - s[j * 3 + c]) * t;
+        }
+    }
+}
+
+// Soft round dot for the points material (drawn once, shared by all particles)
+export function flowSprite() {
+    const size = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const glow = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    glow.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    glow.addColorStop(0.4, 'rgba(255, 255, 255, 0.6)');
+    glow.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, 0, size, size);
+    return new THREE.CanvasTexture(canvas);
+}
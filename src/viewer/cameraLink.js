@@ -0,0 +1,18 @@
+// Links the orbit cameras of several viewers: a pose published by one viewer
+// is applied by all the others. Poses are `{ position, target }` in world
+// units, as stored in the URL (see viewState.js).
+
+export function createCameraLink() {
+    const listeners = new Set();
+    return {
+        // `listener(source, pose, settled)`; returns the unsubscribe function
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        // `settled` marks the end of a user interaction
+        publish(source, pose, settled = false) {
+            listeners.forEach(listener => listener(source, pose, settled));
+        },
+    };
+}
@@ -0,0 +1,47 @@
+// Camera shortcuts: standard anatomical views and body-region framing.
+// Views are `{ center, distance, direction? }` in world space, as consumed by
+// the viewer's camera flight; without `direction` the current one is kept.
+//
+// Directions use the viewer frame of the reference anatomy: +Y superior,
+// +Z anterior, +X the body's right.
+import { BODY_LANDMARKS as L } from '../data/vascularAnatomy';
+import { REFERENCE_OFFSET_Y } from './vesselGeometry';
+
+export const CAMERA_FOV = 45;
+// Where the camera starts when the URL doesn't say otherwise
+export const DEFAULT_CAMERA = { position: [0, 2, 18], target: [0, 0, 0] };
+export const HOME_VIEW = { center: [0, 0, 0], distance: 18 };
+
+export const CAMERA_PRESETS = {
+    anterior: { label: 'Anterior', direction: [0, 0, 1] },
+    posterior: { label: 'Posterior', direction: [0, 0, -1] },
+    rightLateral: { label: 'Right lateral', direction: [1, 0, 0] },
+    leftLateral: { label: 'Left lateral', direction: [-1, 0, 0] },
+    // Straight down would be degenerate for the orbit controls
+    superior: { label: 'Superior', direction: [0, 1, 0.01] },
+};
+
+// Boxes around each region, `[min, max]` per axis in body units (feet at y = 0)
+export const BODY_REGIONS = {
+    heart: { label: 'Heart', box: [[-1.2, 1.2], [L.diaphragm, L.shoulders], [-0.6, 1.0]] },
+    headNeck: { label: 'Head & neck', box: [[-0.8, 0.8], [L.shoulders, L.headTop], [-0.6, 0.8]] },
+    rightArm: { label: 'Right arm', box: [[L.shoulderWidth * 0.6, L.shoulderWidth], [L.fingertips, L.shoulders], [-0.3, 0.4]] },
+    leftArm: { label: 'Left arm', box: [[-L.shoulderWidth, -L.shoulderWidth * 0.6], [L.fingertips, L.shoulders], [-0.3, 0.4]] },
+    rightLeg: { label: 'Right leg', box: [[0, L.hipWidth * 1.2], [0, L.pelvis], [-0.4, 0.5]] },
+    leftLeg: { label: 'Left leg', box: [[-L.hipWidth * 1.2, 0], [0, L.pelvis], [-0.4, 0.5]] },
+};
+
+export function presetView(key) {
+    const [x, y, z] = CAMERA_PRESETS[key].direction;
+    const length = Math.hypot(x, y, z);
+    return { ...HOME_VIEW, direction: [x / length, y / length, z / length] };
+}
+
+// Frame a region of the reference anatomy so its tallest extent fits the view
+export function regionView(key) {
+    const { box } = BODY_REGIONS[key];
+    const center = box.map(([min, max]) => (min + max) / 2);
+    center[1] += REFERENCE_OFFSET_Y;
+    const halfExtent = Math.max(...box.map(([min, max]) => (max - min) / 2));
+    return { center, distance: (halfExtent / Math.tan((CAMERA_FOV / 2) * (Math.PI / 180))) * 1.25 };
+}
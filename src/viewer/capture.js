@@ -0,0 +1,245 @@
+// Figure and clip export straight from the renderer: the scene is re-rendered
+// at the requested size without post-processing, composited with the legend
+// onto a 2D canvas, and saved as PNG or recorded to WebM.
+import * as THREE from 'three';
+import { CAMERA_PRESETS } from './cameraViews';
+
+export const CAPTURE_RESOLUTIONS = {
+    hd: { label: '1920 × 1080 (Full HD)', width: 1920, height: 1080 },
+    qhd: { label: '2560 × 1440 (QHD)', width: 2560, height: 1440 },
+    uhd: { label: '3840 × 2160 (4K)', width: 3840, height: 2160 },
+    square: { label: '2048 × 2048 (square)', width: 2048, height: 2048 },
+};
+
+export const VIDEO_RESOLUTIONS = {
+    hd720: { label: '1280 × 720', width: 1280, height: 720 },
+    hd: { label: '1920 × 1080', width: 1920, height: 1080 },
+};
+
+export const VIDEO_MOTIONS = {
+    turntable: { label: '360° turntable' },
+    tour: { label: 'Anatomical tour (front → sides → back)' },
+};
+
+// Matches the viewer's CSS background
+export const VIEWER_BACKGROUND = { inner: '#080c18', outer: '#020305' };
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const VIDEO_FPS = 30;
+
+// Render at `width` × `height` (pixel ratio 1); returns a function restoring the previous size
+function setRenderSize(gl, camera, width, height) {
+    const size = gl.getSize(new THREE.Vector2());
+    const pixelRatio = gl.getPixelRatio();
+    const aspect = camera.aspect;
+    gl.setPixelRatio(1);
+    gl.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    return () => {
+        gl.setPixelRatio(pixelRatio);
+        gl.setSize(size.x, size.y, false);
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+    };
+}
+
+// ─── 2D compositing ────────────────────────────────────────────────────────
+function paintBackground(ctx, width, height, background) {
+    const gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+    gradient.addColorStop(0, background.inner);
+    gradient.addColorStop(1, background.outer);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+}
+
+/**
+ * Draw a legend box in the top-right corner. `legend` is
+ * `{ groups: [{ title, items: [{ color, label }] }] }` or
+ * `{ gradient: { title, stops, labels } }`; `scale` sizes it for the output.
+ */
+function drawLegend(ctx, legend, scale) {
+    const pad = 12 * scale;
+    const line = 18 * scale;
+    const width = 210 * scale;
+    const rows = legend.gradient
+        ? 3
+        : legend.groups.reduce((n, g) => n + g.items.length + (g.title ? 1 : 0), 0);
+    const height = pad * 2 + rows * line;
+    const x = ctx.canvas.width - width - pad * 2;
+    const y = pad * 2;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, 10 * scale);
+    ctx.fill();
+    ctx.textBaseline = 'middle';
+    let cy = y + pad + line / 2;
+
+    if (legend.gradient) {
+        const { title, stops, labels } = legend.gradient;
+        ctx.font = `600 ${11 * scale}px sans-serif`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillText(title, x + pad, cy);
+        cy += line;
+        const ramp = ctx.createLinearGradient(x + pad, 0, x + width - pad, 0);
+        stops.forEach((c, i) => ramp.addColorStop(i / (stops.length - 1), c));
+        ctx.fillStyle = ramp;
+        ctx.fillRect(x + pad, cy - 5 * scale, width - pad * 2, 10 * scale);
+        cy += line;
+        ctx.font = `${10 * scale}px sans-serif`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        labels.forEach((label, i) => {
+            ctx.textAlign = i === 0 ? 'left' : i === labels.length - 1 ? 'right' : 'center';
+            ctx.fillText(label, x + pad + ((width - pad * 2) * i) / (labels.length - 1), cy);
+        });
+    } else {
+        legend.groups.forEach(({ title, items }) => {
+            if (title) {
+                ctx.font = `600 ${11 * scale}px sans-serif`;
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                ctx.fillText(title, x + pad, cy);
+                cy += line;
+            }
+            ctx.font = `${11 * scale}px sans-serif`;
+            items.forEach(({ color, label }) => {
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(x + pad + 4 * scale, cy, 4 * scale, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.fillText(label, x + pad + 14 * scale, cy);
+                cy += line;
+            });
+        });
+    }
+    ctx.restore();
+}
+
+function drawCaption(ctx, caption, scale) {
+    ctx.save();
+    ctx.font = `${12 * scale}px sans-serif`;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(caption, 24 * scale, ctx.canvas.height - 20 * scale);
+    ctx.restore();
+}
+
+function composeFrame(ctx, source, { transparent, background = VIEWER_BACKGROUND, legend, caption }) {
+    const { width, height } = ctx.canvas;
+    // Legend and text are laid out for a 1280-px-wide frame and scaled up
+    const scale = width / 1280;
+    ctx.clearRect(0, 0, width, height);
+    if (!transparent) paintBackground(ctx, width, height, background);
+    ctx.drawImage(source, 0, 0, width, height);
+    if (legend) drawLegend(ctx, legend, scale);
+    if (caption) drawCaption(ctx, caption, scale);
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Render the current view to a PNG blob. `getThree` is the r3f store getter;
+ * options are `{ width, height, transparent, background, legend, caption }`
+ * (`background` as VIEWER_BACKGROUND, the default).
+ */
+export async function captureImage(getThree, { width, height, ...frame }) {
+    const { gl, scene, camera } = getThree();
+    const output = createCanvas(width, height);
+    const restore = setRenderSize(gl, camera, width, height);
+    try {
+        // Read back in the same task, before the browser clears the drawing buffer
+        gl.render(scene, camera);
+        composeFrame(output.getContext('2d'), gl.domElement, frame);
+    } finally {
+        restore();
+    }
+    return new Promise((resolve, reject) => {
+        output.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), 'image/png');
+    });
+}
+
+// ─── Camera paths for video ───────────────────────────────────────────────
+// Returns t ∈ [0, 1] → camera position, orbiting `target` at the current distance
+function cameraPath(motion, position, target) {
+    const offset = position.clone().sub(target);
+    const axis = new THREE.Vector3(0, 1, 0);
+
+    if (motion === 'turntable') {
+        return t => target.clone().add(offset.clone().applyAxisAngle(axis, t * Math.PI * 2));
+    }
+
+    // Tour: ease between the horizontal presets, pausing on each
+    const keys = ['anterior', 'rightLateral', 'posterior', 'leftLateral', 'anterior'];
+    const directions = keys.map(k => new THREE.Vector3(...CAMERA_PRESETS[k].direction));
+    const distance = offset.length();
+    return (t) => {
+        const x = Math.min(t * (keys.length - 1), keys.length - 1 - 1e-9);
+        const i = Math.floor(x);
+        const k = THREE.MathUtils.smootherstep(x - i, 0, 1);
+        const q = new THREE.Quaternion().setFromUnitVectors(directions[i], directions[i + 1]);
+        const direction = directions[i].clone().applyQuaternion(new THREE.Quaternion().slerp(q, k));
+        return target.clone().addScaledVector(direction, distance);
+    };
+}
+
+/**
+ * Record a camera animation to a WebM blob with MediaRecorder. Frames are
+ * rendered here one by one with the r3f loop paused; if the GPU can't keep up
+ * in real time every frame is still recorded and the clip runs a bit longer.
+ *
+ * Options: `{ width, height, seconds, motion, background, legend, caption, onProgress, signal }`.
+ * Rejects with an AbortError when `signal` aborts.
+ */
+export async function recordVideo(getThree, { width, height, seconds, motion, onProgress, signal, ...frame }) {
+    if (typeof MediaRecorder === 'undefined') throw new Error('Video recording is not supported in this browser');
+    const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM video');
+
+    const { gl, scene, camera, controls, setFrameloop } = getThree();
+    const output = createCanvas(width, height);
+    const ctx = output.getContext('2d');
+    const stream = output.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: width * height * 4 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+
+    const start = { position: camera.position.clone(), target: controls.target.clone() };
+    const path = cameraPath(motion, start.position, start.target);
+    const frames = Math.round(seconds * VIDEO_FPS);
+
+    setFrameloop('never');
+    const restore = setRenderSize(gl, camera, width, height);
+    recorder.start();
+    try {
+        for (let i = 0; i <= frames; i++) {
+            if (signal?.aborted) throw new DOMException('Recording cancelled', 'AbortError');
+            camera.position.copy(path(i / frames));
+            camera.lookAt(start.target);
+            gl.render(scene, camera);
+            composeFrame(ctx, gl.domElement, frame);
+            track.requestFrame();
+            onProgress?.(i / frames);
+            // MediaRecorder timestamps frames as they arrive
+            await new Promise(resolve => setTimeout(resolve, 1000 / VIDEO_FPS));
+        }
+    } finally {
+        recorder.stop();
+        await stopped;
+        track.stop();
+        restore();
+        camera.position.copy(start.position);
+        controls.target.copy(start.target);
+        controls.update();
+        setFrameloop('always');
+    }
+    return new Blob(chunks, { type: 'video/webm' });
+}
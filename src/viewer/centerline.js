@@ -0,0 +1,131 @@
+// Centerline analysis: radius profiles along vessels and focal stenosis
+// detection. Profiles are `{ label, type, length, samples }` where each sample
+// is `{ s, radius, point, tangent, radiusLocal }` — `s` (arc length) and
+// `radius` in mm, `point` / `tangent` / `radiusLocal` in the model's scene frame.
+import * as THREE from 'three';
+import { buildVesselGeometry, tubeParams, REFERENCE_MM_PER_UNIT } from './vesselGeometry';
+
+export const DEFAULT_STENOSIS_THRESHOLD = 50;
+// At or above this a lesion is drawn as severe
+export const SEVERE_STENOSIS = 70;
+
+/**
+ * Radius profile of a reference vessel, measured on its rendered tube: each
+ * ring's mean distance to the centerline, so surface variation shows up.
+ */
+export function referenceProfile(vessel, idx) {
+    const curve = new THREE.CatmullRomCurve3(vessel.points);
+    const { segments, radialSeg } = tubeParams(vessel);
+    const geometry = buildVesselGeometry(vessel, idx);
+    const pos = geometry.attributes.position;
+    const length = curve.getLength();
+    const vertex = new THREE.Vector3();
+
+    const samples = [];
+    for (let i = 0; i <= segments; i++) {
+        const t = i / segments;
+        const center = curve.getPointAt(t);
+        let sum = 0;
+        // The last vertex of each ring duplicates the first
+        for (let j = 0; j < radialSeg; j++) {
+            sum += vertex.fromBufferAttribute(pos, i * (radialSeg + 1) + j).distanceTo(center);
+        }
+        const radiusLocal = sum / radialSeg;
+        samples.push({
+            s: t * length * REFERENCE_MM_PER_UNIT,
+            radius: radiusLocal * REFERENCE_MM_PER_UNIT,
+            point: center.toArray(),
+            tangent: curve.getTangentAt(t).toArray(),
+            radiusLocal,
+        });
+    }
+    geometry.dispose();
+
+    return { label: vessel.label, type: vessel.type, length: length * REFERENCE_MM_PER_UNIT, samples };
+}
+
+/**
+ * Profile from a patient centerline (`{ label, type, points, radii }` in mm),
+ * placed in the fitted mesh frame of `mesh`.
+ */
+export function patientProfile(centerline, mesh) {
+    const toLocal = (p) => p.map((v, i) => (v - mesh.centerMm[i]) * mesh.unitsPerMm);
+    const points = centerline.points.map(p => new THREE.Vector3(...p));
+    let s = 0;
+    const samples = points.map((p, i) => {
+        if (i > 0) s += p.distanceTo(points[i - 1]);
+        const next = points[Math.min(i + 1, points.length - 1)];
+        const prev = points[Math.max(i - 1, 0)];
+        return {
+            s,
+            radius: centerline.radii[i],
+            point: toLocal(p.toArray()),
+            tangent: next.clone().sub(prev).normalize().toArray(),
+            radiusLocal: centerline.radii[i] * mesh.unitsPerMm,
+        };
+    });
+    return { label: centerline.label, type: centerline.type, length: s, samples };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Local reference radius (median over a sliding window) and percent diameter
+ * stenosis for every sample.
+ */
+export function stenosisProfile(profile) {
+    const { samples } = profile;
+    const half = Math.max(3, Math.round(samples.length * 0.15));
+    return samples.map((sample, i) => {
+        const window = samples.slice(Math.max(0, i - half), i + half + 1).map(x => x.radius);
+        const reference = median(window);
+        return {
+            ...sample,
+            reference,
+            percent: reference > 0 ? Math.max(0, (1 - sample.radius / reference) * 100) : 0,
+        };
+    });
+}
+
+/**
+ * Focal narrowings at or above `threshold` percent: one lesion per contiguous
+ * run of flagged samples, reported at its tightest point.
+ */
+export function detectStenoses(profile, threshold = DEFAULT_STENOSIS_THRESHOLD) {
+    const graded = stenosisProfile(profile);
+    const lesions = [];
+    let run = null;
+
+    graded.forEach((sample, i) => {
+        if (sample.percent >= threshold) {
+            if (!run || sample.percent > graded[run.peak].percent) run = { start: run?.start ?? i, peak: i };
+            return;
+        }
+        if (run) lesions.push({ ...run, end: i - 1 });
+        run = null;
+    });
+    if (run) lesions.push({ ...run, end: graded.length - 1 });
+
+    return lesions.map(({ start, end, peak }) => {
+        const sample = graded[peak];
+        return {
+            s: sample.s,
+            percent: sample.percent,
+            minDiameter: sample.radius * 2,
+            referenceDiameter: sample.reference * 2,
+            from: graded[start].s,
+            to: graded[end].s,
+            point: sample.point,
+            tangent: sample.tangent,
+            radiusLocal: sample.radiusLocal,
+        };
+    });
+}
+
+export function stenosisSeverity(percent) {
+    return percent >= SEVERE_STENOSIS ? 'severe' : 'moderate';
+}
@@ -0,0 +1,201 @@
+// Clipping planes and cross-sections. A plane is stored in the model group's
+// local frame as `{ id, axis, position, quaternion }`: the plane passes through
+// `position` and its normal is local +Z rotated by `quaternion`. Geometry on
+// the normal's side is kept, the other side is clipped away.
+import * as THREE from 'three';
+import { buildVesselGeometry, vesselBounds } from './vesselGeometry';
+import { meshParts } from './meshLoader';
+import { localToMm } from './measurements';
+
+export const MAX_CLIP_PLANES = 3;
+
+export const CLIP_AXES = {
+    axial: { label: 'Axial', normal: [0, 1, 0] },
+    coronal: { label: 'Coronal', normal: [0, 0, 1] },
+    sagittal: { label: 'Sagittal', normal: [1, 0, 0] },
+};
+
+// One colour per plane slot, shared by the 3D helper and the panel
+export const CLIP_COLORS = ['#ffd666', '#5cdbd3', '#ff85c0'];
+
+const PLANE_Z = new THREE.Vector3(0, 0, 1);
+// Slivers from degenerate triangles (e.g. sphere poles) are dropped
+const MIN_SECTION_MM2 = 0.01;
+
+let nextId = 1;
+
+export function createClipPlane(axis, center) {
+    const normal = new THREE.Vector3(...CLIP_AXES[axis].normal);
+    return {
+        id: nextId++,
+        axis,
+        position: [...center],
+        quaternion: new THREE.Quaternion().setFromUnitVectors(PLANE_Z, normal).toArray(),
+    };
+}
+
+// Same plane, facing the other way (keeps the opposite half)
+export function flipClipPlane(plane) {
+    const flip = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI);
+    return { ...plane, quaternion: new THREE.Quaternion(...plane.quaternion).multiply(flip).toArray() };
+}
+
+// Point, normal and in-plane axes (u, v) of a plane in the model frame
+export function planeFrame(plane) {
+    const q = new THREE.Quaternion(...plane.quaternion);
+    return {
+        point: new THREE.Vector3(...plane.position),
+        normal: PLANE_Z.clone().applyQuaternion(q),
+        u: new THREE.Vector3(1, 0, 0).applyQuaternion(q),
+        v: new THREE.Vector3(0, 1, 0).applyQuaternion(q),
+    };
+}
+
+/**
+ * Drop ray hits on the clipped-away side of the material's clipping planes,
+ * so clipped geometry can't be hovered or picked. Used as `mesh.raycast`.
+ */
+export function clippedRaycast(raycaster, intersects) {
+    const start = intersects.length;
+    THREE.Mesh.prototype.raycast.call(this, raycaster, intersects);
+    const planes = this.material?.clippingPlanes;
+    if (!planes?.length) return;
+    const kept = intersects.splice(start).filter(hit => planes.every(p => p.distanceToPoint(hit.point) >= 0));
+    intersects.push(...kept);
+}
+
+// ─── Plane / surface intersection ─────────────────────────────────────────
+// Coincident cut points (e.g. on a seam of duplicated vertices) share a key
+const pointKey = (p) => `${Math.round(p.x * 1e4)},${Math.round(p.y * 1e4)},${Math.round(p.z * 1e4)}`;
+
+// Cut segments of a triangle mesh with the plane, in the model frame
+function cutSegments(geometry, matrix, frame) {
+    const pos = geometry.attributes.position;
+    const points = [];
+    const dist = new Float32Array(pos.count);
+    for (let i = 0; i < pos.count; i++) {
+        const p = new THREE.Vector3().fromBufferAttribute(pos, i).applyMatrix4(matrix);
+        points.push(p);
+        // Offset by a hair so vertices lying exactly on the plane fall on one side
+        dist[i] = frame.normal.dot(p.clone().sub(frame.point)) - 1e-6;
+    }
+
+    const index = geometry.index;
+    const triangleCount = (index ? index.count : pos.count) / 3;
+    const vertex = (t, k) => (index ? index.getX(t * 3 + k) : t * 3 + k);
+    const segments = [];
+    for (let t = 0; t < triangleCount; t++) {
+        const tri = [vertex(t, 0), vertex(t, 1), vertex(t, 2)];
+        const cut = [];
+        for (let k = 0; k < 3; k++) {
+            const a = tri[k];
+            const b = tri[(k + 1) % 3];
+            if ((dist[a] >= 0) === (dist[b] >= 0)) continue;
+            cut.push(points[a].clone().lerp(points[b], dist[a] / (dist[a] - dist[b])));
+        }
+        if (cut.length === 2) segments.push(cut);
+    }
+    return segments;
+}
+
+// Chain segments into polylines; `closed` when the chain returns to its start
+function chainSegments(segments) {
+    const byPoint = new Map();
+    segments.forEach(([a, b], i) => {
+        [a, b].forEach((p) => {
+            const key = pointKey(p);
+            if (!byPoint.has(key)) byPoint.set(key, []);
+            byPoint.get(key).push(i);
+        });
+    });
+
+    const used = new Uint8Array(segments.length);
+    // Follow unused segments from `point` until the chain ends
+    const walk = (point) => {
+        const chain = [];
+        let current = point;
+        for (;;) {
+            const next = byPoint.get(pointKey(current)).find(i => !used[i]);
+            if (next === undefined) return chain;
+            used[next] = 1;
+            const [a, b] = segments[next];
+            current = pointKey(a) === pointKey(current) ? b : a;
+            chain.push(current);
+        }
+    };
+
+    const loops = [];
+    segments.forEach(([a, b], i) => {
+        if (used[i]) return;
+        used[i] = 1;
+        const forward = walk(b);
+        const closed = forward.length > 0 && pointKey(forward[forward.length - 1]) === pointKey(a);
+        const backward = closed ? [] : walk(a).reverse();
+        const points = [...backward, a, b, ...forward];
+        if (closed) points.pop();
+        if (points.length >= 3) loops.push({ points, closed });
+    });
+    return loops;
+}
+
+// Area of a planar 3D polygon (Newell's method), in the points' units squared
+function polygonArea(points) {
+    const sum = new THREE.Vector3();
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        sum.x += (p.y - q.y) * (p.z + q.z);
+        sum.y += (p.z - q.z) * (p.x + q.x);
+        sum.z += (p.x - q.x) * (p.y + q.y);
+    });
+    return sum.length() / 2;
+}
+
+function toSection(loop, frame, toMm, info) {
+    const outline = loop.points.map((p) => {
+        const d = p.clone().sub(frame.point);
+        return [d.dot(frame.u), d.dot(frame.v)];
+    });
+    const centroid = outline.reduce((c, [x, y]) => [c[0] + x / outline.length, c[1] + y / outline.length], [0, 0]);
+    const areaMm2 = polygonArea(loop.points.map(p => new THREE.Vector3(...toMm(p.toArray()))));
+    return { ...info, outline, centroid, closed: loop.closed, areaMm2 };
+}
+
+/**
+ * Vessel lumens cut by `plane`: one section per closed or open outline with
+ * `{ key, label, type, outline, centroid, closed, areaMm2 }`. Outlines are
+ * (u, v) coordinates in the plane, in model units around the plane point.
+ *
+ * Pass `vessels` (+ `indices` of those drawn) for the reference anatomy or
+ * `mesh` for a patient reconstruction.
+ */
+export function crossSection(plane, { vessels, indices, mesh }) {
+    const frame = planeFrame(plane);
+    const toMm = localToMm(mesh);
+    const sections = [];
+
+    if (mesh) {
+        meshParts(mesh.object).forEach(({ geometry, matrix }) => {
+            chainSegments(cutSegments(geometry, matrix, frame)).forEach((loop) => {
+                sections.push(toSection(loop, frame, toMm, { type: null }));
+            });
+        });
+        return sections
+            .filter(s => s.areaMm2 >= MIN_SECTION_MM2)
+            .sort((a, b) => b.areaMm2 - a.areaMm2)
+            .map((s, i) => ({ ...s, key: `lumen-${i}`, label: `Lumen ${i + 1}` }));
+    }
+
+    const identity = new THREE.Matrix4();
+    indices.forEach((idx) => {
+        const vessel = vessels[idx];
+        // Only vessels whose bounding sphere reaches the plane can be cut
+        const { center, radius } = vesselBounds(vessel);
+        if (Math.abs(frame.normal.dot(center.clone().sub(frame.point))) > radius + vessel.radius * 2) return;
+        const geometry = buildVesselGeometry(vessel, idx);
+        chainSegments(cutSegments(geometry, identity, frame)).forEach((loop, i) => {
+            sections.push(toSection(loop, frame, toMm, { key: `${idx}-${i}`, label: vessel.label, type: vessel.type, vesselIndex: idx }));
+        });
+        geometry.dispose();
+    });
+    return sections.filter(s => s.areaMm2 >= MIN_SECTION_MM2).sort((a, b) => b.areaMm2 - a.areaMm2);
+}
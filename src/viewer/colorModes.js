@@ -0,0 +1,163 @@
+// Colour modes for the reference anatomy: what a vessel's colour encodes
+// (depth tier, radius, length, tortuosity, body region or a per-vessel value
+// from the backend) and the palette it is drawn from. colorScheme() returns
+// one colour per vessel for paintBatches() plus the matching legend, in the
+// format capture.js draws.
+import * as THREE from 'three';
+import { BODY_LANDMARKS as L } from '../data/vascularAnatomy';
+import {
+    ARTERY_COLORS, VEIN_COLORS, REFERENCE_LEGEND, REFERENCE_MM_PER_UNIT, DEPTH_TIERS, vesselLength,
+} from './vesselGeometry';
+import { HEATMAP_STOPS } from './surfaceCompare';
+
+export const COLOR_MODES = {
+    depth: { label: 'Depth tier' },
+    radius: { label: 'Radius', continuous: true },
+    length: { label: 'Vessel length', continuous: true },
+    tortuosity: { label: 'Tortuosity', continuous: true },
+    region: { label: 'Anatomical region' },
+    scalar: { label: 'Backend scalar', continuous: true },
+};
+
+// 'classic' keeps the red / blue look; viridis and cividis stay readable with
+// colour-vision deficiencies and in greyscale print
+export const COLOR_PALETTES = {
+    classic: { label: 'Classic', stops: HEATMAP_STOPS },
+    viridis: {
+        label: 'Viridis',
+        stops: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+    },
+    cividis: {
+        label: 'Cividis',
+        stops: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#fee838'],
+    },
+};
+
+// Vessels without a backend value
+export const NO_DATA_COLOR = '#595959';
+
+// Okabe–Ito: distinguishable for every common colour-vision deficiency
+const REGION_COLORS = ['#e69f00', '#56b4e9', '#009e73', '#0072b2', '#d55e00'];
+
+export const VESSEL_REGIONS = {
+    headNeck: 'Head & neck',
+    thorax: 'Thorax',
+    abdomen: 'Abdomen & pelvis',
+    upperLimbs: 'Upper limbs',
+    lowerLimbs: 'Lower limbs',
+};
+
+// Region holding the middle of the vessel's centerline (body units, see BODY_LANDMARKS)
+export function vesselRegion(vessel) {
+    const p = vessel.points[Math.floor(vessel.points.length / 2)];
+    if (Math.abs(p.x) >= L.shoulderWidth * 0.65 && p.y >= L.fingertips - 0.5) return 'upperLimbs';
+    if (p.y >= L.shoulders) return 'headNeck';
+    if (p.y >= L.diaphragm) return 'thorax';
+    if (p.y >= L.pelvis) return 'abdomen';
+    return 'lowerLimbs';
+}
+
+// Arc length over end-to-end distance: 1 for a straight vessel
+export function vesselTortuosity(vessel) {
+    const chord = vessel.points[0].distanceTo(vessel.points[vessel.points.length - 1]);
+    return vesselLength(vessel) / Math.max(chord, vessel.radius);
+}
+
+export function paletteColor(palette, t, target = new THREE.Color()) {
+    const { stops } = COLOR_PALETTES[palette];
+    const x = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(x));
+    return target.set(stops[i]).lerp(new THREE.Color(stops[i + 1]), x - i);
+}
+
+// Value a continuous mode maps to colour, or null when the vessel has none.
+// Radius and length span orders of magnitude, so they map on a log scale
+const CONTINUOUS = {
+    radius: { title: 'Radius', unit: 'mm', digits: 1, log: true, value: (v) => v.radius * REFERENCE_MM_PER_UNIT },
+    length: { title: 'Vessel length', unit: 'mm', digits: 0, log: true, value: (v) => vesselLength(v) * REFERENCE_MM_PER_UNIT },
+    tortuosity: { title: 'Tortuosity (arc / chord)', unit: '', digits: 2, value: vesselTortuosity },
+};
+
+/**
+ * Colours and legend for `mode` and `palette`. `scalars` is the backend's
+ * `{ name, unit, values: { vesselId: number } }` for the 'scalar' mode.
+ * Returns `{ colors, legend }`: `colors` is one RGB triple per vessel.
+ */
+export function colorScheme(vessels, { mode, palette, scalars = null }) {
+    const colors = new Float32Array(vessels.length * 3);
+    const color = new THREE.Color();
+    const paint = (i, c) => colors.set([c.r, c.g, c.b], i * 3);
+
+    if (mode === 'depth') {
+        if (palette === 'classic') {
+            vessels.forEach((v, i) => {
+                const tiers = v.type === 'artery' ? ARTERY_COLORS : VEIN_COLORS;
+                paint(i, tiers[Math.min(v.depth, tiers.length - 1)]);
+            });
+            return { colors, legend: REFERENCE_LEGEND };
+        }
+        const last = DEPTH_TIERS.length - 1;
+        vessels.forEach((v, i) => paint(i, paletteColor(palette, Math.min(v.depth, last) / last, color)));
+        return {
+            colors,
+            legend: {
+                groups: [{
+                    title: 'Depth tier',
+                    items: DEPTH_TIERS.map((label, d) => ({ color: `#${paletteColor(palette, d / last, color).getHexString()}`, label })),
+                }],
+            },
+        };
+    }
+
+    if (mode === 'region') {
+        const keys = Object.keys(VESSEL_REGIONS);
+        const regionColor = (k) => (palette === 'classic'
+            ? color.set(REGION_COLORS[k])
+            : paletteColor(palette, k / (keys.length - 1), color));
+        const regions = vessels.map(vesselRegion);
+        regions.forEach((r, i) => paint(i, regionColor(keys.indexOf(r))));
+        return {
+            colors,
+            legend: {
+                groups: [{
+                    title: 'Anatomical region',
+                    items: keys.filter(k => regions.includes(k)).map(k => ({
+                        color: `#${regionColor(keys.indexOf(k)).getHexString()}`,
+                        label: VESSEL_REGIONS[k],
+                    })),
+                }],
+            },
+        };
+    }
+
+    const scale = mode === 'scalar'
+        ? {
+            title: scalars?.name || 'Backend scalar',
+            unit: scalars?.unit ?? '',
+            digits: 2,
+            value: (v) => scalars?.values[v.id] ?? null,
+        }
+        : CONTINUOUS[mode];
+    const values = vessels.map(scale.value);
+    const known = values.filter(x => x !== null);
+    const [toScale, fromScale] = scale.log ? [Math.log, Math.exp] : [(x) => x, (x) => x];
+    const min = known.length ? toScale(Math.min(...known)) : 0;
+    const max = known.length ? toScale(Math.max(...known)) : 1;
+    values.forEach((x, i) => paint(i, x === null
+        ? color.set(NO_DATA_COLOR)
+        : paletteColor(palette, max > min ? (toScale(x) - min) / (max - min) : 0.5, color)));
+
+    const format = (x) => `${fromScale(x).toFixed(scale.digits)}${scale.unit ? ` ${scale.unit}` : ''}`;
+    const title = scale.log ? `${scale.title} (log scale)` : scale.title;
+    const missing = values.length - known.length;
+    return {
+        colors,
+        legend: {
+            gradient: {
+                title: missing ? `${title} · grey = no data (${missing})` : title,
+                stops: COLOR_PALETTES[palette].stops,
+                labels: [format(min), format((min + max) / 2), format(max)],
+            },
+        },
+    };
+}
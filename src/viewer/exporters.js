@@ -0,0 +1,196 @@
+// Model export: OBJ (per-vessel groups), binary STL and GLB (vertex colors).
+//
+// Exporters take a list of parts `{ name, geometry }` whose geometry is
+// already in export coordinates (millimetres). Parts are built either from the
+// reference vessel descriptors or from a loaded patient mesh.
+import * as THREE from 'three';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { buildVesselGeometry, REFERENCE_MM_PER_UNIT } from './vesselGeometry';
+
+export const EXPORT_FORMATS = {
+    obj: { label: 'OBJ', description: 'per-vessel groups', mime: 'text/plain' },
+    stl: { label: 'STL', description: 'binary, for 3D printing', mime: 'model/stl' },
+    glb: { label: 'GLB', description: 'with vertex colors', mime: 'model/gltf-binary' },
+};
+
+export const EXPORT_SCOPES = {
+    all: { label: 'All vessels', test: () => true },
+    artery: { label: 'Arteries only', test: (v) => v.type === 'artery' },
+    vein: { label: 'Veins only', test: (v) => v.type === 'vein' },
+    view: { label: 'Current view', test: null },
+};
+
+// OBJ group names can't contain whitespace; repeated labels get a suffix
+function uniqueNames(labels) {
+    const seen = {};
+    return labels.map((label) => {
+        const base = (label || 'vessel').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'vessel';
+        seen[base] = (seen[base] || 0) + 1;
+        return seen[base] === 1 ? base : `${base}_${seen[base]}`;
+    });
+}
+
+/**
+ * Reference-anatomy vessels → export parts in mm.
+ * `indices` picks which entries of `vessels` to include (original indices are
+ * kept so surface displacement matches what is on screen).
+ */
+export function vesselExportParts(vessels, indices) {
+    const names = uniqueNames(indices.map(i => vessels[i].label));
+    return indices.map((vesselIdx, i) => {
+        const geometry = buildVesselGeometry(vessels[vesselIdx], vesselIdx);
+        geometry.scale(REFERENCE_MM_PER_UNIT, REFERENCE_MM_PER_UNIT, REFERENCE_MM_PER_UNIT);
+        return { name: names[i], geometry };
+    });
+}
+
+/**
+ * Loaded patient mesh (parseMesh's result) → export parts in the file's
+ * original units and position (mm), so they line up with the scan they came
+ * from. Transforms above `object` (sway) are left out; the viewer's fit to
+ * view is undone via `unitsPerMm` and `centerMm`.
+ */
+export function meshExportParts({ object, unitsPerMm, centerMm, boundsMm }) {
+    const parts = [];
+    const toMm = new THREE.Matrix4()
+        .makeTranslation(...centerMm)
+        .multiply(new THREE.Matrix4().makeScale(1 / unitsPerMm, 1 / unitsPerMm, 1 / unitsPerMm));
+    object.updateMatrixWorld(true);
+    const toObject = object.matrixWorld.clone().invert();
+    object.traverse((child) => {
+        if (!child.isMesh) return;
+        const matrix = toMm.clone().multiply(toObject).multiply(child.matrixWorld);
+        const geometry = child.geometry.clone().applyMatrix4(matrix);
+        parts.push({ name: child.name || `mesh_${parts.length + 1}`, geometry });
+    });
+    checkSourceFrame(parts, centerMm, boundsMm);
+    const names = uniqueNames(parts.map(p => p.name));
+    return parts.map((p, i) => ({ ...p, name: names[i] }));
+}
+
+// Round trip: the exported vertices must fall inside the box the mesh was
+// loaded with (parseMesh's box can only be looser, for rotated file nodes)
+function checkSourceFrame(parts, centerMm, boundsMm) {
+    const box = new THREE.Box3();
+    parts.forEach(({ geometry }) => {
+        geometry.computeBoundingBox();
+        box.union(geometry.boundingBox);
+    });
+    const tolerance = Math.max(...boundsMm) * 1e-4;
+    const source = new THREE.Box3().setFromCenterAndSize(
+        new THREE.Vector3(...centerMm),
+        new THREE.Vector3(...boundsMm).addScalar(tolerance * 2),
+    );
+    if (box.isEmpty() || !source.containsBox(box)) {
+        disposeParts(parts);
+        throw new Error('Exported mesh does not line up with the loaded file');
+    }
+}
+
+export function disposeParts(parts) {
+    parts.forEach(p => p.geometry.dispose());
+}
+
+// ─── OBJ ───────────────────────────────────────────────────────────────────
+export function exportOBJ(parts, header = 'VascularAI export') {
+    const lines = [`# ${header}`, '# units: mm', ''];
+    let vertexOffset = 0;
+
+    parts.forEach(({ name, geometry }) => {
+        const pos = geometry.attributes.position;
+        const normal = geometry.attributes.normal;
+        const color = geometry.attributes.color;
+        lines.push(`g ${name}`);
+
+        for (let i = 0; i < pos.count; i++) {
+            const v = `v ${pos.getX(i).toFixed(4)} ${pos.getY(i).toFixed(4)} ${pos.getZ(i).toFixed(4)}`;
+            // Vertex colors as the widely supported "v x y z r g b" extension
+            lines.push(color
+                ? `${v} ${color.getX(i).toFixed(4)} ${color.getY(i).toFixed(4)} ${color.getZ(i).toFixed(4)}`
+                : v);
+        }
+        if (normal) {
+            for (let i = 0; i < normal.count; i++) {
+                lines.push(`vn ${normal.getX(i).toFixed(4)} ${normal.getY(i).toFixed(4)} ${normal.getZ(i).toFixed(4)}`);
+            }
+        }
+
+        const face = (a, b, c) => {
+            const [ia, ib, ic] = [a, b, c].map(k => k + vertexOffset + 1);
+            lines.push(normal ? `f ${ia}//${ia} ${ib}//${ib} ${ic}//${ic}` : `f ${ia} ${ib} ${ic}`);
+        };
+        const index = geometry.index;
+        if (index) {
+            for (let i = 0; i < index.count; i += 3) face(index.getX(i), index.getX(i + 1), index.getX(i + 2));
+        } else {
+            for (let i = 0; i < pos.count; i += 3) face(i, i + 1, i + 2);
+        }
+
+        vertexOffset += pos.count;
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+// Wrap parts in a throwaway scene for the three.js exporters
+function partsToScene(parts, material, scale = 1) {
+    const scene = new THREE.Scene();
+    const root = new THREE.Group();
+    root.name = 'vessels';
+    root.scale.setScalar(scale);
+    parts.forEach(({ name, geometry }) => {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = name;
+        root.add(mesh);
+    });
+    scene.add(root);
+    scene.updateMatrixWorld(true);
+    return scene;
+}
+
+// ─── STL (binary) ──────────────────────────────────────────────────────────
+export function exportSTL(parts) {
+    const material = new THREE.MeshBasicMaterial();
+    const view = new STLExporter().parse(partsToScene(parts, material), { binary: true });
+    material.dispose();
+    return view.buffer;
+}
+
+// ─── GLB ───────────────────────────────────────────────────────────────────
+export async function exportGLB(parts) {
+    const hasColors = parts.every(p => p.geometry.attributes.color);
+    const material = new THREE.MeshStandardMaterial({
+        vertexColors: hasColors,
+        color: hasColors ? '#ffffff' : '#c0392b',
+        roughness: 0.4,
+        metalness: 0,
+    });
+    // glTF is metre-based; keep mm values but scale the root so viewers size it correctly
+    const scene = partsToScene(parts, material, 0.001);
+    const result = await new GLTFExporter().parseAsync(scene, { binary: true });
+    material.dispose();
+    return result;
+}
+
+export async function exportParts(parts, format) {
+    switch (format) {
+        case 'obj': return exportOBJ(parts);
+        case 'stl': return exportSTL(parts);
+        case 'glb': return exportGLB(parts);
+        default: throw new Error(`Unknown export format "${format}"`);
+    }
+}
+
+// Trigger a browser download for in-memory data
+export function saveFile(data, filename, type = 'application/octet-stream') {
+    const url = URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+    // Firefox and Safari start the download asynchronously; revoking right away
+    // cancels it or saves an empty file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
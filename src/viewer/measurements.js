@@ -0,0 +1,155 @@
+// On-model measurements: straight distance, vessel diameter and centerline
+// path length. Points are stored in the model group's local frame (what the
+// annotations are drawn in) and values are converted to millimetres.
+import * as THREE from 'three';
+import { REFERENCE_MM_PER_UNIT } from './vesselGeometry';
+
+export const MEASURE_TOOLS = {
+    distance: { label: 'Distance', clicks: 2, hint: 'Click two points', color: '#ffd666' },
+    diameter: { label: 'Diameter', clicks: 1, hint: 'Click a vessel wall', color: '#5cdbd3' },
+    path: {
+        label: 'Path length',
+        clicks: 2,
+        hint: 'Click two points on the same vessel',
+        color: '#b37feb',
+        // Only the reference anatomy carries centerlines
+        needsCenterline: true,
+    },
+};
+
+/**
+ * Scene-local point → mm for the current model.
+ * Reference anatomy uses the fixed body scale; patient meshes undo the
+ * fit-to-view transform and, for meshes in voxel units, apply the volume spacing.
+ */
+export function localToMm(mesh) {
+    if (!mesh) return (p) => p.map(v => v * REFERENCE_MM_PER_UNIT);
+    const { unitsPerMm, centerMm, info } = mesh;
+    const spacing = info.units === 'voxel' && info.spacing ? info.spacing : [1, 1, 1];
+    return (p) => p.map((v, i) => (v / unitsPerMm + centerMm[i]) * spacing[i]);
+}
+
+function distanceMm(toMm, a, b) {
+    return new THREE.Vector3(...toMm(a)).distanceTo(new THREE.Vector3(...toMm(b)));
+}
+
+// Index of the centerline point closest to `point`
+function nearestCenterlineIndex(vessel, point) {
+    const p = new THREE.Vector3(...point);
+    let best = 0;
+    let bestDist = Infinity;
+    vessel.points.forEach((c, i) => {
+        const d = c.distanceToSquared(p);
+        if (d < bestDist) {
+            bestDist = d;
+            best = i;
+        }
+    });
+    return best;
+}
+
+let nextId = 1;
+
+/**
+ * Turn the picked `hits` into a measurement, or throw an Error explaining why
+ * the picks can't be measured. A hit is `{ point, vesselIndex?, opposite? }`.
+ */
+export function createMeasurement(tool, hits, { vessels, mesh }) {
+    const toMm = localToMm(mesh);
+    const measurement = measure(tool, hits, vessels, toMm);
+    const ends = [measurement.points[0], measurement.points[measurement.points.length - 1]];
+    return { ...measurement, endpointsMm: ends.map(p => toMm(p).map(v => Number(v.toFixed(2)))) };
+}
+
+function measure(tool, hits, vessels, toMm) {
+    const base = { id: nextId++, type: tool, createdAt: new Date().toISOString() };
+    const vessel = (hit) => (hit.vesselIndex !== null && hit.vesselIndex !== undefined ? vessels[hit.vesselIndex] : null);
+
+    switch (tool) {
+        case 'distance': {
+            const [a, b] = hits;
+            const labels = [vessel(a), vessel(b)].filter(Boolean).map(v => v.label);
+            return {
+                ...base,
+                points: [a.point, b.point],
+                valueMm: distanceMm(toMm, a.point, b.point),
+                detail: [...new Set(labels)].join(' → '),
+            };
+        }
+        case 'diameter': {
+            const [hit] = hits;
+            const v = vessel(hit);
+            if (v) {
+                // Reference tubes: mirror the wall point through the centerline
+                const c = v.points[nearestCenterlineIndex(v, hit.point)];
+                const opposite = c.clone().multiplyScalar(2).sub(new THREE.Vector3(...hit.point)).toArray();
+                return {
+                    ...base,
+                    points: [hit.point, opposite],
+                    valueMm: v.radius * 2 * REFERENCE_MM_PER_UNIT,
+                    detail: v.label,
+                };
+            }
+            if (!hit.opposite) throw new Error('Could not find the opposite vessel wall at this point');
+            return {
+                ...base,
+                points: [hit.point, hit.opposite],
+                valueMm: distanceMm(toMm, hit.point, hit.opposite),
+                detail: 'wall to wall',
+            };
+        }
+        case 'path': {
+            const [a, b] = hits;
+            const v = vessel(a);
+            if (!v || a.vesselIndex !== b.vesselIndex) throw new Error('Both points must lie on the same vessel');
+            const [from, to] = [nearestCenterlineIndex(v, a.point), nearestCenterlineIndex(v, b.point)].sort((x, y) => x - y);
+            if (from === to) throw new Error('Pick two points further apart along the vessel');
+            const points = v.points.slice(from, to + 1).map(p => p.toArray());
+            let length = 0;
+            for (let i = 1; i < points.length; i++) length += distanceMm(toMm, points[i - 1], points[i]);
+            return { ...base, points, valueMm: length, detail: v.label };
+        }
+        default:
+            throw new Error(`Unknown measurement tool "${tool}"`);
+    }
+}
+
+// Where a measurement's value label is anchored
+export function labelAnchor(measurement) {
+    const { points } = measurement;
+    if (points.length !== 2) return points[Math.floor(points.length / 2)];
+    return points[0].map((v, i) => (v + points[1][i]) / 2);
+}
+
+export function formatMm(value) {
+    return `${value.toFixed(1)} mm`;
+}
+
+// ─── Export ────────────────────────────────────────────────────────────────
+export function measurementsToJSON(measurements, caseInfo) {
+    return JSON.stringify({
+        ...caseInfo,
+        units: 'mm',
+        exportedAt: new Date().toISOString(),
+        measurements: measurements.map(({ id, type, valueMm, detail, endpointsMm, createdAt }) => ({
+            id,
+            type,
+            valueMm: Number(valueMm.toFixed(2)),
+            detail,
+            endpointsMm,
+            createdAt,
+        })),
+    }, null, 2);
+}
+
+export function measurementsToCSV(measurements) {
+    const escape = (s) => `"${String(s).replace(/"/g, '""')}"`;
+    const rows = measurements.map((m, i) => [
+        i + 1,
+        MEASURE_TOOLS[m.type].label,
+        m.valueMm.toFixed(2),
+        escape(m.detail ?? ''),
+        m.createdAt,
+    ].join(','));
+    return ['#,type,value_mm,detail,created_at', ...rows].join('\n');
+}
@@ -0,0 +1,134 @@
+// Parse reconstructed patient meshes (OBJ / STL / PLY / GLB) into a scene object
+// normalised to the same frame as the reference anatomy.
+import * as THREE from 'three';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+// Patient meshes are fitted to this height so camera limits and lighting
+// tuned for the ~16-unit reference body still apply
+const TARGET_SIZE = 14;
+
+export const SUPPORTED_MESH_FORMATS = ['obj', 'stl', 'ply', 'glb'];
+
+// Default surface for formats without materials (OBJ/STL/PLY)
+export function createVesselMaterial(hasVertexColors) {
+    return new THREE.MeshPhysicalMaterial({
+        color: hasVertexColors ? '#ffffff' : '#c0392b',
+        vertexColors: hasVertexColors,
+        emissive: '#3a0a0f',
+        emissiveIntensity: 0.4,
+        roughness: 0.35,
+        metalness: 0.02,
+        clearcoat: 0.45,
+        clearcoatRoughness: 0.25,
+        side: THREE.DoubleSide,
+    });
+}
+
+function meshFromGeometry(geometry) {
+    if (!geometry.attributes.normal) geometry.computeVertexNormals();
+    return new THREE.Mesh(geometry, createVesselMaterial(Boolean(geometry.attributes.color)));
+}
+
+function parseGLB(buffer) {
+    return new Promise((resolve, reject) => {
+        new GLTFLoader().parse(buffer, '', (gltf) => resolve(gltf.scene), reject);
+    });
+}
+
+async function parseByFormat(buffer, format) {
+    switch (format) {
+        case 'stl':
+            return meshFromGeometry(new STLLoader().parse(buffer));
+        case 'ply':
+            return meshFromGeometry(new PLYLoader().parse(buffer));
+        case 'obj': {
+            const group = new OBJLoader().parse(new TextDecoder().decode(buffer));
+            group.traverse((child) => {
+                if (child.isMesh) {
+                    child.material = createVesselMaterial(Boolean(child.geometry.attributes.color));
+                }
+            });
+            return group;
+        }
+        case 'glb':
+            return parseGLB(buffer);
+        default:
+            throw new Error(`Unsupported mesh format "${format}"`);
+    }
+}
+
+/**
+ * Parse `buffer` and centre/scale the result to the viewer frame.
+ *
+ * Returns `{ object, unitsPerMm, boundsMm, centerMm }`: `unitsPerMm` converts
+ * source units (mm for our pipeline) to scene units, `boundsMm` is the original
+ * bounding-box size and `centerMm` the source point placed at the origin, so
+ * scene = (mm − centerMm) × unitsPerMm.
+ *
+ * Pass `frame` (`{ unitsPerMm, centerMm }` of another mesh) to place this one
+ * in that mesh's frame instead of fitting it on its own, e.g. a ground truth
+ * that must overlay the prediction.
+ */
+export async function parseMesh(buffer, format, frame = null) {
+    const object = await parseByFormat(buffer, format);
+    object.updateMatrixWorld(true);
+
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) throw new Error('Mesh contains no geometry');
+
+    const size = box.getSize(new THREE.Vector3());
+    const center = frame ? new THREE.Vector3(...frame.centerMm) : box.getCenter(new THREE.Vector3());
+    const scale = frame ? frame.unitsPerMm : TARGET_SIZE / Math.max(size.x, size.y, size.z);
+
+    // Wrap so the normalising transform doesn't clobber the file's own transforms
+    const root = new THREE.Group();
+    const fitted = new THREE.Group();
+    fitted.scale.setScalar(scale);
+    fitted.position.copy(center).multiplyScalar(-scale);
+    fitted.add(object);
+    root.add(fitted);
+
+    return { object: root, unitsPerMm: scale, boundsMm: size.toArray(), centerMm: center.toArray() };
+}
+
+/**
+ * A parsed mesh placed in another mesh's `frame` without re-parsing, e.g. a
+ * second reconstruction to compare against. Shares the source's geometry, so
+ * it is only valid while the source is loaded; nothing to dispose.
+ */
+export function reframeMesh(parsed, frame) {
+    // Inner transform: mm in the source's frame → mm in `frame`
+    const placed = new THREE.Group();
+    placed.scale.setScalar(frame.unitsPerMm / parsed.unitsPerMm);
+    placed.position.fromArray(parsed.centerMm.map((c, i) => (c - frame.centerMm[i]) * frame.unitsPerMm));
+    placed.add(parsed.object.clone());
+    const root = new THREE.Group();
+    root.add(placed);
+
+    return { object: root, unitsPerMm: frame.unitsPerMm, boundsMm: parsed.boundsMm, centerMm: frame.centerMm };
+}
+
+// Every mesh under `root` with its transform relative to `root`
+export function meshParts(root) {
+    root.updateMatrixWorld(true);
+    const toRoot = root.matrixWorld.clone().invert();
+    const parts = [];
+    root.traverse((child) => {
+        if (!child.isMesh || !child.geometry?.attributes.position) return;
+        parts.push({ geometry: child.geometry, matrix: toRoot.clone().multiply(child.matrixWorld) });
+    });
+    return parts;
+}
+
+// Free GPU memory held by a parsed mesh
+export function disposeObject(object) {
+    object?.traverse((child) => {
+        if (!child.isMesh) return;
+        child.geometry?.dispose();
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((m) => m?.dispose());
+    });
+}
@@ -0,0 +1,177 @@
+// Minimal NIfTI-1 / NIfTI-2 reader (.nii and .nii.gz) for the browser.
+//
+// Produces a volume `{ dims, spacing, data, affine, inverseAffine, min, max }`
+// where `data` holds voxel values (scl_slope / scl_inter applied) in
+// x-fastest order and `affine` maps voxel indices (i, j, k) to world mm.
+import * as THREE from 'three';
+
+// NIfTI datatype code → [TypedArray, DataView getter]
+const DATATYPES = {
+    2: [Uint8Array, 'getUint8'],
+    4: [Int16Array, 'getInt16'],
+    8: [Int32Array, 'getInt32'],
+    16: [Float32Array, 'getFloat32'],
+    64: [Float64Array, 'getFloat64'],
+    256: [Int8Array, 'getInt8'],
+    512: [Uint16Array, 'getUint16'],
+    768: [Uint32Array, 'getUint32'],
+};
+
+export class NiftiError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NiftiError';
+    }
+}
+
+export function isGzip(buffer) {
+    const bytes = new Uint8Array(buffer, 0, 2);
+    return bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+async function gunzip(buffer) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new NiftiError('This browser cannot decompress .nii.gz files — use an uncompressed .nii');
+    }
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+}
+
+// Header fields for both versions; NIfTI-2 widens ints to int64 and floats to float64
+function readHeader(view) {
+    const le = view.getInt32(0, true);
+    const be = view.getInt32(0, false);
+    const littleEndian = le === 348 || le === 540;
+    const size = littleEndian ? le : be;
+
+    if (size === 348) {
+        const i16 = (o) => view.getInt16(o, littleEndian);
+        const f32 = (o) => view.getFloat32(o, littleEndian);
+        return {
+            version: 1,
+            littleEndian,
+            dims: Array.from({ length: 8 }, (_, i) => i16(40 + i * 2)),
+            datatype: i16(70),
+            pixdim: Array.from({ length: 8 }, (_, i) => f32(76 + i * 4)),
+            voxOffset: f32(108),
+            slope: f32(112),
+            inter: f32(116),
+            qformCode: i16(252),
+            sformCode: i16(254),
+            quatern: [256, 260, 264, 268, 272, 276].map(f32),
+            srow: [280, 296, 312].map(o => [0, 1, 2, 3].map(i => f32(o + i * 4))),
+        };
+    }
+    if (size === 540) {
+        const i16 = (o) => view.getInt16(o, littleEndian);
+        const i32 = (o) => view.getInt32(o, littleEndian);
+        const i64 = (o) => Number(view.getBigInt64(o, littleEndian));
+        const f64 = (o) => view.getFloat64(o, littleEndian);
+        return {
+            version: 2,
+            littleEndian,
+            dims: Array.from({ length: 8 }, (_, i) => i64(16 + i * 8)),
+            datatype: i16(12),
+            pixdim: Array.from({ length: 8 }, (_, i) => f64(104 + i * 8)),
+            voxOffset: i64(168),
+            slope: f64(176),
+            inter: f64(184),
+            qformCode: i32(344),
+            sformCode: i32(348),
+            quatern: [352, 360, 368, 376, 384, 392].map(f64),
+            srow: [400, 432, 464].map(o => [0, 1, 2, 3].map(i => f64(o + i * 8))),
+        };
+    }
+    throw new NiftiError('Not a NIfTI file (bad header size)');
+}
+
+// Voxel → world (mm) matrix: sform if set, else qform, else plain voxel spacing
+function buildAffine(h, spacing) {
+    const m = new THREE.Matrix4();
+    if (h.sformCode > 0) {
+        const [x, y, z] = h.srow;
+        m.set(...x, ...y, ...z, 0, 0, 0, 1);
+        return m;
+    }
+    if (h.qformCode > 0) {
+        const [b, c, d, qx, qy, qz] = h.quatern;
+        const a = Math.sqrt(Math.max(0, 1 - (b * b + c * c + d * d)));
+        const qfac = h.pixdim[0] < 0 ? -1 : 1;
+        const [dx, dy, dz] = [spacing[0], spacing[1], spacing[2] * qfac];
+        m.set(
+            (a * a + b * b - c * c - d * d) * dx, 2 * (b * c - a * d) * dy, 2 * (b * d + a * c) * dz, qx,
+            2 * (b * c + a * d) * dx, (a * a + c * c - b * b - d * d) * dy, 2 * (c * d - a * b) * dz, qy,
+            2 * (b * d - a * c) * dx, 2 * (c * d + a * b) * dy, (a * a + d * d - c * c - b * b) * dz, qz,
+            0, 0, 0, 1,
+        );
+        return m;
+    }
+    return m.makeScale(spacing[0], spacing[1], spacing[2]);
+}
+
+/**
+ * Parse a .nii or .nii.gz ArrayBuffer. Only the first 3D frame of 4D+
+ * volumes is read.
+ */
+export async function parseNifti(input) {
+    const buffer = isGzip(input) ? await gunzip(input) : input;
+    if (buffer.byteLength < 348) throw new NiftiError('File is too small to be NIfTI');
+
+    const view = new DataView(buffer);
+    const h = readHeader(view);
+    const ndim = h.dims[0];
+    if (ndim < 3) throw new NiftiError(`Expected a 3D volume, got ${ndim}D`);
+
+    const dims = [h.dims[1], h.dims[2], h.dims[3]];
+    const spacing = [1, 2, 3].map(i => Math.abs(h.pixdim[i]) || 1);
+    const type = DATATYPES[h.datatype];
+    if (!type) throw new NiftiError(`Unsupported NIfTI datatype ${h.datatype}`);
+
+    const [ArrayType, getter] = type;
+    const count = dims[0] * dims[1] * dims[2];
+    const offset = Math.max(h.voxOffset, h.version === 1 ? 352 : 544);
+    const bytes = ArrayType.BYTES_PER_ELEMENT;
+    if (offset + count * bytes > buffer.byteLength) throw new NiftiError('NIfTI file is truncated');
+
+    const slope = h.slope && Number.isFinite(h.slope) ? h.slope : 1;
+    const inter = Number.isFinite(h.inter) ? h.inter : 0;
+    const scaled = slope !== 1 || inter !== 0;
+
+    // Zero-copy view when the file's byte order and alignment allow it
+    const sameEndian = h.littleEndian === (new Uint8Array(new Uint16Array([1]).buffer)[0] === 1);
+    const raw = sameEndian && offset % bytes === 0 ? new ArrayType(buffer, offset, count) : null;
+
+    // Unscaled volumes keep their native type (a 512³ int16 CT stays at 256 MB,
+    // not 512 MB as Float32); scaled ones are converted once here
+    const data = raw && !scaled ? raw : new (scaled ? Float32Array : ArrayType)(count);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let n = 0; n < count; n++) {
+        let v = raw ? raw[n] : view[getter](offset + n * bytes, h.littleEndian);
+        if (scaled) v = v * slope + inter;
+        if (data !== raw) data[n] = v;
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+
+    const affine = buildAffine(h, spacing);
+    return {
+        dims,
+        spacing,
+        data,
+        affine,
+        inverseAffine: affine.clone().invert(),
+        min,
+        max,
+    };
+}
+
+export function voxelToWorld(volume, ijk) {
+    return new THREE.Vector3(...ijk).applyMatrix4(volume.affine).toArray();
+}
+
+// Nearest voxel for a world point, clamped into the volume
+export function worldToVoxel(volume, xyz) {
+    const v = new THREE.Vector3(...xyz).applyMatrix4(volume.inverseAffine);
+    return v.toArray().map((c, axis) => Math.min(volume.dims[axis] - 1, Math.max(0, Math.round(c))));
+}
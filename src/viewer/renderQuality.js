@@ -0,0 +1,55 @@
+// Render quality tiers for the 3D viewer and the level of detail picked from
+// the camera distance. In 'auto' mode the viewer starts at the top tier and
+// steps down while the frame rate stays low.
+
+export const QUALITY_TIERS = {
+    performance: {
+        label: 'Performance',
+        description: 'No glow, simple shading, coarse tubes, 1× resolution',
+        dpr: 1,
+        bloom: false,
+        vignette: false,
+        material: 'lambert',
+        lodBias: 2,
+    },
+    balanced: {
+        label: 'Balanced',
+        description: 'No glow, standard shading, medium tubes',
+        dpr: [1, 1.5],
+        bloom: false,
+        vignette: true,
+        material: 'standard',
+        lodBias: 1,
+    },
+    quality: {
+        label: 'Quality',
+        description: 'Glow, glass-like shading, full tubes, up to 2× resolution',
+        dpr: [1, 2],
+        bloom: true,
+        vignette: true,
+        material: 'physical',
+        lodBias: 0,
+    },
+};
+
+// Cheapest first; auto mode moves along this
+export const QUALITY_ORDER = ['performance', 'balanced', 'quality'];
+
+// Tube resolution factor per level of detail, finest first (see tubeParams)
+export const DETAIL_LEVELS = [1, 0.6, 0.35];
+
+// Orbit distances past which the next coarser level takes over; within
+// LOD_HYSTERESIS of a boundary the current level is kept so it doesn't flicker
+const LOD_DISTANCES = [20, 26];
+const LOD_HYSTERESIS = 1;
+
+export function lodForDistance(distance, current = 0) {
+    const k = LOD_DISTANCES.findIndex(d => Math.abs(distance - d) < LOD_HYSTERESIS);
+    if (k === -1) return LOD_DISTANCES.filter(d => distance > d).length;
+    return Math.min(k + 1, Math.max(k, current));
+}
+
+// Tube detail for a quality tier at a distance-based level of detail
+export function detailFor(tier, lod) {
+    return DETAIL_LEVELS[Math.min(DETAIL_LEVELS.length - 1, QUALITY_TIERS[tier].lodBias + lod)];
+}
@@ -0,0 +1,308 @@
+// Prediction vs ground-truth surface comparison. Every vertex of either
+// surface gets its distance (mm) to the other surface; within a tolerance a
+// predicted vertex is a true positive, beyond it a false positive, and a
+// ground-truth vertex beyond it was missed (false negative).
+//
+// Distances are nearest-vertex distances, so they are accurate to about half
+// the mesh edge length — fine for marching-cubes surfaces at voxel spacing.
+// Full-resolution surfaces take seconds, so they are computed in
+// surfaceCompare.worker.js (see useSurfaceComparison).
+import * as THREE from 'three';
+import { meshParts } from './meshLoader';
+
+export const OVERLAY_MODES = {
+    classes: { label: 'TP / FP / FN' },
+    distance: { label: 'Distance' },
+};
+
+export const OVERLAP_CLASSES = {
+    tp: { label: 'True positive', color: '#52c41a', description: 'Predicted surface within tolerance of the ground truth' },
+    fp: { label: 'False positive', color: '#ff4d4f', description: 'Predicted surface with no ground truth nearby' },
+    fn: { label: 'False negative', color: '#1890ff', description: 'Ground-truth surface the prediction missed' },
+};
+
+// The same classes when two reconstructions are compared with each other
+export const DIFFERENCE_CLASSES = {
+    tp: { label: 'Shared', color: OVERLAP_CLASSES.tp.color, description: 'Surface within tolerance of the other case' },
+    fp: { label: 'Only here', color: OVERLAP_CLASSES.fp.color, description: 'Surface with nothing nearby in the other case' },
+    fn: { label: 'Only in other', color: OVERLAP_CLASSES.fn.color, description: 'Surface of the other case missing here' },
+};
+
+export const DEFAULT_TOLERANCE_MM = 1;
+
+// Surface-distance colour bar, near → far
+export const HEATMAP_STOPS = ['#2c7bb6', '#00a6ca', '#90eb9d', '#f9d057', '#f29e2e', '#d7191c'];
+
+// ─── Geometry access ──────────────────────────────────────────────────────
+// Meshes under `root` plus their vertex positions in `root`'s frame (scene units)
+function surfaceParts(root) {
+    return meshParts(root).map(({ geometry, matrix }) => {
+        const source = geometry.attributes.position;
+        const positions = new Float32Array(source.count * 3);
+        const v = new THREE.Vector3();
+        for (let i = 0; i < source.count; i++) {
+            v.fromBufferAttribute(source, i).applyMatrix4(matrix).toArray(positions, i * 3);
+        }
+        return { geometry, matrix, positions };
+    });
+}
+
+// ─── Uniform grid for nearest-point queries ───────────────────────────────
+// Points are bucketed into cells (compressed-row layout: `order` holds point
+// indices sorted by cell, `start[c]..start[c + 1]` the range for cell c)
+function buildPointGrid(positions) {
+    const count = positions.length / 3;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i++) {
+        const a = i % 3;
+        if (positions[i] < min[a]) min[a] = positions[i];
+        if (positions[i] > max[a]) max[a] = positions[i];
+    }
+    const extent = max.map((v, a) => Math.max(v - min[a], 1e-6));
+    // About two points per cell, at most 128 cells per axis
+    const volume = extent[0] * extent[1] * extent[2];
+    const cellSize = Math.max(Math.cbrt((volume * 2) / Math.max(count, 1)), Math.max(...extent) / 128);
+    const dims = extent.map(e => Math.max(1, Math.ceil(e / cellSize)));
+
+    const cellOf = new Uint32Array(count);
+    const start = new Uint32Array(dims[0] * dims[1] * dims[2] + 1);
+    for (let i = 0; i < count; i++) {
+        const c = cellIndex(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], min, cellSize, dims);
+        cellOf[i] = c;
+        start[c + 1]++;
+    }
+    for (let c = 1; c < start.length; c++) start[c] += start[c - 1];
+    const fill = start.slice(0, -1);
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[fill[cellOf[i]]++] = i;
+
+    return { positions, min, cellSize, dims, start, order };
+}
+
+function cellCoord(value, min, cellSize, dim) {
+    return Math.min(dim - 1, Math.max(0, Math.floor((value - min) / cellSize)));
+}
+
+function cellIndex(x, y, z, min, cellSize, dims) {
+    const ix = cellCoord(x, min[0], cellSize, dims[0]);
+    const iy = cellCoord(y, min[1], cellSize, dims[1]);
+    const iz = cellCoord(z, min[2], cellSize, dims[2]);
+    return (iz * dims[1] + iy) * dims[0] + ix;
+}
+
+// Distance from (x, y, z) to the nearest grid point, searching outward in
+// cubic shells until no unvisited cell can hold anything closer
+function nearestDistance(grid, x, y, z) {
+    const { positions, min, cellSize, dims, start, order } = grid;
+    const cx = cellCoord(x, min[0], cellSize, dims[0]);
+    const cy = cellCoord(y, min[1], cellSize, dims[1]);
+    const cz = cellCoord(z, min[2], cellSize, dims[2]);
+    const maxShell = Math.max(...dims);
+    let best = Infinity;
+
+    for (let r = 0; r <= maxShell; r++) {
+        for (let iz = Math.max(0, cz - r); iz <= Math.min(dims[2] - 1, cz + r); iz++) {
+            for (let iy = Math.max(0, cy - r); iy <= Math.min(dims[1] - 1, cy + r); iy++) {
+                const onShellYZ = Math.abs(iz - cz) === r || Math.abs(iy - cy) === r;
+                // Interior rows of the shell only need their two end cells
+                const step = onShellYZ ? 1 : 2 * r;
+                for (let ix = cx - r; ix <= cx + r; ix += step) {
+                    if (ix < 0 || ix >= dims[0]) continue;
+                    const c = (iz * dims[1] + iy) * dims[0] + ix;
+                    for (let k = start[c]; k < start[c + 1]; k++) {
+                        const p = order[k] * 3;
+                        const dx = positions[p] - x;
+                        const dy = positions[p + 1] - y;
+                        const dz = positions[p + 2] - z;
+                        const d = dx * dx + dy * dy + dz * dz;
+                        if (d < best) best = d;
+                    }
+                }
+            }
+        }
+        // Cells in the next shell are at least r cells away
+        if (best <= (r * cellSize) ** 2) break;
+    }
+    return Math.sqrt(best);
+}
+
+function concat(arrays) {
+    const all = new Float32Array(arrays.reduce((n, a) => n + a.length, 0));
+    let offset = 0;
+    arrays.forEach((a) => {
+        all.set(a, offset);
+        offset += a.length;
+    });
+    return all;
+}
+
+const concatDistances = (parts) => concat(parts.map(p => p.distances));
+
+function distancesTo(positionLists, grid, unitsPerMm) {
+    return positionLists.map((positions) => {
+        const distances = new Float32Array(positions.length / 3);
+        for (let i = 0; i < distances.length; i++) {
+            distances[i] = nearestDistance(grid, positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]) / unitsPerMm;
+        }
+        return distances;
+    });
+}
+
+/**
+ * Input for comparing a prediction with its ground truth, both parsed meshes
+ * in the same frame (see `parseMesh(…, frame)`).
+ *
+ * Returns `{ pred, gt, unitsPerMm }`, each side a list of
+ * `{ geometry, matrix, positions }` — one per source mesh.
+ */
+export function comparisonInput(prediction, groundTruth) {
+    return {
+        pred: surfaceParts(prediction.object),
+        gt: surfaceParts(groundTruth.object),
+        unitsPerMm: prediction.unitsPerMm,
+    };
+}
+
+/**
+ * Per-vertex surface distances (mm) for comparisonInput()'s positions: `pred`
+ * and `gt` are the sides' position arrays, one per part. Returns `{ pred, gt }`
+ * with one distance array per part. The slow step; see the worker.
+ */
+export function surfaceDistances({ pred, gt, unitsPerMm }) {
+    if (!pred.length || !gt.length) throw new Error('Both surfaces need geometry to compare');
+    return {
+        pred: distancesTo(pred, buildPointGrid(concat(gt)), unitsPerMm),
+        gt: distancesTo(gt, buildPointGrid(concat(pred)), unitsPerMm),
+    };
+}
+
+/**
+ * The comparison from its input and surfaceDistances()' result:
+ * `{ pred, gt, unitsPerMm }`, each side a list of `{ geometry, matrix,
+ * distances }` — one per source mesh.
+ */
+export function withDistances(input, distances) {
+    const side = (parts, lists) => parts.map(({ geometry, matrix }, i) => ({ geometry, matrix, distances: lists[i] }));
+    return { pred: side(input.pred, distances.pred), gt: side(input.gt, distances.gt), unitsPerMm: input.unitsPerMm };
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * (sorted.length - 1)))];
+}
+
+/**
+ * Summary of a comparison. Class shares are fractions of surface vertices;
+ * `surfaceDice` is the normalised surface Dice at `toleranceMm`, and mean /
+ * HD95 / max are symmetric surface distances in mm.
+ */
+export function overlapStats(comparison, toleranceMm) {
+    const all = concatDistances([...comparison.pred, ...comparison.gt]).sort();
+    const within = (parts) => concatDistances(parts).reduce((n, d) => n + (d <= toleranceMm ? 1 : 0), 0);
+    const nPred = comparison.pred.reduce((n, p) => n + p.distances.length, 0);
+    const nGt = all.length - nPred;
+    const tp = within(comparison.pred);
+    const gtHit = within(comparison.gt);
+    const fp = nPred - tp;
+    const fn = nGt - gtHit;
+    const total = tp + fp + fn;
+
+    return {
+        tp: tp / total,
+        fp: fp / total,
+        fn: fn / total,
+        surfaceDice: (tp + gtHit) / all.length,
+        meanMm: all.reduce((s, d) => s + d, 0) / all.length,
+        hd95Mm: percentile(all, 0.95),
+        maxMm: all[all.length - 1],
+    };
+}
+
+// ─── Overlay scene object ─────────────────────────────────────────────────
+/**
+ * Scene object for the comparison: the predicted surface plus the missed part
+ * of the ground truth, coloured by `paintOverlay()`. Placed like the parsed
+ * mesh (same root frame). Returns `{ group, parts }`.
+ */
+export function buildOverlay(comparison) {
+    const group = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({
+        vertexColors: true,
+        roughness: 0.5,
+        metalness: 0.05,
+        side: THREE.DoubleSide,
+    });
+
+    const addPart = (part, role) => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', part.geometry.attributes.position.clone());
+        if (part.geometry.attributes.normal) {
+            geometry.setAttribute('normal', part.geometry.attributes.normal.clone());
+        } else {
+            geometry.computeVertexNormals();
+        }
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(part.distances.length * 3), 3));
+        const source = part.geometry.index;
+        const triangles = source
+            ? Uint32Array.from(source.array)
+            : Uint32Array.from({ length: part.distances.length }, (_, i) => i);
+        geometry.setIndex(new THREE.BufferAttribute(triangles.slice(), 1));
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.matrixAutoUpdate = false;
+        mesh.matrix.copy(part.matrix);
+        group.add(mesh);
+        return { geometry, distances: part.distances, triangles, role };
+    };
+
+    const parts = [
+        ...comparison.pred.map(p => addPart(p, 'pred')),
+        ...comparison.gt.map(p => addPart(p, 'gt')),
+    ];
+    return { group, parts };
+}
+
+export function heatmapColor(t, target = new THREE.Color()) {
+    const x = Math.min(1, Math.max(0, t)) * (HEATMAP_STOPS.length - 1);
+    const i = Math.min(HEATMAP_STOPS.length - 2, Math.floor(x));
+    return target.set(HEATMAP_STOPS[i]).lerp(new THREE.Color(HEATMAP_STOPS[i + 1]), x - i);
+}
+
+/**
+ * Colour the overlay for `mode` ('classes' or 'distance'). Ground-truth parts
+ * keep only triangles whose vertices were all missed at `toleranceMm`; in
+ * distance mode colours run from 0 to `maxMm`.
+ */
+export function paintOverlay(overlay, { mode, toleranceMm, maxMm }) {
+    const classColors = Object.fromEntries(Object.entries(OVERLAP_CLASSES).map(([k, c]) => [k, new THREE.Color(c.color)]));
+    const color = new THREE.Color();
+
+    overlay.parts.forEach(({ geometry, distances, triangles, role }) => {
+        const colors = geometry.attributes.color;
+        for (let i = 0; i < distances.length; i++) {
+            const d = distances[i];
+            if (mode === 'distance') heatmapColor(d / maxMm, color);
+            else if (role === 'gt') color.copy(classColors.fn);
+            else color.copy(d <= toleranceMm ? classColors.tp : classColors.fp);
+            colors.setXYZ(i, color.r, color.g, color.b);
+        }
+        colors.needsUpdate = true;
+
+        if (role === 'gt') {
+            const kept = [];
+            for (let t = 0; t < triangles.length; t += 3) {
+                const [a, b, c] = [triangles[t], triangles[t + 1], triangles[t + 2]];
+                if (distances[a] > toleranceMm && distances[b] > toleranceMm && distances[c] > toleranceMm) {
+                    kept.push(a, b, c);
+                }
+            }
+            geometry.setIndex(kept);
+        }
+    });
+}
+
+export function disposeOverlay(overlay) {
+    overlay?.parts.forEach(p => p.geometry.dispose());
+    overlay?.group.children[0]?.material.dispose();
+}
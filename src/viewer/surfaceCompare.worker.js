@@ -0,0 +1,18 @@
+// Computes surface distances for a prediction vs ground-truth comparison off
+// the main thread; nearest-vertex search over full-resolution surfaces would
+// otherwise freeze the page for seconds.
+//
+// In:  { pred, gt, unitsPerMm }   vertex positions per part (see comparisonInput),
+//                                 buffers transferred
+// Out: { pred, gt }               distances per part, buffers transferred
+//      { error }                  message when the surfaces can't be compared
+import { surfaceDistances } from './surfaceCompare';
+
+self.onmessage = ({ data }) => {
+    try {
+        const distances = surfaceDistances(data);
+        self.postMessage(distances, [...distances.pred, ...distances.gt].map(d => d.buffer));
+    } catch (err) {
+        self.postMessage({ error: err.message });
+    }
+};
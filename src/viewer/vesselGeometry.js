@@ -0,0 +1,271 @@
+// Reference-anatomy geometry: vessel descriptors → tube geometry and the
+// merged render batches used by VascularViewer
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+// The reference body is ~16 units tall (see vascularAnatomy.js); at an adult
+// height of ~1.76 m one scene unit is ~110 mm
+export const REFERENCE_MM_PER_UNIT = 110;
+
+// VascularSystem shifts the body (y = 0..16) down by this to centre it
+export const REFERENCE_OFFSET_Y = -8;
+
+// ─── Depth-graded color palettes ───────────────────────────────────────────
+export const ARTERY_COLORS = [
+    new THREE.Color('#9b1b30'),   // depth 0 — aorta (deep crimson)
+    new THREE.Color('#c0392b'),   // depth 1 — large arteries
+    new THREE.Color('#e04040'),   // depth 2 — medium arteries
+    new THREE.Color('#e86c5a'),   // depth 3 — small arteries
+    new THREE.Color('#f5a090'),   // depth 4 — capillaries
+];
+
+export const VEIN_COLORS = [
+    new THREE.Color('#1a2d5a'),   // depth 0 — vena cava (deep navy)
+    new THREE.Color('#1e4a8a'),   // depth 1 — large veins
+    new THREE.Color('#2b6cb0'),   // depth 2 — medium veins
+    new THREE.Color('#4a90d9'),   // depth 3 — small veins
+    new THREE.Color('#7eb8e8'),   // depth 4 — venous capillaries
+];
+
+// Colour key shown over the reference anatomy (and drawn into captures)
+export const REFERENCE_LEGEND = {
+    groups: [
+        {
+            title: 'Arteries',
+            items: [
+                { color: '#9b1b30', label: 'Aorta' },
+                { color: '#c0392b', label: 'Major Artery' },
+                { color: '#e04040', label: 'Medium Artery' },
+                { color: '#f5a090', label: 'Capillary' },
+            ],
+        },
+        {
+            title: 'Veins',
+            items: [
+                { color: '#1a2d5a', label: 'Vena Cava' },
+                { color: '#1e4a8a', label: 'Major Vein' },
+                { color: '#2b6cb0', label: 'Medium Vein' },
+                { color: '#7eb8e8', label: 'Capillary' },
+            ],
+        },
+    ],
+};
+
+// Size tier names by depth, as used in the legend
+export const DEPTH_TIERS = ['Great vessel', 'Major', 'Medium', 'Small', 'Capillary'];
+
+export function depthTierLabel(v) {
+    if (v.depth === 0) return v.type === 'artery' ? 'Aorta' : 'Vena cava';
+    return DEPTH_TIERS[Math.min(v.depth, DEPTH_TIERS.length - 1)];
+}
+
+// Centerline length in scene units
+export function vesselLength(v) {
+    let length = 0;
+    for (let i = 1; i < v.points.length; i++) length += v.points[i].distanceTo(v.points[i - 1]);
+    return length;
+}
+
+// ─── Subtle organic displacement ───────────────────────────────────────────
+function applySubtleDisplacement(geometry, intensity, seed) {
+    const pos = geometry.attributes.position;
+    const normal = geometry.attributes.normal;
+    const count = pos.count;
+
+    for (let i = 0; i < count; i++) {
+        const x = pos.getX(i);
+        const y = pos.getY(i);
+        const z = pos.getZ(i);
+
+        // Low-frequency organic bumps only (no high-frequency noise)
+        const disp = Math.sin(y * 8.0 + seed) * Math.cos(x * 6.0 + seed * 0.7) * intensity
+            + Math.sin(y * 16.0 + z * 12.0 + seed * 1.5) * intensity * 0.3;
+
+        const nx = normal.getX(i);
+        const ny = normal.getY(i);
+        const nz = normal.getZ(i);
+
+        pos.setXYZ(i, x + nx * disp, y + ny * disp, z + nz * disp);
+    }
+
+    pos.needsUpdate = true;
+    geometry.computeVertexNormals();
+}
+
+// ─── Single vessel tube with per-vertex colors ─────────────────────────────
+// Slight brightness variation along the tube (vertex `i` of vessel `idx`)
+function vertexShade(i, idx) {
+    return 0.94 + (Math.sin(i * 0.37 + idx * 5.1) * 0.5 + 0.5) * 0.12;
+}
+
+// Tube resolution: rings along the centerline and vertices around each ring.
+// `detail` (0–1] scales both down for coarser levels of detail.
+export function tubeParams(v, detail = 1) {
+    return {
+        segments: Math.max(8, Math.round(Math.max(20, v.points.length * 2) * detail)),
+        radialSeg: Math.max(4, Math.round((v.depth >= 3 ? 6 : v.depth >= 2 ? 8 : 12) * detail)),
+    };
+}
+
+export function buildVesselGeometry(v, idx, detail = 1) {
+    const curve = new THREE.CatmullRomCurve3(v.points);
+    const { segments, radialSeg } = tubeParams(v, detail);
+    const geo = new THREE.TubeGeometry(curve, segments, v.radius, radialSeg, false);
+
+    // Apply subtle surface variation
+    if (v.radius > 0.02) {
+        applySubtleDisplacement(geo, v.radius * 0.12, idx * 13.7);
+    }
+
+    // Apply per-vertex colors
+    const palette = v.type === 'artery' ? ARTERY_COLORS : VEIN_COLORS;
+    const baseColor = palette[Math.min(v.depth, palette.length - 1)];
+    const colors = [];
+    const count = geo.attributes.position.count;
+    for (let i = 0; i < count; i++) {
+        const vary = vertexShade(i, idx);
+        colors.push(baseColor.r * vary, baseColor.g * vary, baseColor.b * vary);
+    }
+    geo.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    return geo;
+}
+
+// Size tier of a vessel: 0 major (depth ≤ 1), 1 medium (depth 2), 2 small
+export function sizeTier(v) {
+    return v.depth <= 1 ? 0 : v.depth <= 2 ? 1 : 2;
+}
+
+// Batch a vessel falls into: type (artery/vein) × size tier (major/medium/small)
+export function batchKey(v) {
+    return `${v.type === 'artery' ? 'artery' : 'vein'}${['Major', 'Medium', 'Small'][sizeTier(v)]}`;
+}
+
+// Vessel index behind a raycast hit on a merged batch (null if not a batch)
+export function vesselIdAt(hit) {
+    const ids = hit.object?.geometry?.attributes.vesselId;
+    return ids && hit.face ? ids.getX(hit.face.a) : null;
+}
+
+// Vessel geometry tagged with a per-vertex `vesselId` that survives merging,
+// so raycast hits can be traced back to the source vessel
+export function buildVesselPart(v, idx, detail = 1) {
+    const geo = buildVesselGeometry(v, idx, detail);
+    geo.setAttribute('vesselId', new THREE.Float32BufferAttribute(
+        new Float32Array(geo.attributes.position.count).fill(idx), 1));
+    return geo;
+}
+
+export function buildVesselParts(vessels, detail = 1) {
+    return vessels.map((v, idx) => buildVesselPart(v, idx, detail));
+}
+
+// ─── Build merged geometry batches for efficient rendering ─────────────────
+// Material look per batch: bigger vessels are more opaque and glow more
+export const BATCH_MATERIALS = {
+    arteryMajor: { emissiveIntensity: 0.6, roughness: 0.32, opacity: 0.96, transmission: 0.03, thickness: 2.5 },
+    arteryMedium: { emissiveIntensity: 0.45, roughness: 0.38, opacity: 0.90, transmission: 0.06, thickness: 1.5 },
+    arterySmall: { emissiveIntensity: 0.3, roughness: 0.45, opacity: 0.75, transmission: 0.10, thickness: 0.8 },
+    veinMajor: { emissiveIntensity: 0.45, roughness: 0.38, opacity: 0.93, transmission: 0.05, thickness: 2.0 },
+    veinMedium: { emissiveIntensity: 0.35, roughness: 0.42, opacity: 0.85, transmission: 0.08, thickness: 1.2 },
+    veinSmall: { emissiveIntensity: 0.25, roughness: 0.5, opacity: 0.70, transmission: 0.12, thickness: 0.6 },
+};
+
+/**
+ * Merge vessels into one `{ key, geometry }` per batch. Pass `parts` (from
+ * buildVesselParts) to reuse tube geometry across rebuilds — they are left
+ * intact — `indices` to draw only a subset of the vessels, and `detail` to
+ * build coarser tubes (ignored with `parts`). Batches are
+ * normally built in vesselGeometry.worker.js; see useVesselBatches.
+ */
+export function buildBatches(vessels, { parts, indices, detail } = {}) {
+    // Group by: type (artery/vein) × size tier (major/medium/small)
+    const groups = {
+        arteryMajor: [],
+        arteryMedium: [],
+        arterySmall: [],
+        veinMajor: [],
+        veinMedium: [],
+        veinSmall: [],
+    };
+
+    const geometries = parts ?? buildVesselParts(vessels, detail);
+    (indices ?? vessels.map((_, idx) => idx)).forEach((idx) => {
+        groups[batchKey(vessels[idx])].push(geometries[idx]);
+    });
+
+    // Merge each group into a single BufferGeometry
+    const result = [];
+    Object.entries(groups).forEach(([key, geos]) => {
+        if (geos.length === 0) return;
+        const merged = mergeGeometries(geos, false);
+        if (merged) result.push({ key, geometry: merged });
+    });
+
+    if (!parts) geometries.forEach(g => g.dispose());
+    return result;
+}
+
+/**
+ * Recolour merged batches in place: `colors` holds one RGB triple per vessel
+ * index (see colorModes.js). The tube shading is kept — a vessel's vertices
+ * are contiguous in a batch, so each one's index within its tube is known.
+ */
+export function paintBatches(batches, colors) {
+    batches.forEach(({ geometry }) => {
+        const ids = geometry.attributes.vesselId.array;
+        const color = geometry.attributes.color;
+        let start = 0;
+        for (let i = 0; i < ids.length; i++) {
+            const idx = ids[i];
+            if (i > 0 && idx !== ids[i - 1]) start = i;
+            const vary = vertexShade(i - start, idx);
+            color.setXYZ(i, colors[idx * 3] * vary, colors[idx * 3 + 1] * vary, colors[idx * 3 + 2] * vary);
+        }
+        color.needsUpdate = true;
+    });
+}
+
+// Bounding sphere of a vessel's centerline in body space: `{ center, radius }`
+export function vesselBounds(v) {
+    const sphere = new THREE.Sphere().setFromPoints(v.points);
+    return { center: sphere.center, radius: sphere.radius + v.radius };
+}
+
+// ─── Worker transfer ──────────────────────────────────────────────────────
+// Vessel descriptors as structured-clone friendly data (centerlines flattened)
+export function packVessels(vessels) {
+    return vessels.map(({ points, radius, type, depth }) => ({
+        points: new Float32Array(points.flatMap(p => [p.x, p.y, p.z])),
+        radius,
+        type,
+        depth,
+    }));
+}
+
+export function unpackVessels(packed) {
+    return packed.map(({ points, ...rest }) => {
+        const vectors = [];
+        for (let i = 0; i < points.length; i += 3) vectors.push(new THREE.Vector3(points[i], points[i + 1], points[i + 2]));
+        return { ...rest, points: vectors };
+    });
+}
+
+// `{ attributes: { name: { array, itemSize } }, index }` — the arrays' buffers
+// can be listed as transferables
+export function geometryToBuffers(geometry) {
+    const attributes = {};
+    Object.entries(geometry.attributes).forEach(([name, attr]) => {
+        attributes[name] = { array: attr.array, itemSize: attr.itemSize };
+    });
+    return { attributes, index: geometry.index?.array ?? null };
+}
+
+export function buffersToGeometry({ attributes, index }) {
+    const geometry = new THREE.BufferGeometry();
+    Object.entries(attributes).forEach(([name, { array, itemSize }]) => {
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+    });
+    if (index) geometry.setIndex(new THREE.BufferAttribute(index, 1));
+    geometry.computeBoundingSphere();
+    return geometry;
+}
@@ -0,0 +1,89 @@
+// Builds the reference-vessel batches off the main thread. Vessels are built
+// largest first and the merged batches are posted again as each size tier
+// completes (and periodically within a tier), so the trunk appears at once
+// and fine branches stream in after.
+//
+// Tube geometry is cached per detail level. After a detail change, vessels
+// not yet rebuilt keep their geometry from another level, so the model never
+// loses branches while the new level streams in.
+//
+// In:  { type: 'build', id, vessels }    packed vessels (see packVessels)
+//      { type: 'view', indices, detail } vessels to draw and the detail level
+// Out: { id, batches, loaded, total }    batches as `{ key, attributes, index }`
+//                                        with their buffers transferred
+import {
+    buildVesselPart, buildBatches, sizeTier, unpackVessels, geometryToBuffers,
+} from './vesselGeometry';
+
+// Build for this long before yielding, so 'view' messages are answered quickly
+const SLICE_MS = 30;
+// Within a tier, post progress at most this often
+const POST_MS = 400;
+
+let job = null;
+let visible = null;
+let detail = 1;
+
+// Parts cache for `detail`, created on first use
+function level(current, d) {
+    if (!current.levels.has(d)) current.levels.set(d, { parts: new Array(current.vessels.length), next: 0 });
+    return current.levels.get(d);
+}
+
+function post() {
+    const levels = [level(job, detail), ...job.levels.values()];
+    const parts = job.vessels.map((_, i) => levels.find(l => l.parts[i])?.parts[i]);
+    const indices = (visible ?? job.order).filter(i => parts[i]);
+    const batches = buildBatches(job.vessels, { parts, indices }).map(({ key, geometry }) => ({
+        key,
+        ...geometryToBuffers(geometry),
+    }));
+    const transfer = batches.flatMap(b => [...Object.values(b.attributes).map(a => a.array.buffer), b.index?.buffer])
+        .filter(Boolean);
+    const loaded = parts.filter(Boolean).length;
+    self.postMessage({ id: job.id, batches, loaded, total: job.order.length }, transfer);
+    job.postedAt = performance.now();
+}
+
+function step(current) {
+    if (job !== current) return;
+    current.scheduled = false;
+    const target = level(current, detail);
+    const start = performance.now();
+    let tierDone = false;
+    while (target.next < current.order.length && !tierDone && performance.now() - start < SLICE_MS) {
+        const idx = current.order[target.next++];
+        target.parts[idx] = buildVesselPart(current.vessels[idx], idx, detail);
+        const following = current.order[target.next];
+        tierDone = following === undefined || sizeTier(current.vessels[following]) !== sizeTier(current.vessels[idx]);
+    }
+    if (tierDone || performance.now() - current.postedAt > POST_MS) post();
+    if (target.next < current.order.length) schedule(current);
+}
+
+function schedule(current) {
+    if (current.scheduled) return;
+    current.scheduled = true;
+    setTimeout(() => step(current), 0);
+}
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'view') {
+        visible = data.indices;
+        detail = data.detail;
+        if (!job) return;
+        // A finished level is re-merged at once; otherwise the build loop posts
+        if (level(job, detail).next === job.order.length) post();
+        else schedule(job);
+        return;
+    }
+
+    job?.levels.forEach(l => l.parts.forEach(g => g?.dispose()));
+    const vessels = unpackVessels(data.vessels);
+    // Largest first: by depth, then thickest within a depth
+    const order = vessels.map((_, i) => i).sort((a, b) => vessels[a].depth - vessels[b].depth || vessels[b].radius - vessels[a].radius);
+    job = { id: data.id, vessels, order, levels: new Map(), postedAt: performance.now(), scheduled: false };
+    // `visible` may still index the previous vessels
+    if (visible?.some(i => i >= vessels.length)) visible = null;
+    step(job);
+};
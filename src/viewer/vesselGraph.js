@@ -0,0 +1,240 @@
+// Vessel-graph files: the anatomy as nodes and edges with explicit
+// connectivity, so vessels know their parent and children.
+//
+//   {
+//     "format": "vessel-graph", "version": 1, "name": "…",
+//     "roots": ["ascending-aorta", …],            edges attached to the heart
+//     "nodes": [{ "id", "position": [x, y, z], "on"? }],
+//     "edges": [{ "id", "label", "type", "depth", "radius", "from", "to", "via"? }]
+//   }
+//
+// Positions are in body units: an adult ~16 units tall, feet at y = 0, +x to
+// the body's right, +z anterior (see BODY_LANDMARKS). An edge is one vessel
+// drawn as a smooth curve from node `from` through the `via` control points
+// to node `to`. Edges meeting at a node are connected; a node with `on` is a
+// branch point inside that edge (a side branch leaving mid-vessel). Parents
+// are found by walking out from `roots`, so cycles such as the Circle of
+// Willis are fine.
+import * as THREE from 'three';
+
+export const VESSEL_GRAPH_FORMAT = 'vessel-graph';
+export const VESSEL_GRAPH_VERSION = 1;
+export const VESSEL_TYPES = ['artery', 'vein'];
+
+// Stop listing after this many problems
+const MAX_ISSUES = 25;
+
+export class VesselGraphError extends Error {
+    constructor(message, issues = []) {
+        super(message);
+        this.name = 'VesselGraphError';
+        // `{ path, message }` per problem, e.g. `edges[3].from`
+        this.issues = issues;
+    }
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isPoint = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+const describe = (v) => (v === null ? 'null' : Array.isArray(v) ? 'an array' : typeof v);
+
+/**
+ * Check `data` (parsed JSON) against the format. Returns `{ errors, warnings }`,
+ * each a list of `{ path, message }`: errors make the graph unusable, warnings
+ * are topology problems (vessels that can't be reached from a root, unused
+ * nodes) that still render.
+ */
+export function validateVesselGraph(data) {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+
+    if (!isObject(data)) {
+        error('', `Expected a JSON object, got ${describe(data)}`);
+        return { errors, warnings };
+    }
+    if (data.format !== VESSEL_GRAPH_FORMAT) {
+        error('format', `Must be "${VESSEL_GRAPH_FORMAT}"${data.format === undefined ? '' : `, got ${JSON.stringify(data.format)}`}`);
+    }
+    if (data.version !== VESSEL_GRAPH_VERSION) {
+        error('version', `Unsupported version ${JSON.stringify(data.version)} — this viewer reads version ${VESSEL_GRAPH_VERSION}`);
+    }
+    if (data.name !== undefined && typeof data.name !== 'string') error('name', 'Must be a string');
+
+    const nodes = Array.isArray(data.nodes) ? data.nodes : [];
+    const edges = Array.isArray(data.edges) ? data.edges : [];
+    if (!Array.isArray(data.nodes) || nodes.length === 0) error('nodes', 'Must be a non-empty array');
+    if (!Array.isArray(data.edges) || edges.length === 0) error('edges', 'Must be a non-empty array');
+
+    const nodeIds = new Set();
+    nodes.forEach((node, i) => {
+        const at = `nodes[${i}]`;
+        if (!isObject(node)) {
+            error(at, `Expected an object, got ${describe(node)}`);
+            return;
+        }
+        if (typeof node.id !== 'string' || !node.id) error(`${at}.id`, 'Must be a non-empty string');
+        else if (nodeIds.has(node.id)) error(`${at}.id`, `Duplicate node id "${node.id}"`);
+        else nodeIds.add(node.id);
+        if (!isPoint(node.position)) error(`${at}.position`, 'Must be [x, y, z] with finite numbers');
+    });
+
+    const edgeIds = new Set();
+    edges.forEach((edge, i) => {
+        const at = `edges[${i}]`;
+        if (!isObject(edge)) {
+            error(at, `Expected an object, got ${describe(edge)}`);
+            return;
+        }
+        if (typeof edge.id !== 'string' || !edge.id) error(`${at}.id`, 'Must be a non-empty string');
+        else if (edgeIds.has(edge.id)) error(`${at}.id`, `Duplicate edge id "${edge.id}"`);
+        else edgeIds.add(edge.id);
+        if (typeof edge.label !== 'string' || !edge.label.trim()) error(`${at}.label`, 'Must be a non-empty string');
+        if (!VESSEL_TYPES.includes(edge.type)) {
+            error(`${at}.type`, `Must be one of ${VESSEL_TYPES.map(t => `"${t}"`).join(', ')}, got ${JSON.stringify(edge.type)}`);
+        }
+        if (!Number.isInteger(edge.depth) || edge.depth < 0) error(`${at}.depth`, 'Must be an integer ≥ 0 (0 = great vessels)');
+        if (!Number.isFinite(edge.radius) || edge.radius <= 0) error(`${at}.radius`, 'Must be a number > 0 (body units)');
+        ['from', 'to'].forEach((end) => {
+            if (!nodeIds.has(edge[end])) error(`${at}.${end}`, `Unknown node ${JSON.stringify(edge[end])}`);
+        });
+        if (edge.from === edge.to) error(`${at}.to`, 'An edge cannot start and end at the same node');
+        if (edge.via !== undefined) {
+            if (!Array.isArray(edge.via)) error(`${at}.via`, 'Must be an array of [x, y, z] points');
+            else edge.via.forEach((p, k) => { if (!isPoint(p)) error(`${at}.via[${k}]`, 'Must be [x, y, z] with finite numbers'); });
+        }
+    });
+
+    // References into edges need all edge ids first
+    const incident = new Map();
+    edges.forEach((edge) => {
+        if (!isObject(edge)) return;
+        [edge.from, edge.to].forEach((id) => {
+            if (!incident.has(id)) incident.set(id, new Set());
+            incident.get(id).add(edge.id);
+        });
+    });
+    nodes.forEach((node, i) => {
+        if (!isObject(node) || node.on === undefined) return;
+        if (!edgeIds.has(node.on)) error(`nodes[${i}].on`, `Unknown edge ${JSON.stringify(node.on)}`);
+        else if (incident.get(node.id)?.has(node.on)) error(`nodes[${i}].on`, `Node "${node.id}" is already an end of edge "${node.on}"`);
+    });
+    if (!Array.isArray(data.roots) || data.roots.length === 0) {
+        error('roots', 'Must be a non-empty array of edge ids (the vessels attached to the heart)');
+    } else {
+        data.roots.forEach((id, k) => {
+            if (!edgeIds.has(id)) error(`roots[${k}]`, `Unknown edge ${JSON.stringify(id)}`);
+        });
+    }
+    if (errors.length) return { errors, warnings };
+
+    // ─── Topology ───
+    const { parents } = walkFromRoots(data);
+    edges.forEach((edge, i) => {
+        if (parents[i] === undefined) warnings.push({ path: `edges[${i}]`, message: `"${edge.label}" is not connected to any root` });
+    });
+    nodes.forEach((node, i) => {
+        if (!incident.has(node.id)) warnings.push({ path: `nodes[${i}]`, message: `Node "${node.id}" is not used by any edge` });
+    });
+    return { errors, warnings };
+}
+
+// ─── Connectivity ─────────────────────────────────────────────────────────
+// Edge indices connected to each edge: sharing a node, or through a branch node lying on it
+function edgeNeighbours(graph) {
+    const edgeIndex = new Map(graph.edges.map((e, i) => [e.id, i]));
+    const onEdge = new Map(graph.nodes.filter(n => n.on !== undefined).map(n => [n.id, edgeIndex.get(n.on)]));
+    const atNode = new Map();
+    graph.edges.forEach((e, i) => [e.from, e.to].forEach((id) => {
+        if (!atNode.has(id)) atNode.set(id, []);
+        atNode.get(id).push(i);
+    }));
+
+    const neighbours = graph.edges.map(() => new Set());
+    atNode.forEach((indices, nodeId) => {
+        const group = onEdge.has(nodeId) ? [...indices, onEdge.get(nodeId)] : indices;
+        group.forEach(a => group.forEach(b => { if (a !== b) neighbours[a].add(b); }));
+    });
+    return { neighbours, edgeIndex };
+}
+
+// Breadth-first from the roots: parent edge index per edge (null for roots,
+// undefined when unreachable), the order edges were reached in and the
+// neighbour sets walked
+function walkFromRoots(graph) {
+    const { neighbours, edgeIndex } = edgeNeighbours(graph);
+    const parents = new Array(graph.edges.length);
+    const queue = [];
+    graph.roots.forEach((id) => {
+        const i = edgeIndex.get(id);
+        if (parents[i] !== undefined) return;
+        parents[i] = null;
+        queue.push(i);
+    });
+    for (let head = 0; head < queue.length; head++) {
+        const i = queue[head];
+        [...neighbours[i]].sort((a, b) => a - b).forEach((j) => {
+            if (parents[j] !== undefined) return;
+            parents[j] = i;
+            queue.push(j);
+        });
+    }
+    return { parents, order: queue, neighbours };
+}
+
+// ─── Loading ──────────────────────────────────────────────────────────────
+/**
+ * Parse and validate the text of a vessel-graph file. Returns
+ * `{ graph, warnings }`; throws a VesselGraphError listing the problems when
+ * the file is not usable.
+ */
+export function parseVesselGraph(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new VesselGraphError(`Not valid JSON: ${err.message}`);
+    }
+    const { errors, warnings } = validateVesselGraph(data);
+    if (errors.length) {
+        const more = errors.length > MAX_ISSUES ? ` (showing the first ${MAX_ISSUES})` : '';
+        throw new VesselGraphError(
+            `Not a valid vessel graph: ${errors.length} problem${errors.length === 1 ? '' : 's'}${more}`,
+            errors.slice(0, MAX_ISSUES),
+        );
+    }
+    return { graph: data, warnings: warnings.slice(0, MAX_ISSUES) };
+}
+
+// CatmullRom curve through the control points, sampled evenly
+function smoothCurve(controlPoints, pointsPerSegment = 4) {
+    const curve = new THREE.CatmullRomCurve3(controlPoints.map(p => new THREE.Vector3(...p)));
+    const total = Math.max(8, (controlPoints.length - 1) * pointsPerSegment);
+    return Array.from({ length: total + 1 }, (_, i) => curve.getPoint(i / total));
+}
+
+/**
+ * Vessels for the viewer from a validated graph, in edge order:
+ * `{ id, points, radius, type, depth, label, parent, children, links }` where
+ * `parent` / `children` are vessel indices (`parent` null for roots and for
+ * vessels not connected to a root) and `links` lists every vessel this one
+ * touches, loops included.
+ */
+export function graphToVessels(graph) {
+    const position = new Map(graph.nodes.map(n => [n.id, n.position]));
+    const { parents, neighbours } = walkFromRoots(graph);
+    const children = graph.edges.map(() => []);
+    parents.forEach((p, i) => { if (p !== null && p !== undefined) children[p].push(i); });
+
+    return graph.edges.map((edge, i) => ({
+        id: edge.id,
+        points: smoothCurve([position.get(edge.from), ...(edge.via ?? []), position.get(edge.to)]),
+        radius: edge.radius,
+        type: edge.type,
+        depth: edge.depth,
+        label: edge.label,
+        parent: parents[i] ?? null,
+        children: children[i],
+        links: [...neighbours[i]].sort((a, b) => a - b),
+    }));
+}
@@ -0,0 +1,146 @@
+// Routes through the vessel tree: the path between two vessels (for tracing
+// access routes) and parent / child / sibling steps for keyboard navigation.
+// Works on graphToVessels() output, whose `links` / `parent` / `children`
+// carry the connectivity.
+import { REFERENCE_MM_PER_UNIT, vesselLength } from './vesselGeometry';
+
+// Traced route in the scene and the panel
+export const PATH_COLOR = '#36cfc9';
+
+// Arrow keys → step through the tree from the selected vessel
+export const TREE_STEP_KEYS = {
+    ArrowUp: 'parent',
+    ArrowDown: 'child',
+    ArrowLeft: 'previous',
+    ArrowRight: 'next',
+};
+
+// ─── Polyline helpers ─────────────────────────────────────────────────────
+// Arc length at every centerline point
+function arcLengths(points) {
+    const s = [0];
+    for (let i = 1; i < points.length; i++) s.push(s[i - 1] + points[i].distanceTo(points[i - 1]));
+    return s;
+}
+
+// Closest point on the centerline to `p`: arc position and distance
+function project(points, arc, p) {
+    let best = { s: 0, distance: Infinity };
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const ab = points[i].clone().sub(a);
+        const t = Math.min(1, Math.max(0, p.clone().sub(a).dot(ab) / (ab.lengthSq() || 1)));
+        const distance = a.clone().addScaledVector(ab, t).distanceTo(p);
+        if (distance < best.distance) best = { s: arc[i - 1] + t * (arc[i] - arc[i - 1]), distance };
+    }
+    return best;
+}
+
+// Where two touching vessels meet, as arc positions on each: the end of one
+// that lies closest to the other (a shared node or a side branch's origin)
+function junction(a, b) {
+    let best = null;
+    const consider = (from, to, swap) => [from.points[0], from.points[from.points.length - 1]].forEach((end, k) => {
+        const hit = project(to.points, to.arc, end);
+        if (best && hit.distance >= best.distance) return;
+        const sEnd = k === 0 ? 0 : from.arc[from.arc.length - 1];
+        best = { distance: hit.distance, ...(swap ? { sa: hit.s, sb: sEnd } : { sa: sEnd, sb: hit.s }) };
+    });
+    consider(a, b, false);
+    consider(b, a, true);
+    return best;
+}
+
+// Centerline points between arc positions s0 and s1, in that direction
+function slice(points, arc, s0, s1) {
+    const at = (s) => {
+        const i = Math.max(1, arc.findIndex(x => x >= s));
+        const t = (s - arc[i - 1]) / ((arc[i] - arc[i - 1]) || 1);
+        return points[i - 1].clone().lerp(points[i], Math.min(1, Math.max(0, t)));
+    };
+    const [lo, hi] = s0 <= s1 ? [s0, s1] : [s1, s0];
+    const inner = points.filter((_, i) => arc[i] > lo && arc[i] < hi);
+    const run = [at(lo), ...inner, at(hi)];
+    return (s0 <= s1 ? run : run.reverse()).map(p => p.toArray());
+}
+
+// ─── Path tracing ─────────────────────────────────────────────────────────
+// Fewest millimetres between two vessels: Dijkstra over `links`, paying each
+// vessel's full length to pass through it
+function shortestRoute(vessels, from, to) {
+    const cost = vessels.map(() => Infinity);
+    const previous = vessels.map(() => null);
+    const done = new Set();
+    cost[from] = 0;
+    while (done.size < vessels.length) {
+        let current = -1;
+        cost.forEach((c, i) => { if (!done.has(i) && c < Infinity && (current < 0 || c < cost[current])) current = i; });
+        if (current < 0 || current === to) break;
+        done.add(current);
+        const step = vesselLength(vessels[current]);
+        vessels[current].links.forEach((next) => {
+            if (done.has(next) || cost[current] + step >= cost[next]) return;
+            cost[next] = cost[current] + step;
+            previous[next] = current;
+        });
+    }
+    if (cost[to] === Infinity) return null;
+    const route = [to];
+    while (route[0] !== from) route.unshift(previous[route[0]]);
+    return route;
+}
+
+/**
+ * The route between vessels `from` and `to` (indices), or null when they are
+ * not connected. Returns `{ segments, points, lengthMm }`: one segment
+ * `{ index, lengthMm }` per vessel passed, counting only the stretch between
+ * the junctions it is entered and left at (the end vessels run to their far
+ * end), and the traced centerline in the vessels' frame.
+ */
+export function traceVesselPath(vessels, from, to) {
+    const route = shortestRoute(vessels, from, to);
+    if (!route) return null;
+    const curves = route.map(i => ({ points: vessels[i].points, arc: arcLengths(vessels[i].points) }));
+    const joins = route.slice(1).map((_, k) => junction(curves[k], curves[k + 1]));
+
+    const segments = [];
+    const points = [];
+    route.forEach((index, k) => {
+        const { points: centerline, arc } = curves[k];
+        const end = arc[arc.length - 1];
+        let s0 = k > 0 ? joins[k - 1].sb : null;
+        let s1 = k < joins.length ? joins[k].sa : null;
+        // The first and last vessels are traced from / to whichever end is further away
+        if (s0 === null) s0 = s1 === null ? 0 : (s1 > end / 2 ? 0 : end);
+        if (s1 === null) s1 = s0 > end / 2 ? 0 : end;
+        segments.push({ index, lengthMm: Math.abs(s1 - s0) * REFERENCE_MM_PER_UNIT });
+        points.push(...slice(centerline, arc, s0, s1));
+    });
+    return {
+        segments,
+        points,
+        lengthMm: segments.reduce((sum, s) => sum + s.lengthMm, 0),
+    };
+}
+
+// ─── Tree navigation ──────────────────────────────────────────────────────
+/**
+ * The vessel one step from `index` in `direction` ('parent', 'child',
+ * 'previous' or 'next' sibling), or null when there is none. 'child' takes
+ * the widest branch — usually the main continuation; siblings wrap around,
+ * and roots are siblings of each other.
+ */
+export function stepInTree(vessels, index, direction) {
+    const vessel = vessels[index];
+    if (direction === 'parent') return vessel.parent;
+    if (direction === 'child') {
+        if (!vessel.children.length) return null;
+        return vessel.children.reduce((best, i) => (vessels[i].radius > vessels[best].radius ? i : best));
+    }
+    const siblings = vessel.parent === null
+        ? vessels.map((_, i) => i).filter(i => vessels[i].parent === null)
+        : vessels[vessel.parent].children;
+    if (siblings.length < 2) return null;
+    const k = siblings.indexOf(index);
+    return siblings[(k + (direction === 'next' ? 1 : siblings.length - 1)) % siblings.length];
+}
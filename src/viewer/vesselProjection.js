@@ -0,0 +1,50 @@
+// Flat projection of the vessel tree for the 2D fallback view: every
+// centerline drawn as an SVG path, seen from one of the anatomical camera
+// presets. Works in body units like the vessels themselves.
+import * as THREE from 'three';
+import { CAMERA_PRESETS } from './cameraViews';
+
+export const PROJECTION_VIEWS = ['anterior', 'leftLateral', 'rightLateral'];
+
+// Thinnest stroke (body units) so capillary-sized vessels stay visible
+const MIN_STROKE = 0.035;
+const PADDING = 0.6;
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Project the vessels `indices` as seen from CAMERA_PRESETS[view] (the same
+ * orientation as the 3D viewer's preset). Returns `{ viewBox, paths }`: the
+ * SVG viewBox string and one `{ index, d, width }` per vessel, ordered back
+ * to front so nearer vessels are painted over farther ones.
+ */
+export function projectVessels(vessels, indices, view) {
+    // Screen axes of a camera looking from `direction` towards the body
+    const toward = new THREE.Vector3(...CAMERA_PRESETS[view].direction).normalize();
+    const right = toward.clone().negate().cross(UP).normalize();
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    const paths = indices.map((index) => {
+        const { points, radius } = vessels[index];
+        let depth = 0;
+        const d = points.map((p, k) => {
+            const x = p.dot(right);
+            // SVG y grows downwards
+            const y = -p.y;
+            depth += p.dot(toward);
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+            return `${k ? 'L' : 'M'}${x.toFixed(3)} ${y.toFixed(3)}`;
+        }).join('');
+        return { index, d, width: Math.max(MIN_STROKE, radius * 2), depth: depth / points.length };
+    });
+    paths.sort((a, b) => a.depth - b.depth);
+
+    if (!paths.length) return { viewBox: '0 0 1 1', paths: [] };
+    const viewBox = [minX - PADDING, minY - PADDING, maxX - minX + PADDING * 2, maxY - minY + PADDING * 2]
+        .map(v => v.toFixed(2))
+        .join(' ');
+    return { viewBox, paths: paths.map(({ index, d, width }) => ({ index, d, width })) };
+}
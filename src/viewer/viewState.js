@@ -0,0 +1,65 @@
+// Viewer state ↔ URL search params, so a link reopens the same view:
+//   model=reference        reference anatomy instead of the patient mesh
+//   cam=x,y,z,tx,ty,tz     camera position and orbit target (world units)
+//   hide=3-7.12            hidden reference vessels (index ranges)
+// Defaults are left out to keep links short. Several viewers on one page keep
+// their state apart with a key prefix (e.g. `left.cam`, `right.cam`).
+
+const CAMERA_DIGITS = 2;
+
+// Set of indices → "1-4.9.12-13"
+export function encodeIndexSet(indices) {
+    const sorted = [...indices].sort((a, b) => a - b);
+    const ranges = [];
+    sorted.forEach((i) => {
+        const last = ranges[ranges.length - 1];
+        if (last && i === last[1] + 1) last[1] = i;
+        else ranges.push([i, i]);
+    });
+    return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`)).join('.');
+}
+
+// Inverse of encodeIndexSet; indices outside 0..count-1 and junk are dropped
+export function decodeIndexSet(text, count) {
+    const indices = new Set();
+    (text ?? '').split('.').forEach((part) => {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+        if (!match) return;
+        const from = Number(match[1]);
+        const to = Math.min(Number(match[2] ?? match[1]), count - 1);
+        for (let i = from; i <= to; i++) indices.add(i);
+    });
+    return indices;
+}
+
+export function encodeCamera({ position, target }) {
+    return [...position, ...target].map(v => Number(v.toFixed(CAMERA_DIGITS))).join(',');
+}
+
+export function decodeCamera(text) {
+    const values = (text ?? '').split(',').map(Number);
+    if (values.length !== 6 || !values.every(Number.isFinite)) return null;
+    return { position: values.slice(0, 3), target: values.slice(3) };
+}
+
+/**
+ * Viewer state from `params`: `{ source, camera, hidden }` with `camera`
+ * null when absent or malformed. `vesselCount` bounds the hidden indices.
+ */
+export function readViewState(params, vesselCount, prefix = '') {
+    return {
+        source: params.get(`${prefix}model`) === 'reference' ? 'reference' : 'patient',
+        camera: decodeCamera(params.get(`${prefix}cam`)),
+        hidden: decodeIndexSet(params.get(`${prefix}hide`), vesselCount),
+    };
+}
+
+// Copy of `params` with the viewer state written in; other params are kept
+export function writeViewState(params, { source, camera, hidden }, prefix = '') {
+    const next = new URLSearchParams(params);
+    const set = (key, value) => (value ? next.set(`${prefix}${key}`, value) : next.delete(`${prefix}${key}`));
+    set('model', source === 'reference' ? 'reference' : null);
+    set('cam', camera ? encodeCamera(camera) : null);
+    set('hide', hidden.size ? encodeIndexSet(hidden) : null);
+    return next;
+}
@@ -0,0 +1,140 @@
+// Per-user viewer preferences: motion, post-processing, lighting, background
+// and how surfaces are drawn. Only the settings a user changed are stored (in
+// localStorage, one entry per user), so everything else follows the defaults —
+// including motion, which is off by default under prefers-reduced-motion.
+import { VIEWER_BACKGROUND } from './capture';
+
+export const LIGHTING_PRESETS = {
+    presentation: { label: 'Presentation', description: 'Coloured key, rim and region lights' },
+    clinical: { label: 'Clinical', description: 'Neutral white key, fill and rim' },
+    flat: { label: 'Flat', description: 'Even light, no shading cues' },
+};
+
+export const DISPLAY_MODES = {
+    solid: { label: 'Solid' },
+    wireframe: { label: 'Wireframe' },
+    xray: { label: 'X-ray' },
+};
+
+export const ROTATE_SPEED_RANGE = { min: 0.1, max: 3 };
+export const BLOOM_RANGE = { min: 0, max: 1.5 };
+
+export const DEFAULT_VIEWER_SETTINGS = {
+    autoRotate: true,
+    // OrbitControls units: 2 is one orbit per 30 s
+    rotateSpeed: 0.5,
+    sway: true,
+    // Bloom intensity; 0 turns the pass off
+    bloom: 0.4,
+    vignette: true,
+    background: VIEWER_BACKGROUND.inner,
+    lighting: 'presentation',
+    display: 'solid',
+};
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+const STORAGE_PREFIX = 'vascularai.viewerSettings.';
+
+const isHexColor = (v) => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+const inRange = ({ min, max }) => (v) => Number.isFinite(v) && v >= min && v <= max;
+
+// Accepts a stored value, or rejects it (stale or hand-edited storage)
+const VALID = {
+    autoRotate: (v) => typeof v === 'boolean',
+    rotateSpeed: inRange(ROTATE_SPEED_RANGE),
+    sway: (v) => typeof v === 'boolean',
+    bloom: inRange(BLOOM_RANGE),
+    vignette: (v) => typeof v === 'boolean',
+    background: isHexColor,
+    lighting: (v) => Object.hasOwn(LIGHTING_PRESETS, v),
+    display: (v) => Object.hasOwn(DISPLAY_MODES, v),
+};
+
+function sanitize(overrides) {
+    if (overrides === null || typeof overrides !== 'object') return {};
+    return Object.fromEntries(Object.entries(overrides).filter(([key, v]) => VALID[key]?.(v)));
+}
+
+/**
+ * Defaults for this browser: auto-rotate and sway start off when the user
+ * asked the OS for reduced motion.
+ */
+export function defaultViewerSettings(reducedMotion) {
+    return reducedMotion
+        ? { ...DEFAULT_VIEWER_SETTINGS, autoRotate: false, sway: false }
+        : DEFAULT_VIEWER_SETTINGS;
+}
+
+// Radial gradient around `color`: the chosen colour at the centre, much darker
+// at the edges (as VIEWER_BACKGROUND)
+export function viewerBackground(color) {
+    const outer = color.slice(1).match(/../g)
+        .map(h => Math.round(parseInt(h, 16) * 0.25).toString(16).padStart(2, '0'))
+        .join('');
+    return { inner: color, outer: `#${outer}` };
+}
+
+// ─── Stored overrides (shared by every viewer on the page) ───
+const listeners = new Set();
+const cache = new Map();
+
+function readStored(userId) {
+    try {
+        return sanitize(JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + userId)));
+    } catch {
+        // Unavailable storage (privacy mode) or invalid JSON: defaults only
+        return {};
+    }
+}
+
+function writeStored(userId, overrides) {
+    cache.set(userId, overrides);
+    try {
+        if (Object.keys(overrides).length) window.localStorage.setItem(STORAGE_PREFIX + userId, JSON.stringify(overrides));
+        else window.localStorage.removeItem(STORAGE_PREFIX + userId);
+    } catch {
+        // Still applies for this session
+    }
+    listeners.forEach(listener => listener());
+}
+
+// The user's changed settings; the same object until they change again
+export function storedViewerSettings(userId) {
+    if (!cache.has(userId)) cache.set(userId, readStored(userId));
+    return cache.get(userId);
+}
+
+export function saveViewerSettings(userId, patch) {
+    writeStored(userId, sanitize({ ...storedViewerSettings(userId), ...patch }));
+}
+
+export function resetViewerSettings(userId) {
+    writeStored(userId, {});
+}
+
+// Subscribe to changes from this page and from other tabs; returns the unsubscribe
+export function subscribeViewerSettings(listener) {
+    const onStorage = (e) => {
+        if (!e.key?.startsWith(STORAGE_PREFIX)) return;
+        cache.delete(e.key.slice(STORAGE_PREFIX.length));
+        listener();
+    };
+    listeners.add(listener);
+    window.addEventListener('storage', onStorage);
+    return () => {
+        listeners.delete(listener);
+        window.removeEventListener('storage', onStorage);
+    };
+}
+
+// ─── prefers-reduced-motion ───
+export function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+export function subscribeReducedMotion(listener) {
+    if (typeof window.matchMedia !== 'function') return () => {};
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    query.addEventListener('change', listener);
+    return () => query.removeEventListener('change', listener);
+}
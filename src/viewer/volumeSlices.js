@@ -0,0 +1,138 @@
+// Orthogonal slice extraction for NIfTI volumes: axial / coronal / sagittal
+// planes in radiological convention, CT windowing and label-map overlay.
+import { worldToVoxel } from './nifti';
+
+// Hounsfield window presets (centre / width)
+export const WINDOW_PRESETS = {
+    cta: { label: 'CTA', center: 200, width: 700 },
+    soft: { label: 'Soft tissue', center: 40, width: 400 },
+    bone: { label: 'Bone', center: 400, width: 1800 },
+};
+
+// Each plane in world (RAS) terms: `normal` is the sliced world axis, `u` / `v`
+// the world axes running right / down the screen with the direction they
+// should increase in. Patient right is on screen left, anterior / superior up.
+export const SLICE_PLANES = {
+    axial: { label: 'Axial', normal: 2, u: [0, -1], v: [1, -1] },
+    coronal: { label: 'Coronal', normal: 1, u: [0, -1], v: [2, -1] },
+    sagittal: { label: 'Sagittal', normal: 0, u: [1, -1], v: [2, -1] },
+};
+
+// Label value → RGB for the segmentation overlay (1 = vessel)
+const LABEL_COLORS = [
+    null,
+    [255, 64, 80],
+    [64, 150, 255],
+    [255, 200, 40],
+    [80, 220, 140],
+    [190, 110, 255],
+];
+
+/**
+ * For each voxel axis, the world axis it mostly runs along and whether it runs
+ * with (+1) or against (-1) it. Oblique acquisitions snap to the nearest axis.
+ */
+function voxelAxes(volume) {
+    const e = volume.affine.elements; // column-major
+    return [0, 1, 2].map((i) => {
+        const col = [e[i * 4], e[i * 4 + 1], e[i * 4 + 2]];
+        const world = col.reduce((best, c, w) => (Math.abs(c) > Math.abs(col[best]) ? w : best), 0);
+        return { world, sign: Math.sign(col[world]) || 1 };
+    });
+}
+
+/**
+ * Resolve a plane to voxel axes: `{ normal, u, v, flipU, flipV, width, height }`
+ * where `width` / `height` are the slice size in pixels (one per voxel).
+ */
+export function planeLayout(volume, planeKey) {
+    const plane = SLICE_PLANES[planeKey];
+    const axes = voxelAxes(volume);
+    const find = (world) => {
+        const idx = axes.findIndex(a => a.world === world);
+        // Degenerate affine: fall back to the voxel axis of the same number
+        return idx === -1 ? world : idx;
+    };
+    const normal = find(plane.normal);
+    const u = find(plane.u[0]);
+    const v = find(plane.v[0]);
+    const { dims } = volume;
+    return {
+        normal,
+        u,
+        v,
+        flipU: axes[u].sign !== plane.u[1],
+        flipV: axes[v].sign !== plane.v[1],
+        width: dims[u],
+        height: dims[v],
+    };
+}
+
+// Voxel under a pixel of `plane` with the slice index taken from `voxel`
+export function pixelToVoxel(layout, voxel, x, y) {
+    const ijk = [...voxel];
+    ijk[layout.u] = layout.flipU ? layout.width - 1 - x : x;
+    ijk[layout.v] = layout.flipV ? layout.height - 1 - y : y;
+    return ijk;
+}
+
+// Inverse of pixelToVoxel: where `voxel` falls in the slice image
+export function voxelToPixel(layout, voxel) {
+    const x = voxel[layout.u];
+    const y = voxel[layout.v];
+    return [
+        layout.flipU ? layout.width - 1 - x : x,
+        layout.flipV ? layout.height - 1 - y : y,
+    ];
+}
+
+/**
+ * Render one slice into `imageData` (sized `layout.width × layout.height`).
+ * `mask` must share the image grid; labels are blended at `maskOpacity`.
+ */
+export function renderSlice(imageData, { image, mask, layout, index, window, maskOpacity = 0.4 }) {
+    const { dims, data } = image;
+    const strides = [1, dims[0], dims[0] * dims[1]];
+    const out = imageData.data;
+    const low = window.center - window.width / 2;
+    const scale = 255 / window.width;
+    const base = index * strides[layout.normal];
+
+    for (let y = 0; y < layout.height; y++) {
+        const vy = layout.flipV ? layout.height - 1 - y : y;
+        const rowBase = base + vy * strides[layout.v];
+        for (let x = 0; x < layout.width; x++) {
+            const vx = layout.flipU ? layout.width - 1 - x : x;
+            const n = rowBase + vx * strides[layout.u];
+            const grey = Math.max(0, Math.min(255, (data[n] - low) * scale));
+            let r = grey;
+            let g = grey;
+            let b = grey;
+
+            const label = mask ? Math.round(mask.data[n]) : 0;
+            if (label > 0) {
+                const color = LABEL_COLORS[label] || LABEL_COLORS[1 + ((label - 1) % (LABEL_COLORS.length - 1))];
+                r += (color[0] - r) * maskOpacity;
+                g += (color[1] - g) * maskOpacity;
+                b += (color[2] - b) * maskOpacity;
+            }
+
+            const o = (y * layout.width + x) * 4;
+            out[o] = r;
+            out[o + 1] = g;
+            out[o + 2] = b;
+            out[o + 3] = 255;
+        }
+    }
+    return imageData;
+}
+
+export function sameGrid(a, b) {
+    return Boolean(a && b) && a.dims.every((d, i) => d === b.dims[i]);
+}
+
+// Cursor in world mm → voxel, defaulting to the volume centre
+export function cursorVoxel(volume, cursorMm) {
+    if (cursorMm) return worldToVoxel(volume, cursorMm);
+    return volume.dims.map(d => Math.floor(d / 2));
+}
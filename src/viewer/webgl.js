@@ -0,0 +1,62 @@
+// WebGL availability and recovery from a lost GPU context. Browsers drop the
+// context on driver resets, GPU memory pressure or too many open contexts;
+// the viewer waits for it to come back, then rebuilds the canvas, and falls
+// back to the 2D projection when neither works (see VesselProjection).
+import * as THREE from 'three';
+
+// Wait this long for the browser to restore a lost context before rebuilding the canvas
+export const RESTORE_TIMEOUT_MS = 3000;
+// Back-to-back canvas rebuilds before giving up on 3D; retrying by hand starts
+// the count again
+export const MAX_RESTORE_ATTEMPTS = 3;
+// A canvas that keeps its context this long counts as recovered, so a later
+// loss starts the count again too
+export const STABLE_CONTEXT_MS = 10000;
+
+// Why the 2D projection replaced the 3D view, per useWebglRecovery status
+export const GRAPHICS_NOTICES = {
+    unsupported: 'WebGL is not available in this browser',
+    failed: 'The 3D view could not be started or restored',
+};
+
+// True when this browser can create a WebGL context (blocked by policy on
+// some locked-down workstations, or no usable GPU driver)
+export function webglAvailable() {
+    try {
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+        // Free the probe context; browsers cap how many can be open at once
+        gl?.getExtension('WEBGL_lose_context')?.loseContext();
+        return Boolean(gl);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Renderer for the r3f Canvas `gl` prop: `defaults` from r3f plus `settings`
+ * assigned to the renderer. r3f only logs a renderer that fails to start (as
+ * an unhandled rejection), so the error is also handed to `onError`.
+ */
+export function createRenderer(defaults, settings, onError) {
+    try {
+        return Object.assign(new THREE.WebGLRenderer(defaults), settings);
+    } catch (err) {
+        onError(err);
+        throw err;
+    }
+}
+
+/**
+ * Listen for the loss and restoration of the WebGL context behind `canvas`.
+ * Returns the unsubscribe. three.js already calls preventDefault() on loss,
+ * which asks the browser to restore the context.
+ */
+export function watchContextLoss(canvas, { onLost, onRestored }) {
+    canvas.addEventListener('webglcontextlost', onLost);
+    canvas.addEventListener('webglcontextrestored', onRestored);
+    return () => {
+        canvas.removeEventListener('webglcontextlost', onLost);
+        canvas.removeEventListener('webglcontextrestored', onRestored);
+    };
+}